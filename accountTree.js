@@ -0,0 +1,285 @@
+/**
+ * Account Hierarchy Browser for Aldersbach Monastery Financial Dashboard
+ * Builds the SKOS account tree (bk:Account, skos:broader/skos:narrower) and
+ * filters transactions by the accounts their transfers touch
+ */
+
+class AccountTree {
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.logger = window.Logger || console;
+
+        this.accounts = new Map();   // uri -> { uri, id, label, broader, narrower }
+        this.children = new Map();   // uri -> [child uris]
+        this.parents = new Map();    // uri -> [parent uris]
+        this.roots = [];
+        this.stats = new Map();      // uri -> { count, florins } including descendants
+        this.expanded = new Set();
+        this.selectedAccount = null;
+
+        this.panel = document.getElementById('accountPanel');
+        this.container = document.getElementById('accountTree');
+        this.toggleButton = document.getElementById('accountPanelToggle');
+        this.filterStatus = document.getElementById('accountFilterStatus');
+        this.filterLabel = document.getElementById('accountFilterLabel');
+        this.clearButton = document.getElementById('clearAccountFilter');
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        if (this.toggleButton && this.panel) {
+            this.toggleButton.addEventListener('click', () => {
+                const collapsed = this.panel.classList.toggle('collapsed');
+                this.toggleButton.textContent = collapsed ? 'Expand' : 'Collapse';
+            });
+        }
+
+        if (this.clearButton) {
+            this.clearButton.addEventListener('click', () => this.select(null));
+        }
+
+        // Event delegation for node toggles and selection
+        if (this.container) {
+            this.container.addEventListener('click', (e) => {
+                const node = e.target.closest('[data-account]');
+                if (!node) return;
+
+                const uri = node.dataset.account;
+                if (e.target.classList.contains('account-toggle')) {
+                    this.toggle(uri);
+                } else {
+                    this.select(this.selectedAccount === uri ? null : uri);
+                }
+            });
+        }
+    }
+
+    /**
+     * Build the hierarchy from parsed bk:Account resources
+     */
+    build(accounts) {
+        this.accounts = accounts || new Map();
+        this.children = new Map();
+        this.stats = new Map();
+        this.expanded = new Set();
+        this.selectedAccount = null;
+        this.selectedSubtree = null;
+
+        this.accounts.forEach(account => this.children.set(account.uri, []));
+
+        // skos:narrower and skos:broader are declared on both ends, but not always symmetrically
+        const link = (parent, child) => {
+            if (!this.accounts.has(parent) || !this.accounts.has(child) || parent === child) return;
+            const list = this.children.get(parent);
+            if (!list.includes(child)) list.push(child);
+        };
+
+        this.accounts.forEach(account => {
+            account.narrower.forEach(child => link(account.uri, child));
+            account.broader.forEach(parent => link(parent, account.uri));
+        });
+
+        this.parents = new Map();
+        this.children.forEach((list, parent) => list.forEach(child => {
+            if (!this.parents.has(child)) this.parents.set(child, []);
+            this.parents.get(child).push(parent);
+        }));
+        this.roots = [...this.accounts.keys()].filter(uri => !this.parents.has(uri));
+
+        // Accounts only reachable through a broader/narrower cycle have no root; the first
+        // of each such group goes to the top level so none of them is lost
+        const reached = new Set();
+        this.roots.forEach(uri => this.getSubtree(uri).forEach(node => reached.add(node)));
+        this.accounts.forEach((account, uri) => {
+            if (reached.has(uri)) return;
+            this.roots.push(uri);
+            this.getSubtree(uri).forEach(node => reached.add(node));
+        });
+
+        // Show the first level below the top accounts
+        this.roots.forEach(uri => this.expanded.add(uri));
+
+        this.logger.debug('Account tree built', {
+            accounts: this.accounts.size,
+            roots: this.roots.length
+        });
+    }
+
+    /**
+     * Account URI plus all of its descendants
+     */
+    getSubtree(uri) {
+        const result = new Set();
+        const stack = [uri];
+
+        while (stack.length > 0) {
+            const current = stack.pop();
+            if (result.has(current)) continue;
+            result.add(current);
+            (this.children.get(current) || []).forEach(child => stack.push(child));
+        }
+
+        return result;
+    }
+
+    /**
+     * Account URI plus all of its ancestors
+     */
+    getAncestors(uri) {
+        const result = new Set();
+        const stack = [uri];
+
+        while (stack.length > 0) {
+            const current = stack.pop();
+            if (result.has(current)) continue;
+            result.add(current);
+            (this.parents.get(current) || []).forEach(parent => stack.push(parent));
+        }
+
+        return result;
+    }
+
+    /**
+     * Accounts named in a transaction's bk:from / bk:to
+     */
+    getTransactionAccounts(transaction) {
+        const accounts = new Set();
+        (transaction.transfers || []).forEach(transfer => {
+            if (transfer.from) accounts.add(transfer.from);
+            if (transfer.to) accounts.add(transfer.to);
+        });
+        return accounts;
+    }
+
+    /**
+     * Count transactions and florin totals per node, rolled up to parents.
+     * A transaction is counted once per node even if several of its
+     * transfers touch that node's subtree.
+     */
+    computeStats(transactions) {
+        this.stats = new Map();
+        this.accounts.forEach(account => this.stats.set(account.uri, { count: 0, florins: 0 }));
+
+        const ancestorCache = new Map();
+
+        transactions.forEach(transaction => {
+            const touched = new Set();
+
+            this.getTransactionAccounts(transaction).forEach(uri => {
+                if (!this.accounts.has(uri)) return;
+                if (!ancestorCache.has(uri)) {
+                    ancestorCache.set(uri, this.getAncestors(uri));
+                }
+                ancestorCache.get(uri).forEach(node => touched.add(node));
+            });
+
+            touched.forEach(uri => {
+                const stats = this.stats.get(uri);
+                stats.count++;
+                stats.florins += transaction.totalFlorinValue || 0;
+            });
+        });
+
+        return this.stats;
+    }
+
+    /**
+     * Whether a transaction passes the current account selection
+     */
+    matches(transaction) {
+        if (!this.selectedAccount) return true;
+
+        if (!this.selectedSubtree) {
+            this.selectedSubtree = this.getSubtree(this.selectedAccount);
+        }
+
+        for (const uri of this.getTransactionAccounts(transaction)) {
+            if (this.selectedSubtree.has(uri)) return true;
+        }
+        return false;
+    }
+
+    select(uri) {
+        this.selectedAccount = uri;
+        this.selectedSubtree = null;
+
+        // Make sure the selected node is visible
+        if (uri) {
+            this.getAncestors(uri).forEach(ancestor => {
+                if (ancestor !== uri) this.expanded.add(ancestor);
+            });
+        }
+
+        this.logger.info('Account filter changed', { account: uri || 'none' });
+        this.render();
+        this.dashboard.applyFilters();
+    }
+
+    toggle(uri) {
+        if (this.expanded.has(uri)) {
+            this.expanded.delete(uri);
+        } else {
+            this.expanded.add(uri);
+        }
+        this.render();
+    }
+
+    getLabel(uri) {
+        const account = this.accounts.get(uri);
+        return account ? account.label : this.dashboard.getResourceId(uri);
+    }
+
+    render() {
+        if (!this.container) return;
+
+        if (this.accounts.size === 0) {
+            this.container.innerHTML = '<div class="no-data">No account hierarchy declared in this dataset</div>';
+        } else {
+            this.container.innerHTML = `<ul class="account-list">${this.roots.map(uri => this.renderNode(uri)).join('')}</ul>`;
+        }
+
+        if (this.filterStatus) {
+            this.filterStatus.style.display = this.selectedAccount ? 'flex' : 'none';
+        }
+        if (this.filterLabel) {
+            this.filterLabel.textContent = this.selectedAccount ? this.getLabel(this.selectedAccount) : '';
+        }
+    }
+
+    /**
+     * One account and its expanded descendants; path holds the accounts above
+     * it, so a cycle is shown once instead of recursing
+     */
+    renderNode(uri, path = new Set()) {
+        const onPath = new Set(path).add(uri);
+        const children = (this.children.get(uri) || []).filter(child => !onPath.has(child));
+        const stats = this.stats.get(uri) || { count: 0, florins: 0 };
+        const isExpanded = this.expanded.has(uri);
+        const isSelected = this.selectedAccount === uri;
+
+        const toggle = children.length > 0
+            ? `<span class="account-toggle">${isExpanded ? '▾' : '▸'}</span>`
+            : '<span class="account-toggle-spacer"></span>';
+
+        const childList = children.length > 0 && isExpanded
+            ? `<ul class="account-list">${children.map(child => this.renderNode(child, onPath)).join('')}</ul>`
+            : '';
+
+        return `
+            <li>
+                <div class="account-node${isSelected ? ' selected' : ''}${stats.count === 0 ? ' empty' : ''}" data-account="${Html.escape(uri)}" title="${Html.escape(uri)}">
+                    ${toggle}
+                    <span class="account-label">${Html.escape(this.getLabel(uri))}</span>
+                    <span class="account-stats">${stats.count} · ${stats.florins.toFixed(1)} f</span>
+                </div>
+                ${childList}
+            </li>
+        `;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccountTree;
+}
@@ -0,0 +1,182 @@
+/**
+ * Amount Phrases for Aldersbach Monastery Financial Dashboard
+ * Reads the amounts an entry states in its text (".22. f. 3. s. 15. d.",
+ * ".XVII. t.", "p. 4 ½. f.", "iii lb. d. Wien.", "x̸ s.") so they can be
+ * checked against the encoded bk:Money values. They are only reported, never
+ * used as amounts.
+ *
+ * Numbers are Arabic (with ½ ¼ ¾) or Roman, upper or lower case, with j for
+ * a final i, "or" after IIII ("IIIIor"), the stroke through the last numeral
+ * for a half less ("x̸" 9½, "j̸" ½, "XIƗ" 10½), and split into dotted groups
+ * (".LXXX.II." 82, ".XC.IIIIor." 94). A number counts only when a unit
+ * abbreviation follows it, so "4 Schaff waitz" is not an amount. An amount
+ * after "minus" is subtracted ("II. t. minus XI. d." is 2 t less 11 d).
+ */
+
+class AmountPhrase {
+    /**
+     * [{ amount, currency, text }] in the order written, subtracted amounts
+     * negative. Where the entry works out a price ("eines p. 8. kr. thut .3.
+     * s. 22. d."), only the amounts after the last "thut" / "macht" count.
+     */
+    static extract(entry) {
+        const text = String(entry || '').normalize('NFC').toLowerCase();
+        const amounts = [];
+        let result = -1;
+
+        AmountPhrase.RESULT_PATTERN.lastIndex = 0;
+        let marker;
+        while ((marker = AmountPhrase.RESULT_PATTERN.exec(text)) !== null) {
+            result = marker.index;
+        }
+
+        AmountPhrase.PATTERN.lastIndex = 0;
+        let match;
+        while ((match = AmountPhrase.PATTERN.exec(text)) !== null) {
+            const amount = AmountPhrase.readNumber(match[1], match[2]);
+            if (amount === null || !AmountPhrase.isMoney(match)) continue;
+            const subtracted = AmountPhrase.MINUS_PATTERN.test(text.substring(Math.max(0, match.index - 12), match.index + 1));
+            amounts.push({
+                index: match.index,
+                amount: subtracted ? -amount : amount,
+                currency: AmountPhrase.unitCode(match[3], match[5]),
+                text: match[0].trim()
+            });
+        }
+
+        const counted = result >= 0 && amounts.some(a => a.index > result)
+            ? amounts.filter(a => a.index > result)
+            : amounts;
+        return counted.map(({ amount, currency, text }) => ({ amount, currency, text }));
+    }
+
+    /**
+     * False for a pound of weight: "lb." with neither pfennigs, a mint nor an amount after it
+     */
+    static isMoney(match) {
+        if (match[3] !== 'lb' || match[4] || match[5]) return true;
+        const next = match[6];
+        return /^(\d|[ivxlcj\u0268]+\u0338?$)/.test(next) || AmountPhrase.MONEY_POUND_FOLLOWERS.includes(next);
+    }
+
+    /**
+     * Value of a number token with its fraction sign, or null
+     */
+    static readNumber(token, fraction) {
+        const half = AmountPhrase.FRACTIONS[fraction] || 0;
+        if (/^\d+$/.test(token)) return parseInt(token, 10) + half;
+        if (!token) return half || null;
+
+        const value = AmountPhrase.romanValue(token);
+        return value === null ? null : value + half;
+    }
+
+    /**
+     * "xiiij̸" -> 13.5, "lxxx.ii" -> 82; null for anything that is not a Roman numeral
+     */
+    static romanValue(token) {
+        const groups = token.split(/\s*\.\s*/);
+        if (groups.length > 1) {
+            const values = groups.map(group => AmountPhrase.romanValue(group));
+            if (values.includes(null)) return null;
+            // Groups are one number when each is larger than all after it ("C.LXXIIIIor" 174);
+            // otherwise the earlier ones are a number of their own, without a unit
+            const sum = (list) => list.reduce((total, value) => total + value, 0);
+            const joined = values.every((value, i) => i === values.length - 1 || value > sum(values.slice(i + 1)));
+            return joined ? sum(values) : values[values.length - 1];
+        }
+
+        const stroked = /[\u0338\u0268]/.test(token);
+        const letters = token.replace(/or$/, '').replace(/\u0338/g, '').replace(/[j\u0268]/g, 'i');
+        if (!/^[ivxlcm]+$/.test(letters)) return null;
+
+        let value = 0;
+        for (let i = 0; i < letters.length; i++) {
+            const current = AmountPhrase.ROMAN[letters[i]];
+            const next = AmountPhrase.ROMAN[letters[i + 1]] || 0;
+            value += current < next ? -current : current;
+        }
+        return stroked ? value - 0.5 : value;
+    }
+
+    /**
+     * Unit code of an abbreviation and the mint that may follow it
+     * ("lb. d. Wien." lbdwien, "lb. Rat." lbdrat, "f. Rhen." frhen)
+     */
+    static unitCode(abbreviation, mint) {
+        const unit = AmountPhrase.UNITS.find(entry => entry.pattern.test(abbreviation));
+        if (!unit) return abbreviation;
+        return (mint && unit.mints[mint.substring(0, 3)]) || unit.code;
+    }
+
+    /**
+     * Compare the amounts read from the text with the encoded ones, unit by
+     * unit: 'match', 'mismatch', 'text-only' (nothing encoded),
+     * 'encoded-only' (no amount recognised in the text) or 'none'. The
+     * encoders mostly list a subtracted amount as written, so it agrees
+     * either subtracted or added.
+     */
+    static compare(textAmounts, encodedAmounts) {
+        if (textAmounts.length === 0) return encodedAmounts.length === 0 ? 'none' : 'encoded-only';
+        if (encodedAmounts.length === 0) return 'text-only';
+
+        const sums = (amounts, signed) => amounts.reduce((map, a) =>
+            map.set(a.currency, (map.get(a.currency) || 0) + (signed ? a.amount : Math.abs(a.amount))), new Map());
+        const encoded = sums(encodedAmounts, true);
+        const agrees = (text) => Array.from(new Set([...text.keys(), ...encoded.keys()]))
+            .every(unit => Math.abs((text.get(unit) || 0) - (encoded.get(unit) || 0)) <= 1e-6);
+        return agrees(sums(textAmounts, true)) || agrees(sums(textAmounts, false)) ? 'match' : 'mismatch';
+    }
+
+    /**
+     * "22 f 3 s 15 d", "2 t minus 11 d"
+     */
+    static format(amounts) {
+        return amounts.map(a => a.amount < 0 ? `minus ${-a.amount} ${a.currency}` : `${a.amount} ${a.currency}`).join(' ');
+    }
+}
+
+AmountPhrase.ROMAN = { i: 1, v: 5, x: 10, l: 50, c: 100, m: 1000 };
+
+AmountPhrase.FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75, '1/2': 0.5 };
+
+// Abbreviations as the scribes wrote them, and the unit codes of the DEPCHA exports.
+// Days of work ("per v dies") are a unit of account in the Latin ledgers.
+AmountPhrase.UNITS = [
+    { pattern: /^lb$/, code: 'lbdwien', mints: { rat: 'lbdrat', wie: 'lbdwien' } },
+    { pattern: /^(t|tal[a-z]*)$/, code: 't', mints: { rat: 'trat', pat: 'tpat' } },
+    { pattern: /^fl$/, code: 'fl', mints: { rhe: 'frhen', ung: 'fung' } },
+    { pattern: /^f$/, code: 'f', mints: { rhe: 'frhen', ung: 'fung' } },
+    { pattern: /^(s|ß)$/, code: 's', mints: { rat: 'srat' } },
+    { pattern: /^d$/, code: 'd', mints: {} },
+    { pattern: /^gr/, code: 'gr', mints: {} },
+    { pattern: /^(hr|hl|hall)$/, code: 'hr', mints: {} },
+    { pattern: /^kr$/, code: 'kr', mints: {} },
+    { pattern: /^ort$/, code: 'ort', mints: {} },
+    { pattern: /^(dies|diebus)$/, code: 'tag', mints: {} }
+];
+
+// A number (Arabic with its fraction, Roman in dotted groups, or a fraction alone) starting a word, a
+// space or "." ("Vils hoven" is no amount), then a unit abbreviation, "d." after pounds,
+// the mint, and the word after it; on lower-cased text. "gross" only in the Latin coin
+// forms, not the German adjective ("grossen Fennstern").
+AmountPhrase.PATTERN = new RegExp(
+    '(?:^|[\\s.(])' +
+    '(\\d+|[ivxlcj\\u0268]+\\u0338?(?:or)?(?:\\s*\\.\\s*[ivxlcj\\u0268]+\\u0338?(?:or)?)*|(?=[½¼¾]))\\s*([½¼¾]|1/2)?' +
+    '(?:\\s+|\\.\\s*)(lb|tal[a-z]*|t|fl|f|ß|s|d|gross(?:i|is|os|orum)?|gr|hall|hl|hr|kr|ort|dies|diebus)' +
+    '(?=[\\s.,;:)]|$)\\.?(\\s*d\\.)?(?:\\s*(rat|wien|wienn|pat|rhen|ung)[a-z]*\\.?)?(?=\\s*([^\\s.,;:]*))', 'g');
+
+// "lb." alone is a pound weight ("3. lb. Zucker") unless pfennigs, a mint, a number or
+// one of these words follows ("iij̸ lb. in patavia")
+AmountPhrase.MONEY_POUND_FOLLOWERS = ['', 'in', 'et', 'pro', 'de', 'ex', 'a', 'ab', 'minus', 'solvit', 'idem', 'item', 'summa', 'facit', 'und', 'unnd'];
+
+// "minus" right before a number: the amount is taken off ("II. t. minus . XI. d.")
+AmountPhrase.MINUS_PATTERN = /\bminus[\s.,]*$/;
+
+// In the German ledgers an entry that works out a price books the amount after these words
+AmountPhrase.RESULT_PATTERN = /\b(?:thut|thuet|thuett|tut|macht)\b/g;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AmountPhrase;
+}
@@ -0,0 +1,134 @@
+/**
+ * Cache Manager Panel for Aldersbach Monastery Financial Dashboard
+ * Lists the parsed datasets kept by DatasetCache with their size and date,
+ * and evicts single datasets or the whole cache.
+ */
+
+class CachePanel {
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.logger = window.Logger || console;
+
+        this.panel = document.getElementById('cachePanel');
+        this.summary = document.getElementById('cachePanelSummary');
+        this.body = document.getElementById('cachePanelBody');
+
+        if (this.body) {
+            this.body.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-cache-action]');
+                if (!button) return;
+                if (button.dataset.cacheAction === 'evict') {
+                    this.evict(button.dataset.key);
+                } else if (button.dataset.cacheAction === 'clear') {
+                    this.clearAll();
+                }
+            });
+        }
+    }
+
+    async refresh() {
+        if (!this.body) return;
+
+        const cache = this.dashboard.datasetCache;
+        if (!cache.available) {
+            this.renderRecords(null);
+            return;
+        }
+
+        try {
+            this.renderRecords(await cache.list());
+        } catch (error) {
+            this.renderRecords(null);
+        }
+    }
+
+    async evict(key) {
+        try {
+            await this.dashboard.datasetCache.remove(key);
+            this.logger.info('Cached dataset evicted', { key });
+            this.dashboard.showNotification('Cached dataset removed; it will be parsed again on the next load', 'info');
+        } catch (error) {
+            this.logger.error('Cache eviction failed', { key, error: error.message });
+            this.dashboard.showNotification(`Could not remove the cached dataset: ${error.message}`, 'error');
+        }
+        await this.refresh();
+    }
+
+    async clearAll() {
+        try {
+            await this.dashboard.datasetCache.clear();
+            this.logger.info('Dataset cache cleared');
+            this.dashboard.showNotification('Dataset cache cleared', 'info');
+        } catch (error) {
+            this.logger.error('Clearing the dataset cache failed', { error: error.message });
+            this.dashboard.showNotification(`Could not clear the cache: ${error.message}`, 'error');
+        }
+        await this.refresh();
+    }
+
+    formatSize(bytes) {
+        if (!bytes) return '-';
+        return bytes >= 1024 * 1024
+            ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+            : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+
+    describeValidator(validator) {
+        if (!validator) return '-';
+        if (validator.etag) return `ETag ${validator.etag}`;
+        if (validator.lastModified) return `modified ${validator.lastModified}`;
+        return validator.hash ? validator.hash.substring(0, 18) + '…' : '-';
+    }
+
+    /**
+     * records: DatasetCache.list() summaries, or null when there is no cache
+     */
+    renderRecords(records) {
+        if (!this.body) return;
+
+        if (records === null) {
+            if (this.summary) this.summary.textContent = 'Cache: not available in this browser';
+            this.body.innerHTML = '<div class="no-data">Parsed datasets cannot be stored here (IndexedDB unavailable); every load parses the file again</div>';
+            return;
+        }
+
+        const total = records.reduce((sum, record) => sum + (record.storedSize || 0), 0);
+        if (this.summary) {
+            this.summary.textContent = records.length > 0
+                ? `Cache: ${records.length} parsed dataset${records.length === 1 ? '' : 's'}, ${this.formatSize(total)}`
+                : 'Cache: empty';
+        }
+        if (records.length === 0) {
+            this.body.innerHTML = '<div class="no-data">No parsed datasets cached yet; they are stored as they are loaded</div>';
+            return;
+        }
+
+        const rows = records.map(record => `
+            <tr>
+                <td title="${Html.escape(record.path)}">${Html.escape(record.label || record.path)}</td>
+                <td>${(record.transactions || 0).toLocaleString()}</td>
+                <td>${this.formatSize(record.validator ? record.validator.size : 0)}</td>
+                <td>${this.formatSize(record.storedSize)}</td>
+                <td>${new Date(record.cachedAt).toLocaleString()}</td>
+                <td class="entry-text">${this.describeValidator(record.validator)}</td>
+                <td><button class="action-btn" data-cache-action="evict" data-key="${Html.escape(record.key)}">Evict</button></td>
+            </tr>
+        `).join('');
+
+        this.body.innerHTML = `
+            <div class="unit-report-note">A cached dataset is used while the file is unchanged (same ETag, modification date or content hash) and the same rate table is loaded.</div>
+            <table class="dataset-table">
+                <thead>
+                    <tr><th>Dataset</th><th>Transactions</th><th>File size</th><th>Stored size</th><th>Cached</th><th>Validator</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <button class="chart-control-btn" data-cache-action="clear">Clear cache</button>
+        `;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CachePanel;
+}
@@ -0,0 +1,212 @@
+/**
+ * Currency Converter for Aldersbach Monastery Financial Dashboard
+ * One set of florin conversion rates shared by the dashboard, the CSV/JSON
+ * exports and the PDF report. Rate tables are plain JSON:
+ *
+ *   {
+ *     "name": "...", "version": "...", "base": "f",
+ *     "rates": [
+ *       { "unit": "lbdwien", "rate": 1, "validFrom": 1400, "validTo": 1600, "region": "wien", "note": "..." }
+ *     ]
+ *   }
+ *
+ * validFrom / validTo (years, inclusive) and region are optional. When several
+ * entries apply, one of the requested region wins over one without a region,
+ * which wins over another region's; then the narrowest period. The region of
+ * a ledger is the mint it counts in (see datasets.json): in a "wien" ledger
+ * plain lb, s and d are Vienna pence, while lbdrat keeps its Regensburg rate.
+ */
+
+class CurrencyConverter {
+    constructor(table = CurrencyConverter.DEFAULT_TABLE) {
+        this.logger = window.Logger || console;
+        this.loadTable(table);
+    }
+
+    /**
+     * Replace the rate table in effect. Throws if the table is malformed,
+     * leaving the previous table in place.
+     */
+    loadTable(table) {
+        if (!table || !Array.isArray(table.rates)) {
+            throw new Error('Rate table must have a "rates" array');
+        }
+
+        const rates = table.rates.map((entry, index) => {
+            const rate = Number(entry.rate);
+            if (!entry.unit || !isFinite(rate) || rate <= 0) {
+                throw new Error(`Invalid rate entry at position ${index}`);
+            }
+            return {
+                unit: String(entry.unit),
+                rate: rate,
+                validFrom: entry.validFrom !== undefined && entry.validFrom !== null ? Number(entry.validFrom) : null,
+                validTo: entry.validTo !== undefined && entry.validTo !== null ? Number(entry.validTo) : null,
+                region: entry.region || null,
+                note: entry.note || ''
+            };
+        });
+
+        this.table = {
+            name: table.name || 'Unnamed rate table',
+            version: table.version || '',
+            base: table.base || 'f',
+            rates: rates
+        };
+
+        this.index = new Map();
+        rates.forEach(entry => {
+            if (!this.index.has(entry.unit)) this.index.set(entry.unit, []);
+            this.index.get(entry.unit).push(entry);
+        });
+        this.cache = new Map();
+
+        this.logger.debug('Currency rate table loaded', {
+            name: this.table.name,
+            entries: rates.length,
+            units: this.index.size
+        });
+
+        return this.table;
+    }
+
+    /**
+     * Fetch and load a JSON rate table
+     */
+    async loadFromURL(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return this.loadTable(await response.json());
+    }
+
+    /**
+     * Rate entry for a unit in a given year and region, or null
+     */
+    findRate(unit, context = {}) {
+        const year = context.year !== undefined && context.year !== null ? context.year : null;
+        const region = context.region || null;
+        const key = `${unit}|${year}|${region}`;
+        if (this.cache.has(key)) return this.cache.get(key);
+
+        const candidates = (this.index.get(unit) || []).filter(entry => {
+            if (year === null) return true;
+            return (entry.validFrom === null || year >= entry.validFrom) &&
+                   (entry.validTo === null || year <= entry.validTo);
+        });
+
+        const specificity = (entry) => {
+            const span = (entry.validTo === null ? 9999 : entry.validTo) - (entry.validFrom === null ? 0 : entry.validFrom);
+            const match = !entry.region ? 1 : (entry.region === region ? 2 : 0);
+            return match * 100000 - span;
+        };
+
+        let best = null;
+        candidates.forEach(entry => {
+            if (!best || specificity(entry) > specificity(best)) best = entry;
+        });
+
+        this.cache.set(key, best);
+        return best;
+    }
+
+    /**
+     * All entries for a unit, in table order
+     */
+    getEntries(unit) {
+        return this.index.get(unit) || [];
+    }
+
+    getRate(unit, context = {}) {
+        const entry = this.findRate(unit, context);
+        return entry ? entry.rate : undefined;
+    }
+
+    hasRate(unit, context = {}) {
+        return this.findRate(unit, context) !== null;
+    }
+
+    /**
+     * Amount in florins, or 0 when no rate applies (see hasRate)
+     */
+    convert(amount, unit, context = {}) {
+        if (!amount) return 0;
+        const rate = this.getRate(unit, context);
+        return rate === undefined ? 0 : amount * rate;
+    }
+
+    /**
+     * Year of an ISO date string, as used for the rate period lookup
+     */
+    static yearOf(date) {
+        const year = date ? parseInt(String(date).substring(0, 4), 10) : NaN;
+        return isNaN(year) ? null : year;
+    }
+
+    /**
+     * Copy of the table in effect, for recording in exports
+     */
+    describe() {
+        return {
+            name: this.table.name,
+            version: this.table.version,
+            base: this.table.base,
+            rates: this.table.rates.map(entry => ({ ...entry }))
+        };
+    }
+}
+
+// Rough historical conversion rates to florin, used until another table is loaded.
+// A pound (lb, talent) is 8 shillings of 30 pence; the Regensburg penny was the heavier
+// one, and the Vienna penny lost value until the florin stood at about a pound by 1500.
+CurrencyConverter.DEFAULT_TABLE = {
+    name: 'Aldersbach default rates',
+    version: '2',
+    base: 'f',
+    rates: [
+        { unit: 'f', rate: 1, note: 'florin base' },
+        { unit: 'fl', rate: 1, note: 'Gulden, same unit as f in the later ledgers' },
+        { unit: 'frhen', rate: 1, region: 'rhen', note: 'Rhenish florin, the base' },
+        { unit: 'fung', rate: 4 / 3, region: 'ung', note: 'Hungarian gold florin, ~1⅓ Rhenish (estimated)' },
+        { unit: 's', rate: 1 / 30, note: '~30 shillings per florin' },
+        { unit: 'd', rate: 1 / 240, note: '~240 denarius per florin' },
+        { unit: 'hr', rate: 1 / 480, note: 'Heller, half a pfennig' },
+        { unit: 'kr', rate: 1 / 60, note: '~60 kreuzer per florin' },
+        { unit: 'gr', rate: 1 / 20, note: '~20 groschen per florin' },
+        { unit: 't', rate: 1 / 8, note: '~8 talents per florin (estimated)' },
+        { unit: 'l', rate: 1 / 4, note: '~4 libra per florin (estimated)' },
+        { unit: 'p', rate: 1 / 240, note: 'same as denarius' },
+
+        { unit: 'lbdwien', rate: 2, validTo: 1399, region: 'wien', note: 'pound of Vienna pence, ~120 pence per florin (estimated)' },
+        { unit: 'lbdwien', rate: 1.25, validFrom: 1400, validTo: 1499, region: 'wien', note: '~192 Vienna pence per florin (estimated)' },
+        { unit: 'lbdwien', rate: 1, validFrom: 1500, region: 'wien', note: 'florin at a pound of Vienna pence' },
+        { unit: 'lb', rate: 2, validTo: 1399, region: 'wien', note: 'as lbdwien' },
+        { unit: 'lb', rate: 1.25, validFrom: 1400, validTo: 1499, region: 'wien', note: 'as lbdwien' },
+        { unit: 'lb', rate: 1, validFrom: 1500, region: 'wien', note: 'as lbdwien' },
+        { unit: 't', rate: 2, validTo: 1399, region: 'wien', note: 'talent, as lbdwien' },
+        { unit: 't', rate: 1.25, validFrom: 1400, validTo: 1499, region: 'wien', note: 'talent, as lbdwien' },
+        { unit: 't', rate: 1, validFrom: 1500, region: 'wien', note: 'talent, as lbdwien' },
+        { unit: 's', rate: 1 / 4, validTo: 1399, region: 'wien', note: '30 Vienna pence' },
+        { unit: 's', rate: 1.25 / 8, validFrom: 1400, validTo: 1499, region: 'wien', note: '30 Vienna pence' },
+        { unit: 's', rate: 1 / 8, validFrom: 1500, region: 'wien', note: '30 Vienna pence' },
+        { unit: 'd', rate: 1 / 120, validTo: 1399, region: 'wien', note: 'Vienna penny' },
+        { unit: 'd', rate: 1 / 192, validFrom: 1400, validTo: 1499, region: 'wien', note: 'Vienna penny' },
+        { unit: 'd', rate: 1 / 240, validFrom: 1500, region: 'wien', note: 'Vienna penny' },
+
+        { unit: 'tpat', rate: 2, validTo: 1399, region: 'pat', note: 'Passau talent, struck to the Vienna penny (estimated)' },
+        { unit: 'tpat', rate: 1.25, validFrom: 1400, region: 'pat', note: 'Passau talent, struck to the Vienna penny (estimated)' },
+
+        { unit: 'lbdrat', rate: 2.5, validTo: 1399, region: 'rat', note: 'pound of Regensburg pence, ~96 pence per florin (estimated)' },
+        { unit: 'lbdrat', rate: 1.75, validFrom: 1400, region: 'rat', note: '~137 Regensburg pence per florin (estimated)' },
+        { unit: 'trat', rate: 2.5, validTo: 1399, region: 'rat', note: 'Regensburg talent, as lbdrat' },
+        { unit: 'trat', rate: 1.75, validFrom: 1400, region: 'rat', note: 'Regensburg talent, as lbdrat' },
+        { unit: 'srat', rate: 2.5 / 8, validTo: 1399, region: 'rat', note: '30 Regensburg pence' },
+        { unit: 'srat', rate: 1.75 / 8, validFrom: 1400, region: 'rat', note: '30 Regensburg pence' }
+    ]
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CurrencyConverter;
+}
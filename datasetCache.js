@@ -0,0 +1,212 @@
+/**
+ * Dataset Cache for Aldersbach Monastery Financial Dashboard
+ * Keeps parsed LedgerParser models in IndexedDB, so reloading an unchanged
+ * ledger skips the download-and-parse step.
+ *
+ * A record is keyed by file path and remembers how the file looked when it
+ * was parsed: its ETag, else Last-Modified and size, else (local files and
+ * servers sending neither) a hash of the content. It is only used while
+ * that validator still matches and the same rate table, region and parser
+ * version are in effect, since conversion results are part of the model.
+ *
+ * The content hash is taken by the parse from the bytes it reads anyway (in
+ * parserWorker.js when there is a worker), so a file is never downloaded
+ * just to be hashed.
+ */
+
+class DatasetCache {
+    constructor() {
+        this.logger = window.Logger || console;
+        this.dbPromise = null;
+        this.available = typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.available) return Promise.reject(new Error('IndexedDB is not available'));
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DatasetCache.DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(DatasetCache.STORE, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Dataset cache is blocked by another tab'));
+        }).catch(error => {
+            // Private windows and some file:// pages refuse IndexedDB; run without the cache
+            this.available = false;
+            this.logger.warn('Dataset cache unavailable', { error: error.message });
+            throw error;
+        });
+        return this.dbPromise;
+    }
+
+    async transaction(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(DatasetCache.STORE, mode);
+            const request = operation(tx.objectStore(DatasetCache.STORE));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Dataset cache transaction aborted'));
+        });
+    }
+
+    keyOf(source) {
+        return source.file ? `local:${source.path}` : source.path;
+    }
+
+    /**
+     * How the file looks now: { etag } | { lastModified, size }, or
+     * { content: true } when only its content can tell, to be replaced by
+     * { hash, size } once the parse has read it
+     */
+    async validate(source) {
+        if (source.file) {
+            return { content: true, size: source.file.size };
+        }
+
+        try {
+            const head = await fetch(source.url, { method: 'HEAD', cache: 'no-cache' });
+            if (head.ok) {
+                const size = parseInt(head.headers.get('Content-Length'), 10) || 0;
+                const etag = head.headers.get('ETag');
+                if (etag) return { etag, size };
+                const lastModified = head.headers.get('Last-Modified');
+                if (lastModified && size) return { lastModified, size };
+            }
+        } catch (error) {
+            this.logger.debug('HEAD request failed, hashing the content instead', { file: source.path, error: error.message });
+        }
+        return { content: true };
+    }
+
+    /**
+     * True when a record was made from the same file content, rate table and parser
+     */
+    matches(record, validator, rateTable) {
+        if (!record || !validator) return false;
+        if (record.version !== DatasetCache.VERSION) return false;
+        if (record.rateTable !== JSON.stringify(rateTable)) return false;
+
+        const cached = record.validator || {};
+        if (validator.etag) return cached.etag === validator.etag;
+        if (validator.lastModified) return cached.lastModified === validator.lastModified && cached.size === validator.size;
+        return Boolean(validator.hash) && cached.hash === validator.hash;
+    }
+
+    /**
+     * The cached model for a source, or null when there is none or it is stale
+     */
+    async get(source, validator, rateTable) {
+        if (!this.available || !validator || validator.content) return null;
+        try {
+            const record = await this.transaction('readonly', store => store.get(this.keyOf(source)));
+            if (!this.matches(record, validator, rateTable)) return null;
+            if ((record.region || null) !== (source.region || null)) return null;
+            return record.model;
+        } catch (error) {
+            this.logger.warn('Dataset cache read failed', { file: source.path, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Store a freshly parsed model; bytes is the size of the file it was parsed from
+     */
+    async put(source, validator, rateTable, model, bytes) {
+        if (!this.available || !validator || validator.content) return false;
+        try {
+            await this.transaction('readwrite', store => store.put({
+                key: this.keyOf(source),
+                label: source.label,
+                path: source.path,
+                region: source.region || null,
+                validator: validator,
+                rateTable: JSON.stringify(rateTable),
+                version: DatasetCache.VERSION,
+                cachedAt: new Date().toISOString(),
+                transactions: model.transactions.length,
+                storedSize: DatasetCache.estimateSize(bytes || validator.size),
+                model: model
+            }));
+            return true;
+        } catch (error) {
+            // Usually the storage quota; the load itself is not affected
+            this.logger.warn('Dataset cache write failed', { file: source.path, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Records without their models, for the cache panel
+     */
+    async list() {
+        if (!this.available) return [];
+        const records = [];
+        await this.transaction('readonly', store => {
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                const { model, ...summary } = cursor.value;
+                records.push(summary);
+                cursor.continue();
+            };
+            return request;
+        });
+        return records.sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    async remove(key) {
+        await this.transaction('readwrite', store => store.delete(key));
+    }
+
+    async clear() {
+        await this.transaction('readwrite', store => store.clear());
+    }
+
+    /**
+     * Approximate size of a model as stored, in bytes, from the size of the file it was
+     * parsed from; measuring the model itself would mean serializing it on the main thread
+     */
+    static estimateSize(fileBytes) {
+        return Math.round((fileBytes || 0) * DatasetCache.MODEL_SIZE_FACTOR);
+    }
+
+    /**
+     * Hash of a file's bytes (Uint8Array); run by parserWorker.js, off the main thread
+     */
+    static async hashBytes(bytes) {
+        if (typeof crypto !== 'undefined' && crypto.subtle) {
+            const digest = await crypto.subtle.digest('SHA-256', bytes);
+            return 'sha256:' + Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+
+        // crypto.subtle needs a secure context; cyrb53 is enough to notice an edited file
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < bytes.length; i++) {
+            const c = bytes[i];
+            h1 = Math.imul(h1 ^ c, 2654435761);
+            h2 = Math.imul(h2 ^ c, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return 'cyrb53:' + (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+    }
+}
+
+DatasetCache.DB_NAME = 'aldersbach-dashboard';
+DatasetCache.STORE = 'datasets';
+// Raise when LedgerParser's model changes, so older records are parsed again
+DatasetCache.VERSION = 7;
+// A model keeps every transaction's rawXML (about the whole file) and its parsed fields take
+// about as much again: the Aldersbach ledgers serialize to 1.96-2.08 times their file size
+DatasetCache.MODEL_SIZE_FACTOR = 2;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DatasetCache;
+}
@@ -0,0 +1,290 @@
+/**
+ * Dataset Info Panel for Aldersbach Monastery Financial Dashboard
+ * Shows the depcha:Dataset / void:Dataset metadata of the loaded file and
+ * compares its declared counts and per-year revenue/expenses with what the
+ * dashboard actually parsed, flagging mismatches (usually parser losses).
+ * The declared revenue/expenses are sums of the values written in one unit,
+ * not conversions of the whole entry, so they are compared unit for unit.
+ * With several ledgers loaded, each file is compared on its own.
+ */
+
+class DatasetPanel {
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.logger = window.Logger || console;
+
+        this.panel = document.getElementById('datasetPanel');
+        this.summary = document.getElementById('datasetPanelSummary');
+        this.body = document.getElementById('datasetPanelBody');
+
+        // depcha:numberOf* property -> label and how to count it in the parsed model
+        this.countDefinitions = [
+            { key: 'Transactions', label: 'Transactions', parsed: d => d.transactions.length },
+            { key: 'Transfers', label: 'Transfers', parsed: d => this.sumOver(d.transactions, t => (t.transfers || []).length) },
+            { key: 'MonetaryValues', label: 'Monetary values', parsed: d => this.sumOver(d.transactions, t => t.amounts.length) },
+            { key: 'EconomicGoods', label: 'Goods & services', parsed: d => this.sumOver(d.transactions, t => (t.goods || []).length) },
+            { key: 'EconomicAgents', label: 'Economic agents', parsed: d => d.agents.size },
+            { key: 'Accounts', label: 'Accounts', parsed: d => d.accounts.size },
+            { key: 'Places', label: 'Places', parsed: d => Array.from(d.places.values()).filter(p => p.resolved).length },
+            { key: 'Totals', label: 'Totals (Summa)', parsed: d => d.totals.length }
+        ];
+    }
+
+    sumOver(transactions, fn) {
+        return transactions.reduce((sum, t) => sum + fn(t), 0);
+    }
+
+    /**
+     * Declared vs. parsed counts for every depcha:numberOf* the dataset carries.
+     * `model` is the dashboard or one of its source models.
+     */
+    compareCounts(model = this.dashboard) {
+        const metadata = model.datasetMetadata;
+        if (!metadata) return [];
+
+        return this.countDefinitions
+            .filter(definition => metadata.counts[definition.key] !== undefined)
+            .map(definition => {
+                const declared = metadata.counts[definition.key];
+                const parsed = definition.parsed(model);
+                return {
+                    key: definition.key,
+                    label: definition.label,
+                    declared: declared,
+                    parsed: parsed,
+                    mismatch: declared !== parsed
+                };
+            });
+    }
+
+    /**
+     * Currency code for an aggregation's bk:unit, which is a label such as "Pfennig"
+     */
+    resolveUnit(unitLabel) {
+        if (!unitLabel) return null;
+        const wanted = unitLabel.toLowerCase();
+
+        for (const [code, currency] of this.dashboard.currencies) {
+            if (code.toLowerCase() === wanted || currency.label.toLowerCase() === wanted) return code;
+        }
+        return null;
+    }
+
+    /**
+     * Parsed income and expenses of a year: the values written in the given unit
+     * (1 f 2 s 18 d adds 18 to a Pfennig aggregate, as in the declared figures)
+     */
+    getParsedTotals(year, code, transactions = this.dashboard.transactions) {
+        // By the year as written, so aggregates of placeholder years (2400, 1900) find their entries
+        const inYear = transactions.filter(t => (t.dateInfo ? t.dateInfo.year : CurrencyConverter.yearOf(t.date)) === year);
+        const total = (type) => this.sumOver(inYear.filter(t => t.type === type),
+            t => this.sumOver(t.amounts.filter(amount => amount.currency === code), amount => amount.amount));
+
+        return { revenue: total('income'), expenses: total('expense') };
+    }
+
+    isMismatch(declared, parsed) {
+        return Math.abs(parsed - declared) > Math.max(1, Math.abs(declared) * 0.01);
+    }
+
+    /**
+     * Declared vs. parsed revenue/expenses per depcha:Aggregation. Only parsed figures below the
+     * declared ones are a mismatch; above them ('surplus') the aggregate skipped values the
+     * ledger does hold (1.xml leaves out a second Pfennig value in the same transfer).
+     */
+    compareAggregations(model = this.dashboard) {
+        const metadata = model.datasetMetadata;
+        if (!metadata) return [];
+
+        return metadata.aggregations.map(aggregation => {
+            const row = { ...aggregation, code: null, parsedRevenue: null, parsedExpenses: null, status: 'ok' };
+
+            // Placeholder aggregations carry no unit and zero figures
+            if (!aggregation.unit && aggregation.revenue === 0 && aggregation.expenses === 0) {
+                row.status = 'empty';
+                return row;
+            }
+
+            row.code = this.resolveUnit(aggregation.unit);
+            if (!row.code) {
+                row.status = 'unknown-unit';
+                return row;
+            }
+
+            const parsed = this.getParsedTotals(aggregation.year, row.code, model.transactions);
+            row.parsedRevenue = parsed.revenue;
+            row.parsedExpenses = parsed.expenses;
+            const differing = [[aggregation.revenue, parsed.revenue], [aggregation.expenses, parsed.expenses]]
+                .filter(([declared, value]) => this.isMismatch(declared, value));
+            if (differing.some(([declared, value]) => value < declared)) {
+                row.status = 'mismatch';
+            } else if (differing.length > 0) {
+                row.status = 'surplus';
+            }
+            return row;
+        });
+    }
+
+    render() {
+        if (!this.body) return;
+
+        if (this.dashboard.sources.length > 1) {
+            this.renderSources();
+            return;
+        }
+
+        const metadata = this.dashboard.datasetMetadata;
+        if (!metadata) {
+            if (this.summary) this.summary.textContent = 'Dataset: no depcha:Dataset description in this file';
+            this.body.innerHTML = '<div class="no-data">This file does not describe itself with depcha:Dataset</div>';
+            return;
+        }
+
+        const dataset = this.renderDataset(this.dashboard);
+
+        if (this.summary) {
+            this.summary.textContent = `Dataset: ${metadata.uri.split(/[\/#]/).pop() || 'unnamed'} — ` + this.describeMismatches(dataset.mismatches);
+        }
+        if (this.panel) {
+            this.panel.classList.toggle('has-mismatch', dataset.mismatches > 0);
+        }
+
+        this.body.innerHTML = dataset.html;
+
+        this.logger.debug('Dataset panel rendered', {
+            dataset: metadata.uri,
+            mismatches: dataset.mismatches
+        });
+    }
+
+    /**
+     * One section per loaded ledger, each checked against its own declaration
+     */
+    renderSources() {
+        const sections = this.dashboard.sources.map(model => {
+            const period = model.source.period ? ` (${model.source.period})` : '';
+            const heading = `<h4 class="dataset-source" title="${Html.escape(model.source.path)}">${Html.escape(model.source.label + period)}</h4>`;
+            if (!model.datasetMetadata) {
+                return { mismatches: 0, html: `${heading}<div class="no-data">This file does not describe itself with depcha:Dataset</div>` };
+            }
+            const dataset = this.renderDataset(model);
+            return { mismatches: dataset.mismatches, html: heading + dataset.html };
+        });
+        const mismatches = sections.reduce((sum, section) => sum + section.mismatches, 0);
+
+        if (this.summary) {
+            this.summary.textContent = `Datasets: ${sections.length} ledgers — ` + this.describeMismatches(mismatches);
+        }
+        if (this.panel) {
+            this.panel.classList.toggle('has-mismatch', mismatches > 0);
+        }
+
+        this.body.innerHTML = sections.map(section => section.html).join('');
+
+        this.logger.debug('Dataset panel rendered', {
+            datasets: sections.length,
+            mismatches: mismatches
+        });
+    }
+
+    describeMismatches(mismatches) {
+        return mismatches > 0
+            ? `⚠ ${mismatches} mismatch${mismatches === 1 ? '' : 'es'} with the parsed data`
+            : 'matches the parsed data';
+    }
+
+    /**
+     * Metadata and comparison tables of one model that carries datasetMetadata
+     */
+    renderDataset(model) {
+        const metadata = model.datasetMetadata;
+        const counts = this.compareCounts(model);
+        const aggregations = this.compareAggregations(model);
+        const mismatches = counts.filter(row => row.mismatch).length +
+                           aggregations.filter(row => row.status === 'mismatch').length;
+
+        const mainCurrency = metadata.mainCurrency
+            ? this.dashboard.getCurrencyLabel(this.dashboard.getResourceId(metadata.mainCurrency))
+            : '-';
+        const accountHolder = metadata.accountHolder ? this.dashboard.getResourceLabel(metadata.accountHolder) : '-';
+        // Linked only when dc:rights is a plain http(s) URL; anything else is shown as text
+        const rights = DatasetPanel.RIGHTS_URL.test(metadata.rights || '')
+            ? `<a href="${Html.escape(metadata.rights)}" target="_blank" rel="noopener">${Html.escape(metadata.rights)}</a>`
+            : Html.escape(metadata.rights || '-');
+
+        const html = `
+            <div class="dataset-meta">
+                <div class="detail-item"><label>Dataset:</label><span title="${Html.escape(metadata.uri)}">${Html.escape(metadata.uri || '-')}</span></div>
+                <div class="detail-item"><label>Account holder:</label><span>${Html.escape(accountHolder)}</span></div>
+                <div class="detail-item"><label>Main currency:</label><span>${Html.escape(mainCurrency)}</span></div>
+                <div class="detail-item"><label>Rights:</label><span>${rights}</span></div>
+                <div class="detail-item"><label>Publisher:</label><span>${Html.escape(metadata.publisher || '-')}</span></div>
+            </div>
+            ${this.renderCounts(counts)}
+            ${this.renderAggregations(aggregations)}
+        `;
+
+        return { html, mismatches };
+    }
+
+    renderCounts(counts) {
+        if (counts.length === 0) return '';
+
+        const rows = counts.map(row => `
+            <tr class="${row.mismatch ? 'mismatch' : ''}">
+                <td>${row.label}</td>
+                <td>${row.declared}</td>
+                <td>${row.parsed}</td>
+                <td>${row.mismatch ? `⚠ ${row.parsed - row.declared > 0 ? '+' : ''}${row.parsed - row.declared}` : '✓'}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="dataset-table">
+                <thead><tr><th>Declared count</th><th>Declared</th><th>Parsed</th><th>Status</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderAggregations(aggregations) {
+        if (aggregations.length === 0) return '';
+
+        const value = (number) => number === null ? '-' : number.toFixed(number % 1 === 0 ? 0 : 1);
+        const status = {
+            ok: '✓',
+            mismatch: '⚠ mismatch',
+            surplus: 'parsed more than declared',
+            empty: 'no figures declared',
+            'unknown-unit': 'unit not in this ledger'
+        };
+
+        const rows = aggregations.map(row => `
+            <tr class="${row.status === 'mismatch' ? 'mismatch' : ''}${row.status === 'empty' ? ' empty' : ''}">
+                <td>${isNaN(row.year) ? '-' : row.year}</td>
+                <td>${Html.escape(row.unit || '-')}</td>
+                <td>${value(row.revenue)}</td>
+                <td>${value(row.parsedRevenue)}</td>
+                <td>${value(row.expenses)}</td>
+                <td>${value(row.parsedExpenses)}</td>
+                <td>${status[row.status]}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="dataset-table">
+                <thead>
+                    <tr><th>Year</th><th>Unit</th><th>Revenue (declared)</th><th>Revenue (parsed)</th><th>Expenses (declared)</th><th>Expenses (parsed)</th><th>Status</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+}
+
+DatasetPanel.RIGHTS_URL = /^https?:\/\/[^\s"'<>]+$/;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DatasetPanel;
+}
@@ -18,19 +18,24 @@ class ExportManager {
                 'Type',
                 'Florin Equivalent',
                 'People/Places',
-                'URI'
+                'URI',
+                'Source',
+                'Rate Table'
             ];
+            const rateTable = this.getRateTableLabel();
             
             // Convert transactions to CSV rows
             const rows = transactions.map(t => {
                 const date = t.when || t.date || '';
                 const entry = this.escapeCSV(t.entry || '');
-                const amount = t.amount || '';
-                const currency = t.currency || '';
+                const amounts = this.getAmounts(t);
+                const amount = this.getMoney(t).format();
+                const currency = this.escapeCSV([...new Set(amounts.map(a => a.currency))].join(', '));
                 const type = t.type || 'Transfer';
-                const florinEquiv = this.convertToFlorins(t.amount, t.currency).toFixed(2);
+                const florinEquiv = this.getFlorinValue(t).toFixed(2);
                 const entities = this.extractEntities(t.entry || '').join('; ');
                 const uri = t.uri || '';
+                const source = this.escapeCSV(t.source ? this.dashboard.getSourceLabel(t.source) : '');
                 
                 return [
                     date,
@@ -40,7 +45,9 @@ class ExportManager {
                     type,
                     florinEquiv,
                     entities,
-                    uri
+                    uri,
+                    source,
+                    this.escapeCSV(rateTable)
                 ].join(',');
             });
             
@@ -92,21 +99,39 @@ class ExportManager {
                     recordCount: transactions.length,
                     dateRange: this.getDateRange(transactions),
                     currencies: this.getUniqueCurrencies(transactions),
+                    conversionTable: this.dashboard.currencyConverter.describe(),
                     ...metadata
                 },
                 transactions: transactions.map(t => ({
                     date: t.when || t.date || null,
+                    dateAsWritten: t.dateInfo ? t.dateInfo.original : null,
+                    datePrecision: t.dateInfo ? t.dateInfo.precision : null,
+                    dateFlags: t.dateInfo ? t.dateInfo.flags : [],
+                    dateExpression: t.dateInfo && t.dateInfo.expression ? t.dateInfo.expression : null,
+                    dateGregorian: LedgerDate.hasPrecision(t.date, 'day') ? JulianCalendar.toGregorianValue(t.date.substring(0, 10)) : null,
                     entry: t.entry || '',
                     amount: t.amount || null,
                     currency: t.currency || null,
+                    amounts: this.getAmounts(t).map(a => ({
+                        amount: a.amount,
+                        currency: a.currency,
+                        florinEquivalent: this.convertToFlorins(a.amount, a.currency, this.getYear(t), this.dashboard.regionOf(t)),
+                        converted: this.dashboard.currencyConverter.hasRate(a.currency, { year: this.getYear(t), region: this.dashboard.regionOf(t) })
+                    })),
+                    amountsInText: t.textAmounts ? t.textAmounts.map(a => ({ amount: a.amount, currency: a.currency, text: a.text })) : [],
+                    amountCheck: t.amountCheck || null,
+                    compound: this.getMoney(t).format(),
                     type: t.type || 'Transfer',
-                    florinEquivalent: this.convertToFlorins(t.amount, t.currency),
+                    typeRule: t.typeRule || null,
+                    florinEquivalent: this.getFlorinValue(t),
                     entities: this.extractEntities(t.entry || ''),
                     uri: t.uri || null,
+                    source: t.source || null,
                     raw: t.raw || null
                 })),
                 statistics: {
                     totalValue: this.calculateTotalValue(transactions),
+                    totalCompound: this.dashboard.formatMoney(Money.sum(transactions.map(t => this.getMoney(t)))),
                     averageTransaction: this.calculateAverageTransaction(transactions),
                     currencyDistribution: this.getCurrencyDistribution(transactions),
                     monthlyAverages: this.getMonthlyAverages(transactions)
@@ -145,6 +170,59 @@ class ExportManager {
         }
     }
 
+    // Data quality report (see QualityPanel.buildReport): one row per finding, or the whole report as JSON
+    exportQualityReport(report, format = 'csv', filename = `aldersbach_data_quality.${format}`) {
+        try {
+            let blob;
+            if (format === 'json') {
+                const exportData = {
+                    metadata: {
+                        exportDate: new Date().toISOString(),
+                        source: 'Aldersbach Monastery Financial Dashboard',
+                        rateTable: this.getRateTableLabel(),
+                        rules: LedgerParser.VALIDATION_RULES
+                    },
+                    ...report
+                };
+                blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json;charset=utf-8;' });
+            } else {
+                const headers = ['Source', 'Rule', 'Severity', 'Transaction', 'URI', 'Value', 'Message'];
+                const rows = report.issues.map(issue => [
+                    issue.source,
+                    issue.rule,
+                    issue.severity,
+                    issue.transaction,
+                    issue.uri,
+                    issue.value,
+                    issue.message
+                ].map(field => this.escapeCSV(String(field || ''))).join(','));
+                blob = new Blob(['\uFEFF' + [headers.join(','), ...rows].join('\n')], { type: 'text/csv;charset=utf-8;' });
+            }
+
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.setAttribute('href', url);
+            link.setAttribute('download', filename);
+            link.style.display = 'none';
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            URL.revokeObjectURL(url);
+
+            this.logger.logExport(format.toUpperCase(), 'data quality report', blob.size);
+            return true;
+
+        } catch (error) {
+            this.logger.error('Data quality export failed', {
+                error: error.message,
+                format: format
+            });
+            return false;
+        }
+    }
+
     // Helper function to escape CSV special characters
     escapeCSV(str) {
         if (str.includes(',') || str.includes('"') || str.includes('\n')) {
@@ -153,21 +231,37 @@ class ExportManager {
         return str;
     }
 
-    // Helper function to convert currency to florins
-    convertToFlorins(amount, currency) {
+    // Helper function to convert currency to florins (shared rate table, 0 for units without a rate)
+    convertToFlorins(amount, currency, year = null, region = null) {
         if (!amount || !currency) return 0;
-        
-        const conversionRates = {
-            'f': 1,
-            's': 0.05,
-            'd': 0.004167,
-            'gr': 0.0625,
-            't': 0.5,
-            'l': 1,
-            'p': 0.004167
-        };
-        
-        return amount * (conversionRates[currency] || 1);
+        return this.dashboard.currencyConverter.convert(amount, currency, { year, region });
+    }
+
+    // Helper function to list a transaction's monetary values (parsed amounts or a single amount/currency pair)
+    getAmounts(t) {
+        if (Array.isArray(t.amounts)) return t.amounts;
+        return t.amount ? [{ amount: t.amount, currency: t.currency }] : [];
+    }
+
+    // Helper function to get the year used for period-specific rates
+    getYear(t) {
+        return CurrencyConverter.yearOf(t.when || t.date);
+    }
+
+    // Helper function to get a transaction's exact compound value
+    getMoney(t) {
+        return t.money || Money.fromAmounts(this.getAmounts(t));
+    }
+
+    // Helper function to get a transaction's florin value with the shared rate table
+    getFlorinValue(t) {
+        return this.getMoney(t).toFlorins(this.dashboard.currencyConverter, this.getYear(t), this.dashboard.regionOf(t));
+    }
+
+    // Helper function to name the rate table in effect
+    getRateTableLabel() {
+        const table = this.dashboard.currencyConverter.table;
+        return table.version ? `${table.name} v${table.version}` : table.name;
     }
 
     // Helper function to extract entities from German text
@@ -216,14 +310,14 @@ class ExportManager {
 
     // Helper function to get unique currencies
     getUniqueCurrencies(transactions) {
-        return [...new Set(transactions.map(t => t.currency).filter(c => c))];
+        const currencies = [];
+        transactions.forEach(t => this.getAmounts(t).forEach(a => currencies.push(a.currency)));
+        return [...new Set(currencies.filter(c => c))];
     }
 
     // Helper function to calculate total value in florins
     calculateTotalValue(transactions) {
-        return transactions.reduce((sum, t) => {
-            return sum + this.convertToFlorins(t.amount, t.currency);
-        }, 0);
+        return this.dashboard.sumFlorins(transactions, t => this.getMoney(t));
     }
 
     // Helper function to calculate average transaction value
@@ -237,13 +331,14 @@ class ExportManager {
         const distribution = {};
         
         transactions.forEach(t => {
-            if (t.currency) {
-                if (!distribution[t.currency]) {
-                    distribution[t.currency] = { count: 0, totalValue: 0 };
+            this.getAmounts(t).forEach(a => {
+                if (!a.currency) return;
+                if (!distribution[a.currency]) {
+                    distribution[a.currency] = { count: 0, totalValue: 0 };
                 }
-                distribution[t.currency].count++;
-                distribution[t.currency].totalValue += this.convertToFlorins(t.amount, t.currency);
-            }
+                distribution[a.currency].count++;
+                distribution[a.currency].totalValue += this.convertToFlorins(a.amount, a.currency, this.getYear(t), this.dashboard.regionOf(t));
+            });
         });
         
         return distribution;
@@ -254,8 +349,9 @@ class ExportManager {
         const monthlyData = {};
         
         transactions.forEach(t => {
-            if (t.when) {
-                const date = new Date(t.when);
+            const when = t.when || t.date;
+            if (when) {
+                const date = new Date(when);
                 const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
                 
                 if (!monthlyData[monthKey]) {
@@ -263,7 +359,7 @@ class ExportManager {
                 }
                 
                 monthlyData[monthKey].count++;
-                monthlyData[monthKey].total += this.convertToFlorins(t.amount, t.currency);
+                monthlyData[monthKey].total += this.getFlorinValue(t);
             }
         });
         
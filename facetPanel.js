@@ -0,0 +1,435 @@
+/**
+ * Facet Panel for Aldersbach Monastery Financial Dashboard
+ * Narrows the transactions after the search box and the filter selects: a
+ * date range, a florin range and multi-select facets (type, unit, account,
+ * agent, place, commodity classification, ledger). Each facet value shows
+ * how many transactions it would leave under the other active filters, and
+ * every active filter, the selects' included, appears as a removable chip
+ * above the transaction table.
+ *
+ * Values of one facet combine with OR, facets with AND.
+ */
+
+class FacetPanel {
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.logger = window.Logger || console;
+
+        this.panel = document.getElementById('facetPanel');
+        this.summary = document.getElementById('facetPanelSummary');
+        this.body = document.getElementById('facetPanelBody');
+        this.chips = document.getElementById('filterChips');
+
+        this.reset();
+
+        if (this.panel) {
+            this.panel.addEventListener('toggle', () => {
+                if (this.panel.open) this.render();
+            });
+        }
+        if (this.body) {
+            this.body.addEventListener('change', (e) => this.handleChange(e.target));
+            this.body.addEventListener('input', (e) => {
+                if (e.target.dataset.range === 'florins-min' || e.target.dataset.range === 'florins-max') {
+                    this.showAmountLabels();
+                }
+            });
+            this.body.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-facet-action="clear"]');
+                if (button) this.clear();
+            });
+        }
+        if (this.chips) {
+            this.chips.addEventListener('click', (e) => {
+                const chip = e.target.closest('button[data-chip]');
+                if (chip) this.removeChip(chip.dataset.chip, chip.dataset.key, chip.dataset.value);
+            });
+        }
+    }
+
+    /**
+     * Drop every facet selection and range; called when a new corpus is loaded
+     */
+    reset() {
+        this.selected = new Map(FacetPanel.FACETS.map(facet => [facet.key, new Set()]));
+        this.dateFrom = '';
+        this.dateTo = '';
+        this.florins = null;  // { min, max } once the slider moved
+        this.steps = [];  // distinct florin values of the corpus, the slider positions
+        this.dateBounds = null;
+        this.corpus = null;
+        this.valueCache = new WeakMap();
+        this.counts = new Map();
+        this.matched = 0;
+    }
+
+    /**
+     * Slider steps and date bounds of the loaded transactions
+     */
+    readCorpus(transactions) {
+        if (this.corpus === transactions) return;
+        this.corpus = transactions;
+        this.valueCache = new WeakMap();
+
+        this.steps = [...new Set(transactions.map(t => t.totalFlorinValue || 0))].sort((a, b) => a - b);
+        const dates = transactions.map(t => t.date).filter(Boolean).sort();
+        this.dateBounds = dates.length > 0
+            ? { min: FacetPanel.padDate(dates[0], '01'), max: FacetPanel.padDate(dates[dates.length - 1], null) }
+            : null;
+    }
+
+    /**
+     * "1557" -> "1557-01-01" (start) or "1557-12-31" (end, day null)
+     */
+    static padDate(value, day) {
+        const [year, month, date] = value.split('-');
+        if (date) return value;
+        if (month) return `${year}-${month}-${day || String(new Date(Date.UTC(year, month, 0)).getUTCDate())}`;
+        return day ? `${year}-01-01` : `${year}-12-31`;
+    }
+
+    /**
+     * Values of a transaction for a facet, cached per corpus
+     */
+    valuesOf(transaction, facet) {
+        let values = this.valueCache.get(transaction);
+        if (!values) {
+            values = {};
+            this.valueCache.set(transaction, values);
+        }
+        if (!values[facet.key]) {
+            values[facet.key] = [...new Set(facet.values(transaction, this.dashboard))];
+        }
+        return values[facet.key];
+    }
+
+    matchesFacet(transaction, facet) {
+        const selected = this.selected.get(facet.key);
+        return selected.size === 0 || this.valuesOf(transaction, facet).some(value => selected.has(value));
+    }
+
+    /**
+     * Date and florin ranges; dates less precise than a bound are left out,
+     * as in the date: search field
+     */
+    matchesRanges(transaction) {
+        if (this.dateFrom || this.dateTo) {
+            const range = { min: this.dateFrom || null, minInclusive: true, max: this.dateTo || null, maxInclusive: true };
+            if (!TransactionQuery.inRange(transaction.date, range, 'date')) return false;
+        }
+        if (this.florins) {
+            const value = transaction.totalFlorinValue || 0;
+            if (value < this.florins.min || value > this.florins.max) return false;
+        }
+        return true;
+    }
+
+    /**
+     * The transactions passing the panel, out of those passing the other
+     * filters; counts each facet value under the filters of the other facets
+     */
+    apply(transactions) {
+        this.readCorpus(this.dashboard.transactions);
+
+        const ranged = transactions.filter(t => this.matchesRanges(t));
+        const active = FacetPanel.FACETS.filter(facet => this.selected.get(facet.key).size > 0);
+        const filtered = ranged.filter(t => active.every(facet => this.matchesFacet(t, facet)));
+
+        this.counts = new Map();
+        FacetPanel.FACETS.forEach(facet => {
+            const others = active.filter(other => other !== facet);
+            const counts = new Map();
+            ranged.forEach(t => {
+                if (!others.every(other => this.matchesFacet(t, other))) return;
+                this.valuesOf(t, facet).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+            });
+            this.counts.set(facet.key, counts);
+        });
+        this.matched = filtered.length;
+
+        if (this.panel && this.panel.open) this.render();
+        this.renderSummary();
+        this.renderChips();
+        return filtered;
+    }
+
+    handleChange(target) {
+        if (target.dataset.facet) {
+            const selected = this.selected.get(target.dataset.facet);
+            if (target.checked) {
+                selected.add(target.value);
+            } else {
+                selected.delete(target.value);
+            }
+        } else if (target.dataset.range === 'date-from') {
+            this.dateFrom = target.value;
+        } else if (target.dataset.range === 'date-to') {
+            this.dateTo = target.value;
+        } else if (target.dataset.range === 'florins-min' || target.dataset.range === 'florins-max') {
+            this.florins = this.readAmountSliders();
+        } else {
+            return;
+        }
+
+        this.logger.info('Facet filter changed', this.describe());
+        this.dashboard.applyFilters();
+    }
+
+    /**
+     * { min, max } florins of the two sliders, or null when they span every value
+     */
+    readAmountSliders() {
+        const low = this.body.querySelector('[data-range="florins-min"]');
+        const high = this.body.querySelector('[data-range="florins-max"]');
+        const positions = [parseInt(low.value, 10), parseInt(high.value, 10)].sort((a, b) => a - b);
+        if (positions[0] === 0 && positions[1] === this.steps.length - 1) return null;
+        return { min: this.steps[positions[0]], max: this.steps[positions[1]] };
+    }
+
+    showAmountLabels() {
+        const label = this.body.querySelector('.facet-amount-label');
+        const range = this.readAmountSliders();
+        if (label) label.textContent = this.formatFlorins(range);
+    }
+
+    formatFlorins(range) {
+        if (this.steps.length === 0) return '-';
+        const { min, max } = range || { min: this.steps[0], max: this.steps[this.steps.length - 1] };
+        const format = (value) => `${Math.round(value * 100) / 100} fl`;
+        return `${format(min)} – ${format(max)}`;
+    }
+
+    clear() {
+        this.selected.forEach(values => values.clear());
+        this.dateFrom = '';
+        this.dateTo = '';
+        this.florins = null;
+        this.dashboard.applyFilters();
+    }
+
+    /**
+     * Active panel filters, for the log and the JSON export
+     */
+    describe() {
+        const facets = {};
+        this.selected.forEach((values, key) => {
+            if (values.size > 0) facets[key] = [...values];
+        });
+        return {
+            dateFrom: this.dateFrom || null,
+            dateTo: this.dateTo || null,
+            florins: this.florins,
+            facets
+        };
+    }
+
+    renderSummary() {
+        if (!this.summary) return;
+        const active = [...this.selected.values()].reduce((sum, values) => sum + values.size, 0)
+            + (this.dateFrom || this.dateTo ? 1 : 0) + (this.florins ? 1 : 0);
+        this.summary.textContent = active > 0
+            ? `Filters: ${active} active, ${this.matched.toLocaleString()} transactions`
+            : 'Filters';
+    }
+
+    render() {
+        if (!this.body) return;
+        if (!this.corpus || this.corpus.length === 0) {
+            this.body.innerHTML = '<div class="no-data">Select a data file to filter its transactions</div>';
+            return;
+        }
+
+        const scrolls = new Map([...this.body.querySelectorAll('.facet-values')].map(list => [list.dataset.facet, list.scrollTop]));
+
+        const facets = FacetPanel.FACETS.map(facet => {
+            const counts = this.counts.get(facet.key) || new Map();
+            const selected = this.selected.get(facet.key);
+            const values = [...new Set([...counts.keys(), ...selected])]
+                .map(value => ({ value, label: facet.label(value, this.dashboard), count: counts.get(value) || 0 }))
+                .filter(item => item.count > 0 || selected.has(item.value))
+                .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+            if (values.length === 0) return '';
+
+            const items = values.map(item => `
+                <label class="facet-value${item.count === 0 ? ' facet-empty' : ''}" title="${Html.escape(item.value)}">
+                    <input type="checkbox" data-facet="${facet.key}" value="${Html.escape(item.value)}"${selected.has(item.value) ? ' checked' : ''}>
+                    <span class="facet-label">${Html.escape(item.label)}</span>
+                    <span class="facet-count">${item.count.toLocaleString()}</span>
+                </label>
+            `).join('');
+            return `
+                <fieldset class="facet">
+                    <legend>${facet.title}</legend>
+                    <div class="facet-values" data-facet="${facet.key}">${items}</div>
+                </fieldset>
+            `;
+        }).join('');
+
+        const bounds = this.dateBounds || { min: '', max: '' };
+        const lastStep = Math.max(0, this.steps.length - 1);
+        const low = this.florins ? this.steps.indexOf(this.florins.min) : 0;
+        const high = this.florins ? this.steps.indexOf(this.florins.max) : lastStep;
+
+        this.body.innerHTML = `
+            <div class="facet-ranges">
+                <fieldset class="facet">
+                    <legend>Date</legend>
+                    <label>From <input type="date" data-range="date-from" min="${bounds.min}" max="${bounds.max}" value="${this.dateFrom}"></label>
+                    <label>To <input type="date" data-range="date-to" min="${bounds.min}" max="${bounds.max}" value="${this.dateTo}"></label>
+                    <div class="unit-report-note">Dates as written; entries dated only by year or month are left out of a day range</div>
+                </fieldset>
+                <fieldset class="facet">
+                    <legend>Value in florins</legend>
+                    <input type="range" data-range="florins-min" min="0" max="${lastStep}" step="1" value="${low}" aria-label="Lowest value">
+                    <input type="range" data-range="florins-max" min="0" max="${lastStep}" step="1" value="${high}" aria-label="Highest value">
+                    <div class="facet-amount-label">${this.formatFlorins(this.florins)}</div>
+                </fieldset>
+            </div>
+            <div class="facet-grid">${facets}</div>
+            <button class="chart-control-btn" data-facet-action="clear">Clear panel filters</button>
+        `;
+
+        this.body.querySelectorAll('.facet-values').forEach(list => {
+            if (scrolls.has(list.dataset.facet)) list.scrollTop = scrolls.get(list.dataset.facet);
+        });
+    }
+
+    /**
+     * [{ kind, key, value, text }] of every active filter, the search box and selects included
+     */
+    getChips() {
+        const dashboard = this.dashboard;
+        const chips = [];
+
+        const search = dashboard.searchBox.value.trim();
+        if (search) chips.push({ kind: 'search', text: `Search: ${search}` });
+
+        FacetPanel.SELECTS.forEach(({ element, label }) => {
+            const select = dashboard[element];
+            if (select && select.value) {
+                const option = select.options[select.selectedIndex];
+                chips.push({ kind: 'select', key: element, text: `${label}: ${option ? option.textContent.trim() : select.value}` });
+            }
+        });
+
+        if (dashboard.accountTree.selectedAccount) {
+            chips.push({ kind: 'account', text: `Account: ${dashboard.accountTree.getLabel(dashboard.accountTree.selectedAccount)}` });
+        }
+        if (this.dateFrom || this.dateTo) {
+            chips.push({ kind: 'date', text: `Date: ${this.dateFrom || '…'} – ${this.dateTo || '…'}` });
+        }
+        if (this.florins) {
+            chips.push({ kind: 'florins', text: `Value: ${this.formatFlorins(this.florins)}` });
+        }
+        FacetPanel.FACETS.forEach(facet => {
+            this.selected.get(facet.key).forEach(value => {
+                chips.push({ kind: 'facet', key: facet.key, value, text: `${facet.title}: ${facet.label(value, dashboard)}` });
+            });
+        });
+        return chips;
+    }
+
+    renderChips() {
+        if (!this.chips) return;
+        const chips = this.getChips();
+        this.chips.hidden = chips.length === 0;
+
+        const items = chips.map(chip => `
+            <button class="filter-chip" data-chip="${chip.kind}" data-key="${Html.escape(chip.key || '')}" data-value="${Html.escape(chip.value || '')}" title="Remove this filter">
+                ${Html.escape(chip.text)} <span aria-hidden="true">×</span>
+            </button>
+        `).join('');
+        this.chips.innerHTML = items + (chips.length > 1
+            ? '<button class="filter-chip filter-chip-clear" data-chip="all" title="Remove every filter">Clear all</button>'
+            : '');
+    }
+
+    /**
+     * bk:from / bk:to of the transfers; declared accounts are the Account
+     * facet, the other parties the Agent facet
+     */
+    static transferParties(transaction) {
+        return (transaction.transfers || []).flatMap(transfer => [transfer.from, transfer.to]).filter(Boolean);
+    }
+
+    removeChip(kind, key, value) {
+        const dashboard = this.dashboard;
+        switch (kind) {
+            case 'search':
+                dashboard.searchBox.value = '';
+                break;
+            case 'select':
+                dashboard[key].value = '';
+                break;
+            case 'account':
+                dashboard.accountTree.select(null);
+                return;
+            case 'date':
+                this.dateFrom = '';
+                this.dateTo = '';
+                break;
+            case 'florins':
+                this.florins = null;
+                break;
+            case 'facet':
+                this.selected.get(key).delete(value);
+                break;
+            case 'all':
+                dashboard.searchBox.value = '';
+                FacetPanel.SELECTS.forEach(({ element }) => {
+                    if (dashboard[element]) dashboard[element].value = '';
+                });
+                this.selected.forEach(values => values.clear());
+                this.dateFrom = '';
+                this.dateTo = '';
+                this.florins = null;
+                if (dashboard.accountTree.selectedAccount) {
+                    dashboard.accountTree.select(null);
+                    return;
+                }
+                break;
+            default:
+                return;
+        }
+        dashboard.applyFilters();
+    }
+}
+
+// Dashboard filter selects shown as chips, by their property on the dashboard
+FacetPanel.SELECTS = [
+    { element: 'currencyFilter', label: 'Currency' },
+    { element: 'sourceFilter', label: 'Ledger' },
+    { element: 'placeFilter', label: 'Place' },
+    { element: 'goodsFilter', label: 'Goods' }
+];
+
+FacetPanel.FACETS = [
+    { key: 'type', title: 'Type', values: (t) => t.type ? [t.type] : [], label: (value) => value },
+    {
+        key: 'unit', title: 'Unit',
+        values: (t) => (t.amounts || []).map(a => a.currency),
+        label: (value, dashboard) => dashboard.getCurrencyLabel(value)
+    },
+    {
+        key: 'account', title: 'Account',
+        values: (t, dashboard) => FacetPanel.transferParties(t).filter(uri => dashboard.accounts.has(uri)),
+        label: (value, dashboard) => dashboard.getResourceLabel(value)
+    },
+    {
+        key: 'agent', title: 'Agent',
+        values: (t, dashboard) => [...(t.agents || []), ...FacetPanel.transferParties(t).filter(uri => !dashboard.accounts.has(uri))],
+        label: (value, dashboard) => dashboard.getResourceLabel(value)
+    },
+    { key: 'place', title: 'Place', values: (t) => t.place ? [t.place] : [], label: (value, dashboard) => dashboard.getPlaceLabel(value) },
+    {
+        key: 'commodity', title: 'Commodity',
+        values: (t) => (t.goods || []).map(item => item.classification || ''),
+        label: (value, dashboard) => dashboard.getConceptLabel(value)
+    },
+    { key: 'source', title: 'Ledger', values: (t) => t.source ? [t.source] : [], label: (value, dashboard) => dashboard.getSourceLabel(value) }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FacetPanel;
+}
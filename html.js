@@ -0,0 +1,23 @@
+/**
+ * HTML Text for Aldersbach Monastery Financial Dashboard
+ * Dataset strings (labels, URIs, entry text, file names) reach innerHTML
+ * templates only through Html.escape, which makes them safe as element text
+ * and as quoted attribute values alike.
+ */
+
+class Html {
+    /**
+     * text with & < > " ' as entities; null and undefined as ''
+     */
+    static escape(text) {
+        if (text === null || text === undefined) return '';
+        return String(text).replace(/[&<>"']/g, char => Html.ENTITIES[char]);
+    }
+}
+
+Html.ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Html;
+}
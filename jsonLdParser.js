@@ -0,0 +1,264 @@
+/**
+ * JSON-LD Parser for Aldersbach Monastery Financial Dashboard
+ * Expands a JSON-LD document into the triples LedgerReader works with
+ * (same term objects as TurtleParser).
+ *
+ * Covers what the GAMS/DEPCHA exports use: inline @context (prefixes,
+ * @vocab, @base, @language, term definitions with @id, @type coercion,
+ * @container @list and @reverse), @graph, @id, @type, value objects,
+ * @list/@set and nested node objects. Remote contexts cannot be fetched
+ * here and are reported as an error.
+ */
+
+class JsonLdParser {
+    constructor() {
+        this.logger = window.Logger || console;
+    }
+
+    parse(text, base = '') {
+        let data;
+        try {
+            data = JSON.parse(text.charCodeAt(0) === 0xFEFF ? text.substring(1) : text);
+        } catch (error) {
+            throw new Error(`JSON-LD syntax error: ${error.message}`);
+        }
+
+        this.triples = [];
+        this.blankCounter = 0;
+        this.readTopLevel(data, { base: base || null, vocab: null, language: null, terms: new Map() });
+        return this.triples;
+    }
+
+    readTopLevel(data, context) {
+        if (Array.isArray(data)) {
+            data.forEach(item => this.readTopLevel(item, context));
+            return;
+        }
+        if (!data || typeof data !== 'object') return;
+
+        const active = data['@context'] !== undefined ? this.updateContext(context, data['@context']) : context;
+        const properties = Object.keys(data).filter(key => !['@context', '@graph', '@id'].includes(key));
+
+        // A document that only wraps @graph describes no node of its own
+        if (data['@graph'] !== undefined && properties.length === 0) {
+            [].concat(data['@graph']).forEach(item => this.readTopLevel(item, active));
+            return;
+        }
+
+        this.readNode(data, active);
+        if (data['@graph'] !== undefined) {
+            [].concat(data['@graph']).forEach(item => this.readTopLevel(item, active));
+        }
+    }
+
+    /**
+     * Emit the triples of a node object and return its subject term
+     */
+    readNode(node, context) {
+        const active = node['@context'] !== undefined ? this.updateContext(context, node['@context']) : context;
+        const subject = node['@id'] !== undefined
+            ? this.resourceTerm(this.expandIri(node['@id'], active, false))
+            : this.newBlankNode();
+
+        [].concat(node['@type'] || []).forEach(type => {
+            this.triples.push({ subject, predicate: JsonLdParser.RDF + 'type', object: this.resourceTerm(this.expandIri(type, active, true)) });
+        });
+
+        Object.keys(node).forEach(key => {
+            if (key === '@reverse') {
+                this.readReverse(subject, node[key], active);
+                return;
+            }
+            if (key.startsWith('@')) return;
+
+            const definition = active.terms.get(key) || {};
+            const predicate = this.expandIri(key, active, true);
+            // Keys that do not expand to an IRI are dropped, as in JSON-LD expansion
+            if (!predicate || !predicate.includes(':')) return;
+
+            this.readValues(node[key], definition, active).forEach(object => {
+                this.triples.push(definition.reverse
+                    ? { subject: object, predicate, object: subject }
+                    : { subject, predicate, object });
+            });
+        });
+
+        return subject;
+    }
+
+    readReverse(subject, reverse, context) {
+        Object.keys(reverse || {}).forEach(key => {
+            const predicate = this.expandIri(key, context, true);
+            if (!predicate || !predicate.includes(':')) return;
+            this.readValues(reverse[key], {}, context).forEach(object => {
+                this.triples.push({ subject: object, predicate, object: subject });
+            });
+        });
+    }
+
+    /**
+     * Object terms of a property value (a value, an array of them or a list)
+     */
+    readValues(value, definition, context) {
+        if (definition.container === '@list' && !(value && value['@list'])) {
+            return [this.readList([].concat(value), definition, context)];
+        }
+        if (Array.isArray(value)) {
+            return value.reduce((all, item) => all.concat(this.readValues(item, definition, context)), []);
+        }
+        const term = this.readValue(value, definition, context);
+        return term ? [term] : [];
+    }
+
+    readValue(value, definition, context) {
+        if (value === null || value === undefined) return null;
+
+        if (typeof value === 'string') {
+            if (definition.type === '@id') return this.resourceTerm(this.expandIri(value, context, false));
+            if (definition.type === '@vocab') return this.resourceTerm(this.expandIri(value, context, true));
+            const literal = { type: 'literal', value };
+            if (definition.type) {
+                literal.datatype = this.expandIri(definition.type, context, true);
+            } else {
+                const language = definition.language !== undefined ? definition.language : context.language;
+                if (language) literal.language = language;
+            }
+            return literal;
+        }
+
+        if (typeof value === 'number') {
+            const datatype = definition.type && !definition.type.startsWith('@')
+                ? this.expandIri(definition.type, context, true)
+                : JsonLdParser.XSD + (Number.isInteger(value) ? 'integer' : 'double');
+            return { type: 'literal', value: String(value), datatype };
+        }
+
+        if (typeof value === 'boolean') {
+            return { type: 'literal', value: String(value), datatype: JsonLdParser.XSD + 'boolean' };
+        }
+
+        if (value['@value'] !== undefined) {
+            if (value['@value'] === null) return null;
+            const literal = { type: 'literal', value: String(value['@value']) };
+            if (value['@type']) literal.datatype = this.expandIri(value['@type'], context, true);
+            if (value['@language']) literal.language = value['@language'];
+            return literal;
+        }
+        if (value['@list'] !== undefined) {
+            return this.readList([].concat(value['@list']), {}, context);
+        }
+        if (value['@set'] !== undefined) {
+            // A set directly under a property is flattened by readValues; here it can only hold one value
+            return this.readValues(value['@set'], definition, context)[0] || null;
+        }
+
+        return this.readNode(value, context);
+    }
+
+    readList(items, definition, context) {
+        const itemDefinition = { ...definition, container: null };
+        const values = items.reduce((all, item) => all.concat(this.readValues(item, itemDefinition, context)), []);
+        const nil = { type: 'iri', value: JsonLdParser.RDF + 'nil' };
+
+        return values.reduceRight((rest, value) => {
+            const node = this.newBlankNode();
+            this.triples.push({ subject: node, predicate: JsonLdParser.RDF + 'first', object: value });
+            this.triples.push({ subject: node, predicate: JsonLdParser.RDF + 'rest', object: rest });
+            return node;
+        }, nil);
+    }
+
+    updateContext(context, local) {
+        if (Array.isArray(local)) {
+            return local.reduce((active, item) => this.updateContext(active, item), context);
+        }
+        if (local === null) {
+            return { base: context.base, vocab: null, language: null, terms: new Map() };
+        }
+        if (typeof local === 'string') {
+            throw new Error(`Remote JSON-LD context "${local}" cannot be loaded; embed the context in the file`);
+        }
+
+        const active = { ...context, terms: new Map(context.terms) };
+        if (local['@base'] !== undefined) active.base = local['@base'];
+        if (local['@vocab'] !== undefined) active.vocab = local['@vocab'];
+        if (local['@language'] !== undefined) active.language = local['@language'];
+
+        Object.keys(local).forEach(term => {
+            if (term.startsWith('@')) return;
+            const value = local[term];
+            if (value === null) {
+                active.terms.set(term, { id: null });
+            } else if (typeof value === 'string') {
+                active.terms.set(term, { id: value });
+            } else {
+                active.terms.set(term, {
+                    id: value['@reverse'] || value['@id'],
+                    type: value['@type'],
+                    container: value['@container'],
+                    language: value['@language'],
+                    reverse: value['@reverse'] !== undefined
+                });
+            }
+        });
+
+        return active;
+    }
+
+    /**
+     * Absolute IRI (or "_:label") of a term, compact IRI or relative IRI.
+     * vocab: expand as a property or type (terms and @vocab apply).
+     */
+    expandIri(value, context, vocab, seen = new Set()) {
+        if (typeof value !== 'string' || value.startsWith('@')) return value;
+
+        if (vocab && context.terms.has(value) && !seen.has(value)) {
+            const definition = context.terms.get(value);
+            if (definition.id === null) return null;
+            seen.add(value);
+            if (definition.id !== undefined) return this.expandIri(definition.id, context, true, seen);
+        }
+
+        const colon = value.indexOf(':');
+        if (colon > 0) {
+            const prefix = value.substring(0, colon);
+            const suffix = value.substring(colon + 1);
+            if (prefix === '_' || suffix.startsWith('//')) return value;
+            const definition = context.terms.get(prefix);
+            if (definition && definition.id && !seen.has(prefix)) {
+                seen.add(prefix);
+                return this.expandIri(definition.id, context, true, seen) + suffix;
+            }
+            return value;
+        }
+
+        if (vocab && context.vocab) return context.vocab + value;
+        if (context.base) {
+            try {
+                return new URL(value, context.base).href;
+            } catch (error) {
+                return value;
+            }
+        }
+        return value;
+    }
+
+    resourceTerm(iri) {
+        return iri && iri.startsWith('_:')
+            ? { type: 'blank', value: iri.substring(2) }
+            : { type: 'iri', value: iri };
+    }
+
+    newBlankNode() {
+        // "@" cannot occur in a blank node label, so generated names never clash with the file's
+        return { type: 'blank', value: `@${++this.blankCounter}` };
+    }
+}
+
+JsonLdParser.RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+JsonLdParser.XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JsonLdParser;
+}
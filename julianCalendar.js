@@ -0,0 +1,406 @@
+/**
+ * Julian Calendar for Aldersbach Monastery Financial Dashboard
+ * The ledgers before 1583 are dated in the Julian calendar, which JavaScript
+ * Date (proleptic Gregorian) does not know. This module counts days by
+ * Julian Day Number instead: weekdays and week starts in the calendar a date
+ * was written in, Julian <-> Gregorian conversion, Easter in either
+ * calendar, and the feast-day datings of the entries ("in die s. Martini",
+ * "feria 2a post Jacobi", "in vigilia Andree", "den .29. Aprilis").
+ *
+ * Dates are { year, month, day } objects (month 1-12); values are the ISO
+ * strings kept in transaction.date.
+ */
+
+class JulianCalendar {
+    /**
+     * Julian Day Number of a date in the given calendar
+     */
+    static dayNumber(date, calendar = JulianCalendar.calendarOf(date)) {
+        const a = Math.floor((14 - date.month) / 12);
+        const y = date.year + 4800 - a;
+        const m = date.month + 12 * a - 3;
+        const days = date.day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4);
+        return calendar === 'gregorian'
+            ? days - Math.floor(y / 100) + Math.floor(y / 400) - 32045
+            : days - 32083;
+    }
+
+    static fromDayNumber(dayNumber, calendar = 'julian') {
+        let b = 0;
+        let c = dayNumber + 32082;
+        if (calendar === 'gregorian') {
+            const a = dayNumber + 32044;
+            b = Math.floor((4 * a + 3) / 146097);
+            c = a - Math.floor(146097 * b / 4);
+        }
+        const d = Math.floor((4 * c + 3) / 1461);
+        const e = c - Math.floor(1461 * d / 4);
+        const m = Math.floor((5 * e + 2) / 153);
+
+        return {
+            year: 100 * b + d - 4800 + Math.floor(m / 10),
+            month: m + 3 - 12 * Math.floor(m / 10),
+            day: e - Math.floor((153 * m + 2) / 5) + 1
+        };
+    }
+
+    /**
+     * Calendar a date of the ledgers was written in: Julian until Bavaria
+     * went over to the Gregorian calendar
+     */
+    static calendarOf(date) {
+        const from = JulianCalendar.GREGORIAN_FROM;
+        const key = date.year * 10000 + date.month * 100 + date.day;
+        return key >= from.year * 10000 + from.month * 100 + from.day ? 'gregorian' : 'julian';
+    }
+
+    /**
+     * 0 (Sunday) to 6 (Saturday)
+     */
+    static weekday(date, calendar = JulianCalendar.calendarOf(date)) {
+        return (JulianCalendar.dayNumber(date, calendar) + 1) % 7;
+    }
+
+    static toGregorian(date) {
+        return JulianCalendar.fromDayNumber(JulianCalendar.dayNumber(date, 'julian'), 'gregorian');
+    }
+
+    static toJulian(date) {
+        return JulianCalendar.fromDayNumber(JulianCalendar.dayNumber(date, 'gregorian'), 'julian');
+    }
+
+    /**
+     * Easter Sunday of a year, in the calendar in use that year
+     */
+    static easter(year, calendar = year > JulianCalendar.GREGORIAN_FROM.year ? 'gregorian' : 'julian') {
+        if (calendar === 'julian') {
+            const d = (19 * (year % 19) + 15) % 30;
+            const e = (2 * (year % 4) + 4 * (year % 7) - d + 34) % 7;
+            return { year, month: Math.floor((d + e + 114) / 31), day: ((d + e + 114) % 31) + 1 };
+        }
+
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        return { year, month: Math.floor((h + l - 7 * m + 114) / 31), day: ((h + l - 7 * m + 114) % 31) + 1 };
+    }
+
+    /**
+     * { year, month, day } of a day-precision value, else null
+     */
+    static parse(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        return match ? { year: parseInt(match[1], 10), month: parseInt(match[2], 10), day: parseInt(match[3], 10) } : null;
+    }
+
+    static format(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.year}-${pad(date.month)}-${pad(date.day)}`;
+    }
+
+    /**
+     * Weekday of a day-precision value in the calendar it was written in, else null
+     */
+    static weekdayOf(value) {
+        const date = JulianCalendar.parse(value);
+        return date ? JulianCalendar.weekday(date) : null;
+    }
+
+    /**
+     * Value of the Sunday that starts the week of a day-precision value
+     */
+    static weekStartOf(value) {
+        const date = JulianCalendar.parse(value);
+        if (!date) return null;
+        const calendar = JulianCalendar.calendarOf(date);
+        const dayNumber = JulianCalendar.dayNumber(date, calendar);
+        return JulianCalendar.format(JulianCalendar.fromDayNumber(dayNumber - (dayNumber + 1) % 7, calendar));
+    }
+
+    /**
+     * The same day in the Gregorian calendar; values that are not Julian days come back unchanged
+     */
+    static toGregorianValue(value) {
+        const date = JulianCalendar.parse(value);
+        if (!date || JulianCalendar.calendarOf(date) === 'gregorian') return value;
+        return JulianCalendar.format(JulianCalendar.toGregorian(date));
+    }
+
+    /**
+     * Spelling-tolerant form for matching: no diacritics, lower case, y and j
+     * as i, k as c, ti as ci (purificatio/purificacio), no h after a letter
+     * (Michahelis). Whitespace is left as it is, so folded and original words
+     * line up.
+     */
+    static fold(text) {
+        return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+            .replace(/[yj]/g, 'i')
+            .replace(/k/g, 'c')
+            .replace(/([a-z])h/g, '$1')
+            .replace(/ti/g, 'ci')
+            .replace(/\bw(?=art)/g, 'b');
+    }
+
+    /**
+     * The original words behind a stretch [start, end) of the folded text
+     */
+    static originalWords(text, folded, start, end) {
+        const first = folded.substring(0, start).split(/\s+/).length - 1;
+        const last = folded.substring(0, end).split(/\s+/).length - 1;
+        return text.split(/\s+/).slice(first, last + 1).join(' ');
+    }
+
+    /**
+     * A feast-day or calendar dating in an entry text, without its year:
+     * { expression, feast, offset, weekday, direction } or { expression, month, day }.
+     * expression is the dating as written. null when the text holds none.
+     */
+    static readDateExpression(entry) {
+        // Words broken over lines: "penthe - costes", "Assump - cionis"
+        const text = String(entry || '').replace(/(\w)\s*-\s+(\w)/g, '$1$2');
+        const folded = JulianCalendar.fold(text);
+
+        const calendarDay = JulianCalendar.CALENDAR_DAY_PATTERN.exec(folded);
+        if (calendarDay) {
+            return {
+                expression: JulianCalendar.originalWords(text, folded, calendarDay.index, calendarDay.index + calendarDay[0].length),
+                month: JulianCalendar.MONTH_NAMES.findIndex(names => names.includes(calendarDay[2])) + 1,
+                day: parseInt(calendarDay[1], 10)
+            };
+        }
+
+        // The earliest dating in the entry; at the same place the longest name
+        // wins ("Johannis ante portam" over "Johannis", "Martini" over "Marci")
+        let found = null;
+        for (const feast of JulianCalendar.FEASTS) {
+            const match = feast.pattern.exec(folded);
+            if (!match) continue;
+
+            const qualifier = JulianCalendar.QUALIFIER_PATTERN.exec(folded.substring(0, match.index));
+            if (!qualifier) continue;
+            const end = match.index + match[0].length;
+            if (found && (found.start < qualifier.index || (found.start === qualifier.index && found.end >= end))) continue;
+
+            const weekday = qualifier[2] ? JulianCalendar.FERIA[qualifier[2]] : (qualifier[3] === 'sabbato' ? 6 : 0);
+            if (weekday === undefined) continue;
+
+            const day = qualifier[1] || '';
+            found = {
+                start: qualifier.index,
+                end: end,
+                reference: {
+                    expression: JulianCalendar.originalWords(text, folded, qualifier.index, end).replace(/[.,;:]+$/, ''),
+                    feast: feast.id,
+                    offset: day.includes('vigilia') ? -1 : (day.includes('octava') || qualifier[5] ? 7 : 0),
+                    weekday: day ? null : weekday,
+                    direction: day ? null : (qualifier[4] || null)
+                }
+            };
+        }
+        if (found) return found.reference;
+
+        return null;
+    }
+
+    /**
+     * { year, month, day } a dating from readDateExpression stands for in a
+     * year; null when the day does not exist that year
+     */
+    static resolveDateExpression(reference, year) {
+        if (reference.month) {
+            // "den 29. Februarii" exists in leap years only
+            const date = { year, month: reference.month, day: reference.day };
+            const calendar = JulianCalendar.calendarOf(date);
+            const roundTrip = JulianCalendar.fromDayNumber(JulianCalendar.dayNumber(date, calendar), calendar);
+            return roundTrip.month === date.month ? date : null;
+        }
+
+        const feast = JulianCalendar.FEASTS.find(entry => entry.id === reference.feast);
+        const calendar = year > JulianCalendar.GREGORIAN_FROM.year ? 'gregorian' : 'julian';
+        const anchor = feast.easter !== undefined
+            ? JulianCalendar.dayNumber(JulianCalendar.easter(year, calendar), calendar) + feast.easter
+            : JulianCalendar.dayNumber({ year, month: feast.month, day: feast.day }, calendar);
+
+        // The feast itself, its vigil or its octave ("feria 4a post octavam ...")
+        const base = anchor + reference.offset;
+        let dayNumber = base;
+        if (reference.weekday !== null) {
+            const weekday = (base + 1) % 7;
+            if (reference.direction === 'post') {
+                dayNumber = base + (((reference.weekday - weekday + 7) % 7) || 7);
+            } else if (reference.direction === 'ante') {
+                dayNumber = base - (((weekday - reference.weekday + 7) % 7) || 7);
+            } else {
+                // "feria 3a Rogacionum": that weekday in the week of the feast
+                dayNumber = base - weekday + reference.weekday;
+            }
+        }
+        return JulianCalendar.fromDayNumber(dayNumber, calendar);
+    }
+}
+
+// Bavaria followed 5 October 1583 (Julian) with 16 October 1583 (Gregorian)
+JulianCalendar.GREGORIAN_FROM = { year: 1583, month: 10, day: 16 };
+
+
+// "feria 2a" is Monday ... "feria 6a" Friday; keys are folded
+JulianCalendar.FERIA = {
+    '2': 1, 'ii': 1, 'secunda': 1,
+    '3': 2, 'iii': 2, 'tercia': 2,
+    '4': 3, 'iiii': 3, 'iv': 3, 'quarta': 3,
+    '5': 4, 'v': 4, 'quinta': 4,
+    '6': 5, 'vi': 5, 'sexta': 5
+};
+
+// Latin genitive and Early New High German month names
+JulianCalendar.MONTH_NAMES = [
+    ['januarii', 'januar', 'jenner'],
+    ['februarii', 'februar', 'hornung'],
+    ['martii', 'marcii', 'merz'],
+    ['aprilis', 'april'],
+    ['maii', 'mai', 'mey'],
+    ['junii', 'juni'],
+    ['julii', 'juli'],
+    ['augusti', 'august'],
+    ['septembris', 'september'],
+    ['octobris', 'october'],
+    ['novembris', 'november'],
+    ['decembris', 'december', 'dezember']
+].map(names => names.map(name => JulianCalendar.fold(name)));
+
+// "den .29. Aprilis", "den 3. Mey"
+JulianCalendar.CALENDAR_DAY_PATTERN = new RegExp(
+    `\\bden\\s*\\.?\\s*(\\d{1,2})\\s*\\.?\\s*(${JulianCalendar.MONTH_NAMES.flat().sort((a, b) => b.length - a.length).join('|')})\\b`);
+
+// What stands before a feast name, on folded text: "in die", "in vigilia", "in octava",
+// or a weekday ("feria 2a", "sabbato", "dominica proxima") with "post" / "ante"
+JulianCalendar.QUALIFIER_PATTERN = new RegExp(
+    '\\b(?:(in die|in festo|am tag|in vigilia|vigilia|in octava|octava)|' +
+    '(?:feria\\s+(\\w+?)\\s*(?:a|ta|o)?|(sabbato|dominica)(?:\\s+proxima)?)(?:\\s+(post|ante))?)' +
+    '\\s+(?:(?:dominicam|festum|diem)\\s+)?(?:(octavam)\\s+)?(?:(?:sancci|sancte|sanctorum|sanct|sant|beaci|beate|s\\.|st\\.)\\s*)?$');
+
+/**
+ * Feasts of the Passau diocese as the ledgers date by them: a fixed day, or
+ * days from Easter. Names are stems, matched on folded text; the longest one
+ * found wins, so "Johannis ante portam latinam" is not St John the Baptist.
+ */
+JulianCalendar.FEASTS = [
+    { id: 'septuagesima', names: ['septuagesim'], easter: -63 },
+    { id: 'sexagesima', names: ['sexagesim'], easter: -56 },
+    { id: 'quinquagesima', names: ['quinquagesim', 'esto mihi'], easter: -49 },
+    { id: 'cinerum', names: ['cinerum', 'aschermittwoch'], easter: -46 },
+    { id: 'invocavit', names: ['invocavit'], easter: -42 },
+    { id: 'reminiscere', names: ['reminiscere'], easter: -35 },
+    { id: 'oculi', names: ['oculi'], easter: -28 },
+    { id: 'letare', names: ['letare', 'laetare'], easter: -21 },
+    { id: 'iudica', names: ['judica'], easter: -14 },
+    { id: 'palmarum', names: ['palmarum', 'palmtag'], easter: -7 },
+    { id: 'cena-domini', names: ['cena domini', 'cene domini', 'antlastag'], easter: -3 },
+    { id: 'parasceve', names: ['parasceve', 'karfreitag'], easter: -2 },
+    { id: 'pasce', names: ['pasche', 'pasca', 'ostern', 'ostertag'], easter: 0 },
+    { id: 'quasimodogeniti', names: ['quasimodo'], easter: 7 },
+    { id: 'misericordia', names: ['misericordia'], easter: 14 },
+    { id: 'iubilate', names: ['jubilate'], easter: 21 },
+    { id: 'cantate', names: ['cantate'], easter: 28 },
+    { id: 'rogate', names: ['vocem jucunditatis', 'rogate'], easter: 35 },
+    { id: 'rogaciones', names: ['rogation'], easter: 36 },
+    { id: 'ascensio', names: ['ascension', 'ascencion', 'himmelfart'], easter: 39 },
+    { id: 'exaudi', names: ['exaudi'], easter: 42 },
+    { id: 'pentecoste', names: ['pentecost', 'pfingst'], easter: 49 },
+    { id: 'trinitatis', names: ['trinitat'], easter: 56 },
+    { id: 'corpus-christi', names: ['corporis christi', 'corpus christi', 'fronleichnam'], easter: 60 },
+
+    { id: 'johannis-ante-portam', names: ['johannis ante portam'], month: 5, day: 6 },
+    { id: 'johannis-evangeliste', names: ['johannis evangelist'], month: 12, day: 27 },
+    { id: 'decollacio-johannis', names: ['decollation'], month: 8, day: 29 },
+    { id: 'invencio-stephani', names: ['inventionis sancti stephani', 'inventionem sancti stephani', 'inventionis stephani'], month: 8, day: 3 },
+    { id: 'invencio-crucis', names: ['inventionis sancte crucis', 'inventionem sancte crucis', 'inventionis crucis'], month: 5, day: 3 },
+    { id: 'exaltacio-crucis', names: ['exaltation'], month: 9, day: 14 },
+    { id: 'nativitas-marie', names: ['nativitatis beate', 'nativitatis sancte marie', 'nativitatis marie', 'nativitatem beate'], month: 9, day: 8 },
+    { id: 'nativitas-domini', names: ['nativitatis domini', 'nativitatem domini', 'weihnacht'], month: 12, day: 25 },
+    { id: 'concepcio-marie', names: ['conception'], month: 12, day: 8 },
+    { id: 'purificacio', names: ['purification', 'liechtmess', 'lichtmess'], month: 2, day: 2 },
+    { id: 'annunciacio', names: ['annunciation', 'annuntiation'], month: 3, day: 25 },
+    { id: 'visitacio', names: ['visitation'], month: 7, day: 2 },
+    { id: 'assumpcio', names: ['assumption', 'assumtion'], month: 8, day: 15 },
+    { id: 'kathedra-petri', names: ['kathedra petri', 'cathedra petri'], month: 2, day: 22 },
+    { id: 'petri-ad-vincula', names: ['petri ad vincula'], month: 8, day: 1 },
+    { id: 'petri-et-pauli', names: ['petri et pauli'], month: 6, day: 29 },
+    { id: 'conversio-pauli', names: ['conversion'], month: 1, day: 25 },
+    { id: 'philippi-et-jacobi', names: ['philippi et jacobi'], month: 5, day: 1 },
+    { id: 'simonis-et-jude', names: ['simonis et jude'], month: 10, day: 28 },
+    { id: 'divisio-apostolorum', names: ['divisionis apostolorum', 'divisio apostolorum'], month: 7, day: 15 },
+    { id: 'omnium-sanctorum', names: ['omnium sanctorum', 'allerheiligen'], month: 11, day: 1 },
+    { id: 'undecim-milium', names: ['undecim milium', 'xi milium'], month: 10, day: 21 },
+    { id: 'circumcisio', names: ['circumcision'], month: 1, day: 1 },
+    { id: 'epiphania', names: ['epiphani', 'trium regum'], month: 1, day: 6 },
+    { id: 'antonii', names: ['antonii'], month: 1, day: 17 },
+    { id: 'sebastiani', names: ['sebastian'], month: 1, day: 20 },
+    { id: 'agnetis', names: ['agnet'], month: 1, day: 21 },
+    { id: 'vincencii', names: ['vincenti', 'vincenci'], month: 1, day: 22 },
+    { id: 'blasii', names: ['blasi'], month: 2, day: 3 },
+    { id: 'agathe', names: ['agathe'], month: 2, day: 5 },
+    { id: 'valentini', names: ['valentin'], month: 2, day: 14 },
+    { id: 'matthie', names: ['mathie', 'matthie'], month: 2, day: 24 },
+    { id: 'gregorii', names: ['gregorii'], month: 3, day: 12 },
+    { id: 'gertrudis', names: ['gertrud'], month: 3, day: 17 },
+    { id: 'benedicti', names: ['benedicti'], month: 3, day: 21 },
+    { id: 'tiburcii', names: ['tiburti', 'tiburci'], month: 4, day: 14 },
+    { id: 'georgii', names: ['georg', 'jorgen'], month: 4, day: 23 },
+    { id: 'marci', names: ['marci'], month: 4, day: 25 },
+    { id: 'pancracii', names: ['pancrati', 'pancraci'], month: 5, day: 12 },
+    { id: 'urbani', names: ['urbani'], month: 5, day: 25 },
+    { id: 'viti', names: ['viti'], month: 6, day: 15 },
+    { id: 'johannis-baptiste', names: ['johannis', 'sunnwend', 'sonnwend'], month: 6, day: 24 },
+    { id: 'udalrici', names: ['udalrici', 'ulrici', 'ulrich'], month: 7, day: 4 },
+    { id: 'margarethe', names: ['margaret', 'margret'], month: 7, day: 13 },
+    { id: 'marie-magdalene', names: ['magdalen'], month: 7, day: 22 },
+    { id: 'jacobi', names: ['jacob'], month: 7, day: 25 },
+    { id: 'anne', names: ['anne'], month: 7, day: 26 },
+    { id: 'oswaldi', names: ['oswald'], month: 8, day: 5 },
+    { id: 'sixti', names: ['sixti'], month: 8, day: 6 },
+    { id: 'laurencii', names: ['laurenti', 'laurenci', 'lorenz'], month: 8, day: 10 },
+    { id: 'bartholomei', names: ['bartholome', 'bartlme'], month: 8, day: 24 },
+    { id: 'augustini', names: ['augustin'], month: 8, day: 28 },
+    { id: 'egidii', names: ['egidi', 'gilgen'], month: 9, day: 1 },
+    { id: 'lamberti', names: ['lamberti'], month: 9, day: 17 },
+    { id: 'matthei', names: ['mathei', 'matthei'], month: 9, day: 21 },
+    { id: 'mauricii', names: ['mauriti', 'maurici'], month: 9, day: 22 },
+    { id: 'michaelis', names: ['michael', 'michel'], month: 9, day: 29 },
+    { id: 'remigii', names: ['remigi'], month: 10, day: 1 },
+    { id: 'dionisii', names: ['dionisi', 'dionysi'], month: 10, day: 9 },
+    { id: 'galli', names: ['galli', 'gallen'], month: 10, day: 16 },
+    { id: 'luce', names: ['luce'], month: 10, day: 18 },
+    { id: 'leonhardi', names: ['leonhard', 'lienhard', 'linhard'], month: 11, day: 6 },
+    { id: 'martini', names: ['martin'], month: 11, day: 11 },
+    { id: 'elisabeth', names: ['elisabeth', 'elspet'], month: 11, day: 19 },
+    { id: 'cecilie', names: ['cecili', 'caecili'], month: 11, day: 22 },
+    { id: 'clementis', names: ['clement'], month: 11, day: 23 },
+    { id: 'katherine', names: ['katherin', 'catharin'], month: 11, day: 25 },
+    { id: 'andree', names: ['andree', 'andre'], month: 11, day: 30 },
+    { id: 'barbare', names: ['barbar'], month: 12, day: 4 },
+    { id: 'nicolai', names: ['nicolai', 'niclas'], month: 12, day: 6 },
+    { id: 'lucie', names: ['lucie'], month: 12, day: 13 },
+    { id: 'thome', names: ['thome'], month: 12, day: 21 },
+    { id: 'stephani', names: ['stephan'], month: 12, day: 26 },
+    { id: 'innocencium', names: ['innocent', 'kindlein'], month: 12, day: 28 },
+    { id: 'silvestri', names: ['silvester', 'silvestri'], month: 12, day: 31 }
+];
+
+JulianCalendar.FEASTS.forEach(feast => {
+    feast.pattern = new RegExp(`\\b(?:${feast.names.map(name => JulianCalendar.fold(name)).join('|')})`);
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JulianCalendar;
+}
@@ -0,0 +1,141 @@
+/**
+ * Ledger Dates for Aldersbach Monastery Financial Dashboard
+ * Reads the bk:when literals of the DEPCHA exports into a date record that
+ * keeps what the scribe (or the editor) wrote:
+ *
+ *   { original, value, precision, year, month, day, flags }
+ *
+ * value is the ISO form at the literal's precision ("1557-05-05", "1557-05",
+ * "1557") or '' when the entry cannot be placed in time; precision is 'day',
+ * 'month', 'year' or 'undated' and describes value. year/month/day are what
+ * the literal says, even when value is empty. flags:
+ *   placeholder  year outside 1200–1800 (2400, 1900, ...), which the exports
+ *                use for entries whose year is not known
+ *   rejected     the literal is not a date
+ *   several      the literal lists several dates; the first one is used
+ *   resolved     no bk:when; the day was read from a feast dating in the entry
+ *                text ("in vigilia Andree"), kept in expression, with the year
+ *                of the neighbouring entries (see JulianCalendar)
+ *
+ * Records are plain objects, so they survive postMessage and IndexedDB.
+ */
+
+class LedgerDate {
+    static parse(literal) {
+        const original = String(literal || '').trim();
+        const record = { original, value: '', precision: 'undated', year: null, month: null, day: null, flags: [] };
+        if (!original) return record;
+
+        // "1451-05-30 1451-06-29": the entry covers several days
+        const parts = original.split(/\s+/);
+        if (parts.length > 1) record.flags.push('several');
+
+        const match = parts[0].match(/^(-?\d{3,4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+        if (!match) {
+            record.flags.push('rejected');
+            return record;
+        }
+
+        const year = parseInt(match[1], 10);
+        const month = match[2] ? parseInt(match[2], 10) : null;
+        const day = match[3] ? parseInt(match[3], 10) : null;
+        if ((month !== null && (month < 1 || month > 12)) ||
+            (day !== null && (day < 1 || day > LedgerDate.DAYS_IN_MONTH[month - 1]))) {
+            record.flags.push('rejected');
+            return record;
+        }
+
+        record.year = year;
+        record.month = month;
+        record.day = day;
+
+        if (year < LedgerDate.MIN_YEAR || year > LedgerDate.MAX_YEAR) {
+            record.flags.push('placeholder');
+            return record;
+        }
+
+        const pad = (n) => String(n).padStart(2, '0');
+        record.precision = day !== null ? 'day' : (month !== null ? 'month' : 'year');
+        record.value = String(year) + (month !== null ? `-${pad(month)}` : '') + (day !== null ? `-${pad(day)}` : '');
+        return record;
+    }
+
+    /**
+     * Record for a { year, month, day } read from the entry text
+     */
+    static fromExpression(date, expression) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return {
+            original: '',
+            value: `${date.year}-${pad(date.month)}-${pad(date.day)}`,
+            precision: 'day',
+            year: date.year,
+            month: date.month,
+            day: date.day,
+            flags: ['resolved'],
+            expression: expression
+        };
+    }
+
+    /**
+     * Precision of an ISO value as kept in transaction.date
+     */
+    static precisionOf(value) {
+        if (!value) return 'undated';
+        if (/^\d{4}-\d{2}-\d{2}/.test(value)) return 'day';
+        if (/^\d{4}-\d{2}$/.test(value)) return 'month';
+        return 'year';
+    }
+
+    /**
+     * True when a value is at least as precise as 'year', 'month' or 'day'
+     */
+    static hasPrecision(value, precision) {
+        return LedgerDate.PRECISIONS.indexOf(LedgerDate.precisionOf(value)) >= LedgerDate.PRECISIONS.indexOf(precision);
+    }
+
+    /**
+     * Month (0-11) of a value dated at least to the month, else null
+     */
+    static monthOf(value) {
+        return LedgerDate.hasPrecision(value, 'month') ? parseInt(value.substring(5, 7), 10) - 1 : null;
+    }
+
+    /**
+     * 'dated', 'undated' (nothing written), 'placeholder' or 'rejected'
+     */
+    static statusOf(record) {
+        if (!record || record.value) return 'dated';
+        if (record.flags.includes('placeholder')) return 'placeholder';
+        return record.original ? 'rejected' : 'undated';
+    }
+
+    /**
+     * Sentence for tooltips and the transaction details
+     */
+    static describe(record) {
+        const status = LedgerDate.statusOf(record);
+        if (status === 'undated') return 'No date in the record';
+        if (status === 'placeholder') return `"${record.original}" has a placeholder year; treated as undated`;
+        if (status === 'rejected') return `"${record.original}" is not a readable date; treated as undated`;
+
+        const precision = { day: '', month: ', dated to the month only', year: ', dated to the year only' }[record.precision];
+        const several = record.flags.includes('several') ? ` (first of "${record.original}")` : '';
+        const resolved = record.flags.includes('resolved') ? ` (no date in the record; read from "${record.expression}", year of the neighbouring entries)` : '';
+        return `${record.value}${precision}${several}${resolved}`;
+    }
+}
+
+// Years a monastery record can plausibly carry; others are taken as placeholders
+LedgerDate.MIN_YEAR = 1200;
+LedgerDate.MAX_YEAR = 1800;
+
+LedgerDate.PRECISIONS = ['undated', 'year', 'month', 'day'];
+
+// February allows the 29th: Julian leap years come every four years
+LedgerDate.DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LedgerDate;
+}
@@ -0,0 +1,898 @@
+/**
+ * Ledger Parser for Aldersbach Monastery Financial Dashboard
+ * Turns a DEPCHA RDF/XML document into the dashboard's data model:
+ * transactions, accounts, agents, concepts, places, currencies, totals and
+ * the dataset description, plus a validation report (`issues`) of what
+ * could not be read as it stands. The model holds only plain objects, arrays and
+ * Maps so it survives postMessage; the dashboard adds Money values when it
+ * takes the model over (see AlderbachDashboard.applyModel).
+ *
+ * Works on anything with the small DOM subset used here (querySelectorAll
+ * by element name, getElementsByTagName, getAttribute, textContent): a
+ * DOMParser document on the main thread, or the document built by
+ * XmlStreamReader in parserWorker.js.
+ */
+
+class LedgerParser {
+    constructor(converter = new CurrencyConverter()) {
+        this.converter = converter;
+        this.logger = window.Logger || console;
+    }
+
+    /**
+     * Parse a document into the model. onProgress, if given, is called with
+     * (parsed, total) every PROGRESS_INTERVAL transactions. region is the mint
+     * the ledger counts in, for the converter's regional rates.
+     */
+    parse(xmlDoc, onProgress = null, region = null) {
+        const transactions = xmlDoc.querySelectorAll('bk\\:Transaction, Transaction');
+        const model = {
+            transactions: [],
+            accounts: this.parseAccounts(xmlDoc),
+            agents: this.parseAgents(xmlDoc),
+            concepts: this.parseConcepts(xmlDoc),
+            currencies: this.parseCurrencies(xmlDoc),
+            datasetMetadata: this.parseDatasetMetadata(xmlDoc),
+            unitReport: new Map(),
+            places: null,
+            totals: null,
+            issues: [],
+            region: region
+        };
+
+        // DOMParser keeps what it read before a syntax error and adds a <parsererror> element
+        const parserError = xmlDoc.getElementsByTagName('parsererror')[0];
+        if (parserError) {
+            this.reportIssue(model, 'malformed-xml', '', '', parserError.textContent.trim().replace(/\s+/g, ' ').substring(0, 200),
+                'The file is not well-formed XML; only the part before the error was read');
+        }
+
+        const declared = this.collectDeclarations(xmlDoc, model);
+        const anchors = this.collectDateAnchors(transactions);
+        const accountSides = this.collectAccountSides(model.accounts);
+        const accountHolder = model.datasetMetadata ? model.datasetMetadata.accountHolder : null;
+
+        transactions.forEach((transaction, index) => {
+            try {
+                const parsed = this.parseTransaction(transaction, index, model, { anchor: anchors[index], accountSides, accountHolder, region });
+                if (parsed) {
+                    parsed.id = model.transactions.length;
+                    model.transactions.push(parsed);
+                    this.checkReferences(parsed, declared, model);
+                }
+            } catch (error) {
+                this.logger.warn(`Transaction parsing error`, { 
+                    transactionIndex: index,
+                    error: error.message 
+                });
+            }
+
+            if (onProgress && (index + 1) % LedgerParser.PROGRESS_INTERVAL === 0) {
+                onProgress(index + 1, transactions.length);
+            }
+        });
+
+        model.places = this.parsePlaces(xmlDoc, model.transactions);
+        model.totals = this.parseTotals(xmlDoc);
+        this.addUndeclaredCurrencies(model.currencies, model.transactions);
+        if (onProgress) onProgress(transactions.length, transactions.length);
+
+        return model;
+    }
+
+    /**
+     * Per transaction, the date of the nearest dated transaction before it
+     * (after it, for those at the start); the year for feast datings comes from there
+     */
+    collectDateAnchors(transactions) {
+        const dates = Array.from(transactions, transaction => {
+            const record = LedgerDate.parse(this.getTextContent(transaction, 'when'));
+            return record.value ? { year: record.year, month: record.month || 7, day: record.day || 1 } : null;
+        });
+
+        const anchors = [];
+        let previous = null;
+        dates.forEach((date, index) => {
+            if (date) previous = date;
+            anchors[index] = previous;
+        });
+        let next = null;
+        for (let index = dates.length - 1; index >= 0; index--) {
+            if (dates[index]) next = dates[index];
+            if (!anchors[index]) anchors[index] = next;
+        }
+        return anchors;
+    }
+
+    /**
+     * Date record for an entry dated only in its text ("feria 2a post Jacobi"),
+     * or null. Of the neighbouring years, the day closest to the anchor is taken.
+     */
+    readEntryDate(entry, anchor) {
+        const reference = JulianCalendar.readDateExpression(entry);
+        if (!reference) return null;
+
+        const anchorDay = JulianCalendar.dayNumber(anchor);
+        const date = [anchor.year - 1, anchor.year, anchor.year + 1]
+            .map(year => JulianCalendar.resolveDateExpression(reference, year))
+            .filter(Boolean)
+            .reduce((best, candidate) =>
+                !best || Math.abs(JulianCalendar.dayNumber(candidate) - anchorDay) < Math.abs(JulianCalendar.dayNumber(best) - anchorDay)
+                    ? candidate : best, null);
+
+        return date ? LedgerDate.fromExpression(date, reference.expression) : null;
+    }
+
+    /**
+     * Normalised account URI -> 'income' or 'expense' for the accounts under
+     * #income / #expense (by skos:broader) or named einnahmen_* / ausgaben_*
+     */
+    collectAccountSides(accounts) {
+        const sides = new Map();
+        const sideOf = (uri, seen) => {
+            const account = accounts.get(uri);
+            const id = account ? account.id : this.getResourceId(uri);
+            if (id === 'income' || id.startsWith('einnahmen_')) return 'income';
+            if (id === 'expense' || id.startsWith('ausgaben_')) return 'expense';
+            if (!account || seen.has(uri)) return null;
+            seen.add(uri);
+            for (const broader of account.broader) {
+                const side = sideOf(broader, seen);
+                if (side) return side;
+            }
+            return null;
+        };
+
+        accounts.forEach((account, uri) => {
+            const side = sideOf(uri, new Set());
+            if (side) sides.set(this.normalizeUri(uri), side);
+        });
+        return sides;
+    }
+
+    /**
+     * { type, rule }: 'income' for a transfer into the account holder from an
+     * income account, 'expense' for one from the holder to an expense account
+     * (rule 'accounts'); otherwise the entry keywords (rule 'keywords'), else
+     * 'trade' (rule 'default'). Money transfers decide before goods.
+     */
+    classifyTransaction(transfers, entry, accountSides, accountHolder) {
+        if (accountHolder && accountSides.size > 0) {
+            const holder = this.normalizeUri(accountHolder);
+            const ordered = transfers.filter(t => t.items.some(item => item.type === 'money'))
+                .concat(transfers.filter(t => !t.items.some(item => item.type === 'money')));
+
+            for (const transfer of ordered) {
+                const from = transfer.from ? this.normalizeUri(transfer.from) : '';
+                const to = transfer.to ? this.normalizeUri(transfer.to) : '';
+                if (to === holder && accountSides.get(from) === 'income') return { type: 'income', rule: 'accounts' };
+                if (from === holder && accountSides.get(to) === 'expense') return { type: 'expense', rule: 'accounts' };
+            }
+        }
+
+        const entryLower = entry.toLowerCase();
+        if (entryLower.includes('recepimus') || entryLower.includes('einnahmen')) {
+            return { type: 'income', rule: 'keywords' };
+        }
+        if (entryLower.includes('für') || entryLower.includes('dabimus')) {
+            return { type: 'expense', rule: 'keywords' };
+        }
+        return { type: 'trade', rule: 'default' };
+    }
+
+    /**
+     * Mark a model's transactions and totals with the dataset they came from
+     */
+    tagSource(model, source) {
+        model.source = source;
+        model.transactions.forEach(t => { t.source = source.id; });
+        model.totals.forEach(total => { total.source = source.id; });
+        model.issues.forEach(issue => { issue.source = source.id; });
+        return model;
+    }
+
+    /**
+     * Combine several tagged models into one corpus. Resources shared between
+     * ledgers (accounts, agents, concepts, units, places) are kept once per
+     * URI; a transaction found in several files is kept from the first.
+     * The merged model lists its parts in `sources`.
+     */
+    mergeModels(models) {
+        const merged = {
+            transactions: [],
+            accounts: new Map(),
+            agents: new Map(),
+            concepts: new Map(),
+            currencies: new Map(),
+            datasetMetadata: null,
+            unitReport: new Map(),
+            places: new Map(),
+            totals: [],
+            issues: [],
+            sources: models
+        };
+        const seen = new Set();
+        let duplicates = 0;
+
+        models.forEach(model => {
+            model.transactions.forEach(t => {
+                if (t.uri && seen.has(t.uri)) {
+                    duplicates++;
+                    return;
+                }
+                if (t.uri) seen.add(t.uri);
+                t.id = merged.transactions.length;
+                merged.transactions.push(t);
+            });
+            merged.totals.push(...model.totals);
+            merged.issues.push(...model.issues);
+
+            model.accounts.forEach((account, uri) => {
+                const known = merged.accounts.get(uri);
+                if (!known) {
+                    merged.accounts.set(uri, { ...account, broader: account.broader.slice(), narrower: account.narrower.slice() });
+                    return;
+                }
+                // Each ledger may add branches to a shared account
+                account.broader.forEach(b => { if (!known.broader.includes(b)) known.broader.push(b); });
+                account.narrower.forEach(n => { if (!known.narrower.includes(n)) known.narrower.push(n); });
+            });
+
+            ['agents', 'concepts'].forEach(key => {
+                model[key].forEach((resource, uri) => {
+                    if (!merged[key].has(uri)) merged[key].set(uri, resource);
+                });
+            });
+
+            model.currencies.forEach((currency, code) => {
+                const known = merged.currencies.get(code);
+                if (!known || (!known.declared && currency.declared)) merged.currencies.set(code, currency);
+            });
+
+            model.places.forEach((place, uri) => {
+                const known = merged.places.get(uri);
+                if (!known || (!known.resolved && place.resolved)) merged.places.set(uri, place);
+            });
+
+            model.unitReport.forEach((entry, unit) => {
+                const known = merged.unitReport.get(unit) || { kept: 0, converted: 0, unconverted: 0, rejected: 0 };
+                Object.keys(known).forEach(key => { known[key] += entry[key]; });
+                merged.unitReport.set(unit, known);
+            });
+        });
+
+        this.logger.info('Datasets merged', {
+            sources: models.length,
+            transactions: merged.transactions.length,
+            duplicateTransactions: duplicates,
+            accounts: merged.accounts.size,
+            agents: merged.agents.size
+        });
+
+        return merged;
+    }
+
+    /**
+     * One bk:Transaction, or null if it has no entry text. anchor is the date
+     * of the nearest dated transaction, for entries dated by a feast only;
+     * accountSides (see collectAccountSides) and the dataset's account holder
+     * give the direction of its transfers; region picks the rates (see parse).
+     */
+    parseTransaction(transaction, index, model, { anchor = null, accountSides = new Map(), accountHolder = null, region = null } = {}) {
+        const uri = transaction.getAttribute('rdf:about') || '';
+        const originalId = `T${index + 1}`;
+        const entry = this.getTextContent(transaction, 'entry');
+        let dateInfo = LedgerDate.parse(this.getTextContent(transaction, 'when'));
+        const dateStatus = LedgerDate.statusOf(dateInfo);
+        if (dateStatus === 'undated' && entry && anchor) {
+            dateInfo = this.readEntryDate(entry, anchor) || dateInfo;
+        }
+        const when = dateInfo.value;
+        if (dateStatus === 'placeholder') {
+            this.reportIssue(model, 'date-out-of-range', originalId, uri, dateInfo.original, 'Year outside 1200–1800, kept as a suspected placeholder; treated as undated');
+        } else if (dateStatus === 'rejected') {
+            this.reportIssue(model, 'date-invalid', originalId, uri, dateInfo.original, 'Not a readable date; treated as undated');
+        }
+        
+        // Extract money amounts and currencies with validation
+        const moneyElements = transaction.querySelectorAll('bk\\:Money, Money');
+        const amounts = [];
+        const year = CurrencyConverter.yearOf(when);
+
+        moneyElements.forEach(money => {
+            const parsed = this.parseMoneyElement(money, index);
+            if (parsed) {
+                const convertible = this.converter.hasRate(parsed.currency, { year, region });
+                amounts.push({ amount: parsed.amount, currency: parsed.currency, convertible });
+                this.recordUnitValue(model.unitReport, parsed.currency, convertible ? 'converted' : 'unconverted');
+            } else {
+                const unit = this.getResourceAttribute(money, 'unit');
+                const code = unit ? this.getResourceId(unit) : 'unknown';
+                this.recordUnitValue(model.unitReport, code, 'rejected');
+                this.reportRejectedValue(model, originalId, uri, this.getTextContent(money, 'quantity'), unit ? code : '');
+            }
+        });
+
+        // The amounts the entry states in words, checked against bk:Money and
+        // reported, but never counted in its place
+        const textAmounts = entry ? AmountPhrase.extract(entry) : [];
+        const amountCheck = AmountPhrase.compare(textAmounts, amounts);
+        if (amountCheck === 'mismatch') {
+            this.reportIssue(model, 'amount-mismatch', originalId, uri, textAmounts.map(a => a.text).join(' '),
+                `The entry text gives ${AmountPhrase.format(textAmounts)}, bk:Money ${AmountPhrase.format(amounts)}`);
+        } else if (amountCheck === 'text-only' && moneyElements.length === 0) {
+            this.reportIssue(model, 'amount-text-only', originalId, uri, textAmounts.map(a => a.text).join(' '),
+                `No bk:Money; the entry text gives ${AmountPhrase.format(textAmounts)}`);
+        }
+
+        // Florins derived from the exact compound value ("22 f 3 s 15 d")
+        const totalFlorinValue = Money.fromAmounts(amounts).toFlorins(this.converter, year, region);
+
+        // Keep the bk:consistsOf/bk:Transfer structure (who paid whom, and what)
+        const transfers = this.parseTransfers(transaction, index);
+
+        // Commodities and services moved by the transfers (the non-monetary side)
+        const goods = transfers.reduce((all, transfer) => 
+            all.concat(transfer.items.filter(item => item.type !== 'money')), []);
+
+        // Place reference (bk:where), resolved to a label after all resources are read
+        const place = this.getResourceAttribute(transaction, 'where');
+
+        // Income or expense from the direction of the transfers, keywords where the accounts say nothing
+        const { type, rule: typeRule } = this.classifyTransaction(transfers, entry, accountSides, accountHolder);
+
+        // Curated agents referenced by the transfers; heuristics only for unannotated files
+        const agents = this.getTransactionAgents(transfers, model.agents);
+        const people = model.agents.size > 0
+            ? agents.map(uri => model.agents.get(uri).label)
+            : this.extractPeopleAndPlaces(entry);
+
+        if (!entry) {
+            // Only keep transactions with entry text
+            this.reportIssue(model, 'missing-entry', originalId, uri, '', 'No bk:entry text; the transaction was left out');
+            return null;
+        }
+
+        return {
+            id: null,
+            originalId: originalId,
+            sourceIndex: index,
+            uri: uri,
+            date: when,
+            dateInfo: dateInfo,
+            entry: entry,
+            amounts: amounts,
+            textAmounts: textAmounts,
+            amountCheck: amountCheck,
+            totalFlorinValue: totalFlorinValue,
+            transfers: transfers,
+            goods: goods,
+            type: type,
+            typeRule: typeRule,
+            agents: agents,
+            place: place,
+            people: people,
+            rawXML: transaction ? transaction.outerHTML : ''
+        };
+    }
+
+    parseAccounts(xmlDoc) {
+        const accounts = new Map();
+
+        xmlDoc.querySelectorAll('bk\\:Account, Account').forEach(element => {
+            const uri = element.getAttribute('rdf:about');
+            if (!uri) return;
+
+            accounts.set(uri, {
+                uri: uri,
+                id: this.getResourceId(uri),
+                label: this.getLabel(element) || this.getResourceId(uri),
+                broader: this.getResourceList(element, 'skos', 'broader'),
+                narrower: this.getResourceList(element, 'skos', 'narrower')
+            });
+        });
+
+        return accounts;
+    }
+
+    parseConcepts(xmlDoc) {
+        // skos:Concept classifications of commodities and services (#work, #weizen, ...)
+        const concepts = new Map();
+
+        xmlDoc.querySelectorAll('skos\\:Concept, Concept').forEach(element => {
+            const uri = element.getAttribute('rdf:about');
+            if (!uri) return;
+
+            concepts.set(uri, {
+                uri: uri,
+                id: this.getResourceId(uri),
+                label: this.getLabel(element) || this.decodeResourceId(uri),
+                broader: this.getResourceList(element, 'skos', 'broader')
+            });
+        });
+
+        return concepts;
+    }
+
+    parseAgents(xmlDoc) {
+        const agents = new Map();
+        const agentTypes = ['EconomicAgent', 'Group', 'Organisation'];
+
+        agentTypes.forEach(agentType => {
+            xmlDoc.querySelectorAll(`bk\\:${agentType}, ${agentType}`).forEach(element => {
+                const uri = element.getAttribute('rdf:about');
+                if (!uri) return;
+
+                const name = this.getChildText(element, 'schema:name');
+                agents.set(uri, {
+                    uri: uri,
+                    id: this.getResourceId(uri),
+                    type: agentType,
+                    label: this.getLabel(element) || name || this.getResourceId(uri),
+                    name: name,
+                    occupation: this.getChildText(element, 'schema:hasOccupation'),
+                    placeName: this.getChildText(element, 'depcha:placeName')
+                });
+            });
+        });
+
+        return agents;
+    }
+
+    parseCurrencies(xmlDoc) {
+        // Currencies listed per dataset in depcha:currency, labelled by their huc:HistoricalUnit
+        // (the unit vocabulary also holds non-monetary units such as "Tag" or "Woche")
+        const labels = new Map();
+        xmlDoc.querySelectorAll('huc\\:HistoricalUnit, HistoricalUnit').forEach(element => {
+            const uri = element.getAttribute('rdf:about');
+            if (uri) labels.set(uri, this.getLabel(element));
+        });
+
+        const currencies = new Map();
+        Array.from(xmlDoc.getElementsByTagName('depcha:currency')).forEach(element => {
+            const uri = element.getAttribute('rdf:resource');
+            if (!uri) return;
+            const code = this.getResourceId(uri);
+            if (!currencies.has(code)) {
+                currencies.set(code, { code, uri, label: labels.get(uri) || code, declared: true });
+            }
+        });
+
+        return currencies;
+    }
+
+    parseDatasetMetadata(xmlDoc) {
+        // depcha:Dataset (declared counts, per-year aggregates) and void:Dataset (rights, publisher)
+        const dataset = xmlDoc.getElementsByTagName('depcha:Dataset')[0];
+        const voidDataset = xmlDoc.getElementsByTagName('void:Dataset')[0];
+        if (!dataset && !voidDataset) return null;
+
+        const counts = {};
+        if (dataset) {
+            Array.from(dataset.children).forEach(child => {
+                const match = child.nodeName.match(/^depcha:numberOf(\w+)$/);
+                if (match) {
+                    const value = parseInt(child.textContent.trim(), 10);
+                    if (!isNaN(value)) counts[match[1]] = value;
+                }
+            });
+        }
+
+        const aggregations = dataset
+            ? Array.from(dataset.getElementsByTagName('depcha:Aggregation')).map(element => ({
+                uri: element.getAttribute('rdf:about') || '',
+                year: parseInt(this.getChildText(element, 'depcha:date'), 10),
+                unit: this.getChildText(element, 'bk:unit'),
+                revenue: parseFloat(this.getChildText(element, 'depcha:revenue')) || 0,
+                expenses: parseFloat(this.getChildText(element, 'depcha:expenses')) || 0
+            })).sort((a, b) => a.year - b.year)
+            : [];
+
+        const resource = (name) => {
+            const element = dataset ? dataset.getElementsByTagName(name)[0] : null;
+            return element ? (element.getAttribute('rdf:resource') || '') : '';
+        };
+
+        return {
+            uri: dataset ? (dataset.getAttribute('rdf:about') || '') : '',
+            counts: counts,
+            accountHolder: resource('depcha:accountHolder'),
+            mainCurrency: resource('depcha:isMainCurrency'),
+            aggregations: aggregations,
+            rights: voidDataset ? this.getChildText(voidDataset, 'dc:rights') : '',
+            publisher: voidDataset ? this.getChildText(voidDataset, 'dc:publisher').replace(/\s+/g, ' ') : ''
+        };
+    }
+
+    parseTotals(xmlDoc) {
+        // bk:TotalTransaction ("Summa ...") with the number of bk:Transaction elements before it
+        const elements = xmlDoc.querySelectorAll('bk\\:Transaction, Transaction, bk\\:TotalTransaction, TotalTransaction');
+        const totals = [];
+        let position = 0;
+
+        elements.forEach(element => {
+            const kind = element.localName || element.nodeName.split(':').pop();
+            if (kind !== 'TotalTransaction') {
+                position++;
+                return;
+            }
+
+            try {
+                const uri = element.getAttribute('rdf:about') || '';
+                const amounts = Array.from(element.querySelectorAll('bk\\:Money, Money'))
+                    .map(money => this.parseMoneyElement(money, totals.length))
+                    .filter(Boolean);
+
+                totals.push({
+                    id: totals.length,
+                    originalId: uri.split('#').pop() || `Total${totals.length + 1}`,
+                    uri: uri,
+                    entry: this.getTextContent(element, 'entry'),
+                    // bk:when may list several dates; the first one dates the total
+                    date: LedgerDate.parse(this.getTextContent(element, 'when')).value,
+                    amounts: amounts,
+                    position: position
+                });
+            } catch (error) {
+                this.logger.warn('Total parsing error', {
+                    totalIndex: totals.length,
+                    error: error.message
+                });
+            }
+        });
+
+        return totals;
+    }
+
+    parseMoneyElement(money, transactionIndex) {
+        try {
+            const quantityText = this.getTextContent(money, 'quantity');
+            const unitResource = this.getResourceAttribute(money, 'unit');
+            const currency = unitResource ? this.getResourceId(unitResource) : 'unknown';
+
+            // Validate and parse quantity
+            if (quantityText && currency !== 'unknown') {
+                const amount = this.validateNumericValue(quantityText);
+                if (amount !== null && this.isValidCurrency(currency)) {
+                    return { amount, currency };
+                }
+            }
+        } catch (error) {
+            this.logger.debug('Money element parsing error', { 
+                error: error.message,
+                transactionIndex: transactionIndex
+            });
+        }
+        return null;
+    }
+
+    parseTransfers(transaction, transactionIndex) {
+        const transferElements = transaction.querySelectorAll('bk\\:Transfer, Transfer');
+
+        return Array.from(transferElements).map(transfer => {
+            const items = [];
+            const itemElements = transfer.querySelectorAll(
+                'bk\\:Money, Money, bk\\:Commodity, Commodity, bk\\:Service, Service'
+            );
+
+            itemElements.forEach(element => {
+                const kind = element.localName || element.nodeName.split(':').pop();
+
+                if (kind === 'Money') {
+                    const parsed = this.parseMoneyElement(element, transactionIndex);
+                    if (parsed) {
+                        items.push({
+                            type: 'money',
+                            uri: element.getAttribute('rdf:about') || '',
+                            amount: parsed.amount,
+                            currency: parsed.currency
+                        });
+                    }
+                } else {
+                    items.push(this.parseGoodsElement(element, kind.toLowerCase()));
+                }
+            });
+
+            return {
+                uri: transfer.getAttribute('rdf:about') || '',
+                from: this.getResourceAttribute(transfer, 'from'),
+                to: this.getResourceAttribute(transfer, 'to'),
+                items: items
+            };
+        });
+    }
+
+    parseGoodsElement(element, type) {
+        // bk:Commodity / bk:Service: the unit is either a literal ("piece") or a unit URI ("#tag")
+        const unitResource = this.getResourceAttribute(element, 'unit');
+        const quantityText = this.getTextContent(element, 'quantity');
+
+        return {
+            type: type,
+            uri: element.getAttribute('rdf:about') || '',
+            quantity: quantityText ? this.validateNumericValue(quantityText) : null,
+            unit: unitResource ? this.getResourceId(unitResource) : this.getTextContent(element, 'unit'),
+            classification: this.getResourceAttribute(element, 'classified')
+        };
+    }
+
+    parsePlaces(xmlDoc, transactions) {
+        const places = new Map();
+
+        transactions.forEach(t => {
+            if (t.place && !places.has(t.place)) {
+                // Unresolved places keep their ID (e.g. "ort_0555") as a stable key
+                places.set(t.place, {
+                    uri: t.place,
+                    id: this.getResourceId(t.place),
+                    label: this.getResourceId(t.place),
+                    resolved: false
+                });
+            }
+        });
+
+        // Resolve labels from any top-level resource describing one of the places
+        if (places.size > 0 && xmlDoc.documentElement) {
+            Array.from(xmlDoc.documentElement.children).forEach(element => {
+                const place = places.get(element.getAttribute('rdf:about'));
+                if (!place) return;
+
+                const label = this.getLabel(element) ||
+                             this.getChildText(element, 'gn:name') ||
+                             this.getChildText(element, 'schema:name') ||
+                             this.getChildText(element, 'depcha:placeName');
+                if (label) {
+                    place.label = label;
+                    place.resolved = true;
+                }
+            });
+        }
+
+        return places;
+    }
+
+    addUndeclaredCurrencies(currencies, transactions) {
+        // Units used by bk:Money values but missing from the declarations keep their code as label
+        transactions.forEach(t => t.amounts.forEach(amount => {
+            if (!currencies.has(amount.currency)) {
+                currencies.set(amount.currency, {
+                    code: amount.currency,
+                    uri: '',
+                    label: amount.currency,
+                    declared: false
+                });
+            }
+        }));
+    }
+
+    getTransactionAgents(transfers, registry) {
+        // Registry agents named as bk:from / bk:to of any transfer, in order of first mention
+        const agents = [];
+        transfers.forEach(transfer => {
+            [transfer.from, transfer.to].forEach(uri => {
+                if (uri && registry.has(uri) && !agents.includes(uri)) {
+                    agents.push(uri);
+                }
+            });
+        });
+        return agents;
+    }
+
+    recordUnitValue(report, currency, state) {
+        if (!report.has(currency)) {
+            report.set(currency, { kept: 0, converted: 0, unconverted: 0, rejected: 0 });
+        }
+        const entry = report.get(currency);
+        entry[state]++;
+        if (state !== 'rejected') entry.kept++;
+    }
+
+    /**
+     * Add a finding to the model's validation report. transaction is the
+     * T-number within the file ("T12"), uri the resource the finding is about.
+     */
+    reportIssue(model, rule, transaction, uri, value, message) {
+        model.issues.push({
+            rule: rule,
+            severity: LedgerParser.VALIDATION_RULES[rule].severity,
+            transaction: transaction || '',
+            uri: uri || '',
+            value: value === null || value === undefined ? '' : String(value),
+            message: message
+        });
+    }
+
+    reportRejectedValue(model, transaction, uri, quantityText, unit) {
+        const value = `${quantityText} ${unit}`.trim();
+        const number = parseFloat(quantityText);
+
+        if (!unit) {
+            this.reportIssue(model, 'value-invalid', transaction, uri, value, 'bk:Money without a bk:unit');
+        } else if (!quantityText) {
+            this.reportIssue(model, 'value-invalid', transaction, uri, value, 'bk:Money without a bk:quantity');
+        } else if (isNaN(number)) {
+            this.reportIssue(model, 'value-invalid', transaction, uri, value, 'Quantity is not a number');
+        } else if (number < 0 || number > 100000) {
+            this.reportIssue(model, 'value-out-of-range', transaction, uri, value, 'Quantity outside 0–100000; the value was left out');
+        } else {
+            this.reportIssue(model, 'value-invalid', transaction, uri, value, `Unit "${unit}" is not a usable unit code`);
+        }
+    }
+
+    /**
+     * URIs a transfer or value may point at: accounts, agents and the account
+     * holder for bk:from / bk:to, huc:HistoricalUnit and depcha:currency for
+     * bk:unit. A file without any such declarations is not checked against them.
+     */
+    collectDeclarations(xmlDoc, model) {
+        const parties = new Set();
+        model.accounts.forEach((account, uri) => parties.add(this.normalizeUri(uri)));
+        model.agents.forEach((agent, uri) => parties.add(this.normalizeUri(uri)));
+        if (parties.size > 0 && model.datasetMetadata && model.datasetMetadata.accountHolder) {
+            parties.add(this.normalizeUri(model.datasetMetadata.accountHolder));
+        }
+
+        const units = new Set();
+        xmlDoc.querySelectorAll('huc\\:HistoricalUnit, HistoricalUnit').forEach(element => {
+            const uri = element.getAttribute('rdf:about');
+            if (uri) units.add(this.getResourceId(this.normalizeUri(uri)));
+        });
+        model.currencies.forEach(currency => units.add(this.getResourceId(this.normalizeUri(currency.uri))));
+
+        return { parties, units };
+    }
+
+    checkReferences(transaction, declared, model) {
+        const reported = new Set();
+        const report = (rule, value, message) => {
+            if (reported.has(`${rule} ${value}`)) return;
+            reported.add(`${rule} ${value}`);
+            this.reportIssue(model, rule, transaction.originalId, transaction.uri, value, message);
+        };
+
+        if (declared.parties.size > 0) {
+            transaction.transfers.forEach(transfer => {
+                [transfer.from, transfer.to].forEach(uri => {
+                    if (uri && !declared.parties.has(this.normalizeUri(uri))) {
+                        report('undeclared-party', uri, 'bk:from / bk:to points at no declared account or agent');
+                    }
+                });
+            });
+        }
+
+        if (declared.units.size > 0) {
+            transaction.amounts.forEach(amount => {
+                if (!declared.units.has(amount.currency)) {
+                    report('undeclared-unit', amount.currency, 'bk:unit points at no declared unit or currency');
+                }
+            });
+        }
+    }
+
+    normalizeUri(uri) {
+        // The exports percent-encode some declarations ("b%C3%BCcher") but not the references to them
+        try {
+            return decodeURI(uri);
+        } catch (error) {
+            return uri;
+        }
+    }
+
+    getResourceAttribute(element, tagName) {
+        // rdf:resource of a child property such as <bk:from rdf:resource="..."/>
+        const found = element.querySelector(`bk\\:${tagName}`) ||
+                     element.querySelector(tagName) ||
+                     element.getElementsByTagName(`bk:${tagName}`)[0] ||
+                     element.getElementsByTagName(tagName)[0];
+        return found ? (found.getAttribute('rdf:resource') || '') : '';
+    }
+
+    getResourceList(element, prefix, tagName) {
+        // All rdf:resource values of a repeated property such as skos:narrower
+        const found = element.getElementsByTagName(`${prefix}:${tagName}`);
+        return Array.from(found)
+            .map(child => child.getAttribute('rdf:resource'))
+            .filter(uri => uri);
+    }
+
+    getChildText(element, qualifiedName) {
+        const found = element.getElementsByTagName(qualifiedName)[0];
+        return found ? found.textContent.trim() : '';
+    }
+
+    getTextContent(element, tagName) {
+        // Try namespaced version first, then fallback to non-namespaced
+        let found = element.querySelector(`bk\\:${tagName}`) || 
+                   element.querySelector(tagName) ||
+                   element.getElementsByTagName(`bk:${tagName}`)[0] ||
+                   element.getElementsByTagName(tagName)[0];
+        return found ? found.textContent.trim() : '';
+    }
+
+    getLabel(element) {
+        const label = element.getElementsByTagName('rdfs:label')[0] ||
+                     element.getElementsByTagName('skos:prefLabel')[0];
+        return label ? label.textContent.trim() : '';
+    }
+
+    getResourceId(uri) {
+        // Local part of a resource URI, e.g. "...aldersbach#f" -> "f"
+        return uri ? uri.split('#').pop() : '';
+    }
+
+    decodeResourceId(uri) {
+        // Concept IDs are percent-encoded in the URIs (e.g. "k%C3%A4se")
+        try {
+            return decodeURIComponent(this.getResourceId(uri));
+        } catch (error) {
+            return this.getResourceId(uri);
+        }
+    }
+
+    validateNumericValue(valueString) {
+        if (!valueString || valueString.trim() === '') return null;
+        
+        try {
+            const numValue = parseFloat(valueString.trim());
+            
+            // Check for reasonable bounds (avoid extreme values)
+            if (isNaN(numValue) || numValue < 0 || numValue > 100000) {
+                this.logger.debug('Invalid numeric value', { value: valueString });
+                return null;
+            }
+            
+            return numValue;
+        } catch (error) {
+            this.logger.debug('Numeric parsing error', { 
+                value: valueString,
+                error: error.message 
+            });
+            return null;
+        }
+    }
+
+    isValidCurrency(currency) {
+        // Any unit code from the dataset's vocabulary (fl, lbdrat, frhen, ...) is kept;
+        // whether it can be converted is a separate question (see CurrencyConverter.hasRate)
+        return typeof currency === 'string' && /^[a-z][a-z0-9_-]*$/i.test(currency);
+    }
+
+    extractPeopleAndPlaces(text) {
+        // Simple regex to find capitalized names and places
+        const matches = text.match(/[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*/g);
+        return matches ? matches.filter(match => 
+            match.length > 2 && 
+            !['Item', 'Maii', 'Aprilis', 'Anno'].includes(match)
+        ) : [];
+    }
+}
+
+// Reporting granularity for parse(..., onProgress)
+LedgerParser.PROGRESS_INTERVAL = 200;
+
+// What decided a transaction's type (transaction.typeRule)
+LedgerParser.TYPE_RULES = {
+    accounts: 'Transfer direction and account hierarchy',
+    keywords: 'Keywords in the entry text',
+    default: 'Neither the accounts nor keywords decide'
+};
+
+// Checks behind model.issues. Errors lose data (a transaction or value left
+// out, an unreadable file); warnings keep it with less information.
+LedgerParser.VALIDATION_RULES = {
+    'malformed-xml': { severity: 'error', label: 'Malformed XML' },
+    'missing-entry': { severity: 'error', label: 'Transaction without bk:entry' },
+    'value-out-of-range': { severity: 'error', label: 'Value out of range' },
+    'value-invalid': { severity: 'error', label: 'Unreadable monetary value' },
+    'date-out-of-range': { severity: 'warning', label: 'Placeholder date (year outside 1200–1800)' },
+    'date-invalid': { severity: 'warning', label: 'Unreadable date' },
+    'undeclared-party': { severity: 'warning', label: 'Undeclared account or agent' },
+    'undeclared-unit': { severity: 'warning', label: 'Undeclared unit' },
+    'amount-mismatch': { severity: 'warning', label: 'Entry text and bk:Money disagree' },
+    'amount-text-only': { severity: 'warning', label: 'Amount only in the entry text (no bk:Money)' }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LedgerParser;
+}
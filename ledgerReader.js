@@ -0,0 +1,193 @@
+/**
+ * Ledger Reader for Aldersbach Monastery Financial Dashboard
+ * Input layer in front of LedgerParser: detects the serialization of a
+ * ledger (RDF/XML, Turtle, N-Triples, JSON-LD) and turns the non-XML ones
+ * into the document LedgerParser already reads.
+ *
+ * Turtle and JSON-LD are parsed to triples, which are laid out again the
+ * way the DEPCHA RDF/XML exports nest them: one element per typed resource
+ * in the order the file describes them, with transfers, monetary values
+ * and aggregations inside the resource that owns them, and everything else
+ * linked by rdf:resource. The result is an XmlLiteNode tree, so the same
+ * parser, charts and filters work for every format.
+ */
+
+class LedgerReader {
+    /**
+     * 'rdfxml', 'turtle', 'ntriples' or 'jsonld', from the content and, for
+     * Turtle vs N-Triples, the file name
+     */
+    static detectFormat(text, name = '') {
+        const start = text.replace(/^\uFEFF/, '').trimStart();
+
+        if (start.startsWith('{') || start.startsWith('[')) return 'jsonld';
+        // An XML tag name has at most one colon and no "/" ("<rdf:RDF", not "<https://...>")
+        if (/^<(\?|!|[A-Za-z_][\w.-]*(:[A-Za-z_][\w.-]*)?[\s/>])/.test(start)) return 'rdfxml';
+        if (/\.nt$/i.test(name)) return 'ntriples';
+        return 'turtle';
+    }
+
+    /**
+     * Triples of a Turtle, N-Triples or JSON-LD text
+     */
+    static readTriples(text, format, base = '') {
+        if (format === 'jsonld') return new JsonLdParser().parse(text, base);
+        if (format === 'turtle' || format === 'ntriples') return new TurtleParser().parse(text, base);
+        throw new Error(`No triple reader for ${LedgerReader.FORMATS[format] || format}`);
+    }
+
+    /**
+     * Document for LedgerParser.parse from a non-XML serialization
+     */
+    static toDocument(text, format, base = '') {
+        return LedgerReader.buildDocument(LedgerReader.readTriples(text, format, base));
+    }
+
+    static buildDocument(triples) {
+        const key = (term) => term.type === 'blank' ? `_:${term.value}` : term.value;
+        const namespaces = new Map(LedgerReader.NAMESPACES);
+        const prefixes = new Map(Array.from(namespaces.entries()).map(([prefix, iri]) => [iri, prefix]));
+        LedgerReader.NAMESPACE_ALIASES.forEach((prefix, iri) => prefixes.set(iri, prefix));
+
+        // Resources in the order the file first describes them
+        const resources = new Map();
+        triples.forEach(triple => {
+            const id = key(triple.subject);
+            if (!resources.has(id)) resources.set(id, { term: triple.subject, types: [], properties: [] });
+            const resource = resources.get(id);
+            if (triple.predicate === LedgerReader.RDF_TYPE && triple.object.type === 'iri') {
+                resource.types.push(triple.object.value);
+            } else {
+                resource.properties.push(triple);
+            }
+        });
+
+        // Blank nodes and owned resources (transfers, values, ...) go inside their first referrer
+        const owner = new Map();
+        triples.forEach(triple => {
+            if (triple.object.type === 'literal') return;
+            const id = key(triple.object);
+            if (!resources.has(id) || owner.has(id) || id === key(triple.subject)) return;
+            if (triple.object.type === 'blank' || LedgerReader.NESTED_PROPERTIES.includes(triple.predicate)) {
+                owner.set(id, triple);
+            }
+        });
+
+        const qualifiedName = (iri) => {
+            const split = Math.max(iri.lastIndexOf('#'), iri.lastIndexOf('/')) + 1;
+            let namespace = iri.substring(0, split);
+            let local = iri.substring(split);
+            if (!/^[A-Za-z_][\w.-]*$/.test(local)) {
+                namespace = iri;
+                local = '_';
+            }
+            if (!prefixes.has(namespace)) {
+                const prefix = `ns${prefixes.size}`;
+                prefixes.set(namespace, prefix);
+                namespaces.set(prefix, namespace);
+            }
+            return `${prefixes.get(namespace)}:${local}`;
+        };
+
+        const rendered = new Set();
+        const render = (id) => {
+            const resource = resources.get(id);
+            rendered.add(id);
+
+            // Named after its first type in a known vocabulary, as the exports do
+            const type = resource.types.find(iri => prefixes.has(iri.substring(0, Math.max(iri.lastIndexOf('#'), iri.lastIndexOf('/')) + 1))) ||
+                         resource.types[0];
+            const attributes = resource.term.type === 'blank'
+                ? { 'rdf:nodeID': resource.term.value }
+                : { 'rdf:about': resource.term.value };
+            const element = new XmlLiteNode(type ? qualifiedName(type) : 'rdf:Description', attributes);
+
+            resource.types.filter(iri => iri !== type).forEach(iri => {
+                element.appendChild(new XmlLiteNode('rdf:type', { 'rdf:resource': iri }));
+            });
+
+            resource.properties.forEach(triple => {
+                const name = qualifiedName(triple.predicate);
+                const object = triple.object;
+
+                if (object.type === 'literal') {
+                    const property = new XmlLiteNode(name, object.language ? { 'xml:lang': object.language } : (object.datatype ? { 'rdf:datatype': object.datatype } : {}));
+                    property.appendText(object.value);
+                    element.appendChild(property);
+                    return;
+                }
+
+                const objectId = key(object);
+                const property = new XmlLiteNode(name);
+                if (owner.get(objectId) === triple && !rendered.has(objectId)) {
+                    property.appendChild(render(objectId));
+                } else if (object.type === 'blank') {
+                    property.attributes['rdf:nodeID'] = object.value;
+                } else {
+                    property.attributes['rdf:resource'] = object.value;
+                }
+                element.appendChild(property);
+            });
+
+            return element;
+        };
+
+        const document = new XmlLiteNode('#document');
+        const root = new XmlLiteNode('rdf:RDF');
+        document.appendChild(root);
+        resources.forEach((resource, id) => {
+            if (!owner.has(id) && !rendered.has(id)) root.appendChild(render(id));
+        });
+        // Resources whose owner was never laid out (cycles) stand on their own
+        resources.forEach((resource, id) => {
+            if (!rendered.has(id)) root.appendChild(render(id));
+        });
+
+        namespaces.forEach((iri, prefix) => { root.attributes[`xmlns:${prefix}`] = iri; });
+        return document;
+    }
+}
+
+LedgerReader.FORMATS = {
+    rdfxml: 'RDF/XML',
+    turtle: 'Turtle',
+    ntriples: 'N-Triples',
+    jsonld: 'JSON-LD'
+};
+
+LedgerReader.RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+
+// Prefixes of the DEPCHA RDF/XML exports, which LedgerParser looks for by name
+LedgerReader.NAMESPACES = new Map([
+    ['rdf', 'http://www.w3.org/1999/02/22-rdf-syntax-ns#'],
+    ['rdfs', 'http://www.w3.org/2000/01/rdf-schema#'],
+    ['bk', 'https://gams.uni-graz.at/o:depcha.bookkeeping#'],
+    ['depcha', 'https://gams.uni-graz.at/o:depcha.ontology#'],
+    ['huc', 'https://gams.uni-graz.at/o:depcha.huc-ontology#'],
+    ['gams', 'https://gams.uni-graz.at/o:gams-ontology#'],
+    ['skos', 'http://www.w3.org/2004/02/skos/core#'],
+    ['schema', 'https://schema.org/'],
+    ['dc', 'http://purl.org/dc/elements/1.1/'],
+    ['void', 'http://rdfs.org/ns/void#'],
+    ['gn', 'http://www.geonames.org/ontology#'],
+    ['time', 'http://www.w3.org/2006/time#']
+]);
+
+// Other spellings of the same vocabularies
+LedgerReader.NAMESPACE_ALIASES = new Map([
+    ['http://schema.org/', 'schema']
+]);
+
+// Properties whose values belong to the resource that names them
+LedgerReader.NESTED_PROPERTIES = [
+    'https://gams.uni-graz.at/o:depcha.bookkeeping#consistsOf',
+    'https://gams.uni-graz.at/o:depcha.bookkeeping#transfers',
+    'https://gams.uni-graz.at/o:depcha.bookkeeping#comprises',
+    'https://gams.uni-graz.at/o:depcha.ontology#aggregates',
+    'https://gams.uni-graz.at/o:depcha.huc-ontology#definedBy'
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LedgerReader;
+}
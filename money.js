@@ -0,0 +1,204 @@
+/**
+ * Compound Money Value for Aldersbach Monastery Financial Dashboard
+ * Keeps amounts as exact integer counts per unit (in quarters, so "4 ½ f"
+ * stays exact) instead of florin floats. Values add without rounding error,
+ * carry in the ledgers' reckoning (a pound or talent of 8 shillings, a
+ * shilling of 30 pence), and format back as the compound "22 f 3 s 15 d"
+ * the scribes used.
+ */
+
+class Money {
+    constructor(parts = new Map(), inexact = false) {
+        this.parts = parts;      // unit -> integer count of 1/Money.DENOMINATOR unit
+        this.inexact = inexact;  // true if an input had to be rounded to a quarter
+    }
+
+    static zero() {
+        return new Money();
+    }
+
+    /**
+     * Money for a single quantity of a unit, e.g. Money.of(4.5, 'f')
+     */
+    static of(amount, unit) {
+        const scaled = amount * Money.DENOMINATOR;
+        const count = Math.round(scaled);
+        const parts = new Map();
+        if (count !== 0) parts.set(unit, count);
+        return new Money(parts, Math.abs(scaled - count) > 1e-9);
+    }
+
+    /**
+     * Money for a list of parsed amounts ({ amount, currency })
+     */
+    static fromAmounts(amounts) {
+        return (amounts || []).reduce((sum, a) => sum.add(Money.of(a.amount, a.currency)), Money.zero());
+    }
+
+    static sum(values) {
+        return values.reduce((total, value) => total.add(value), Money.zero());
+    }
+
+    /**
+     * The reckoning of a ledger: 30 pence to the shilling, 2 heller to the
+     * penny and, when it counts in pounds (lb, lbdwien or t), 8 shillings to
+     * the pound. It is fixed by the ledgers, not by exchange rates; the
+     * florin, a gold coin at a changing rate, and the units of other mints
+     * stay outside it.
+     */
+    static reckoning(pound = null) {
+        const units = new Map([['s', 60], ['d', 2], ['hr', 1]]);
+        if (pound) units.set(pound, 480);
+        return { base: 'hr', units: units, display: (pound ? [pound] : []).concat(['s', 'd', 'hr']) };
+    }
+
+    /**
+     * The pound unit a list of Money values counts in: the one used most,
+     * if more often than the florin; else null (a florin ledger)
+     */
+    static poundUnitOf(values) {
+        const counts = new Map();
+        values.forEach(value => value.parts.forEach((count, unit) => counts.set(unit, (counts.get(unit) || 0) + 1)));
+        const used = (unit) => counts.get(unit) || 0;
+        const pound = Money.POUND_UNITS.reduce((best, unit) => used(unit) > used(best) ? unit : best);
+        return used(pound) > used('f') + used('fl') ? pound : null;
+    }
+
+    add(other) {
+        const parts = new Map(this.parts);
+        other.parts.forEach((count, unit) => {
+            const total = (parts.get(unit) || 0) + count;
+            if (total === 0) {
+                parts.delete(unit);
+            } else {
+                parts.set(unit, total);
+            }
+        });
+        return new Money(parts, this.inexact || other.inexact);
+    }
+
+    subtract(other) {
+        const negated = new Map();
+        other.parts.forEach((count, unit) => negated.set(unit, -count));
+        return this.add(new Money(negated, other.inexact));
+    }
+
+    /**
+     * The parts whose unit passes test
+     */
+    filter(test) {
+        return new Money(new Map(Array.from(this.parts).filter(([unit]) => test(unit))), this.inexact);
+    }
+
+    isZero() {
+        return this.parts.size === 0;
+    }
+
+    /**
+     * Split into an integer count of the system's base unit (in quarters)
+     * and the parts the system cannot express
+     */
+    toMinor(system) {
+        let minor = 0;
+        const rest = new Map();
+        this.parts.forEach((count, unit) => {
+            if (system.units.has(unit)) {
+                minor += count * system.units.get(unit);
+            } else {
+                rest.set(unit, count);
+            }
+        });
+        return { minor, rest };
+    }
+
+    /**
+     * Carry into the system's display units ("20 d" + "12 d" -> "1 s 2 d")
+     */
+    normalize(system) {
+        const { minor, rest } = this.toMinor(system);
+        const parts = new Map();
+        let remaining = minor;
+
+        system.display.forEach((unit, index) => {
+            const size = system.units.get(unit);
+            const isLast = index === system.display.length - 1;
+            const quarters = isLast
+                ? remaining / size
+                : Math.trunc(remaining / (size * Money.DENOMINATOR)) * Money.DENOMINATOR;
+            if (quarters !== 0) parts.set(unit, quarters);
+            remaining -= quarters * size;
+        });
+
+        rest.forEach((count, unit) => parts.set(unit, count));
+        return new Money(parts, this.inexact);
+    }
+
+    /**
+     * -1, 0 or 1; only parts expressible in the system take part in the comparison
+     */
+    compare(other, system) {
+        const difference = this.toMinor(system).minor - other.toMinor(system).minor;
+        return Math.sign(difference);
+    }
+
+    equals(other) {
+        if (this.parts.size !== other.parts.size) return false;
+        for (const [unit, count] of this.parts) {
+            if (other.parts.get(unit) !== count) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Florin value, applying each unit's rate once to its exact total
+     */
+    toFlorins(converter, year = null, region = null) {
+        let total = 0;
+        this.parts.forEach((count, unit) => {
+            total += converter.convert(count / Money.DENOMINATOR, unit, { year, region });
+        });
+        return total;
+    }
+
+    /**
+     * Compound notation, e.g. "22 f 3 s 15 d"; display units first, largest first
+     */
+    format() {
+        if (this.isZero()) return '0';
+
+        const order = Money.DISPLAY_UNITS;
+        const units = Array.from(this.parts.keys()).sort((a, b) => {
+            const ia = order.indexOf(a);
+            const ib = order.indexOf(b);
+            if (ia !== -1 || ib !== -1) {
+                return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+            }
+            return a.localeCompare(b);
+        });
+
+        return units.map(unit => `${Money.formatCount(this.parts.get(unit))} ${unit}`).join(' ');
+    }
+
+    static formatCount(count) {
+        const sign = count < 0 ? '-' : '';
+        const whole = Math.floor(Math.abs(count) / Money.DENOMINATOR);
+        const fraction = Math.abs(count) % Money.DENOMINATOR;
+        const fractions = { 1: '¼', 2: '½', 3: '¾' };
+        if (fraction === 0) return `${sign}${whole}`;
+        return `${sign}${whole > 0 ? whole + ' ' : ''}${fractions[fraction]}`;
+    }
+}
+
+// Quarters: the ledgers use ½ and ¼ of a unit
+Money.DENOMINATOR = 4;
+
+// Order of the units in compound notation
+Money.DISPLAY_UNITS = ['f', 'lbdwien', 'lb', 't', 's', 'd', 'hr'];
+
+// Units a ledger can count its pounds in; the other mints' (trat, tpat, lbdrat) stay apart
+Money.POUND_UNITS = ['lbdwien', 't', 'lb'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Money;
+}
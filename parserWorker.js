@@ -0,0 +1,163 @@
+/**
+ * Parser Worker for Aldersbach Monastery Financial Dashboard
+ * Downloads and parses a ledger off the main thread. RDF/XML is streamed
+ * through XmlStreamReader as it arrives; Turtle, N-Triples and JSON-LD are
+ * read whole and laid out by LedgerReader. The document is then handed to
+ * LedgerParser and the resulting model goes back by postMessage.
+ *
+ * In:  { type: 'parse', url, name, region, hash, rateTable }
+ * Out: { type: 'progress', phase: 'reading', bytes, totalBytes, transactions }
+ *      { type: 'hash', validator: { hash, size } }   (with hash: true, before parsing)
+ *      { type: 'progress', phase: 'parsing', transactions, totalTransactions }
+ *      { type: 'log', level, message, data }
+ *      { type: 'result', model, bytes, format }
+ *      { type: 'error', message, malformedXml }
+ *
+ * malformedXml marks RDF/XML that is not well-formed; the page then parses
+ * it with DOMParser, which reads up to the error and lets the validation
+ * report say where it stopped.
+ *
+ * Cancelling is done by terminating the worker.
+ */
+
+// The shared classes look up window.Logger; warnings and errors go to the page's logger
+self.window = self;
+self.Logger = {
+    debug: () => {},
+    info: () => {},
+    success: () => {},
+    warn: (message, data) => self.postMessage({ type: 'log', level: 'warn', message, data }),
+    error: (message, data) => self.postMessage({ type: 'log', level: 'error', message, data })
+};
+
+importScripts('currencyConverter.js', 'money.js', 'xmlStreamReader.js', 'turtleParser.js', 'jsonLdParser.js',
+              'ledgerReader.js', 'ledgerDate.js', 'julianCalendar.js', 'amountPhrase.js', 'ledgerParser.js',
+              'datasetCache.js');
+
+/**
+ * Receives the decoded text chunk by chunk; the format is settled by the
+ * start of the file
+ */
+class LedgerInput {
+    constructor(name) {
+        this.name = name;
+        this.format = null;
+        this.pending = '';
+        this.reader = null;  // XmlStreamReader for RDF/XML
+    }
+
+    write(text) {
+        if (this.reader) {
+            this.readXml(() => this.reader.write(text));
+            return;
+        }
+        this.pending += text;
+        // A few hundred characters are enough to tell an XML tag from an IRI or JSON
+        if (this.format === null && this.pending.trimStart().length >= 256) {
+            this.format = LedgerReader.detectFormat(this.pending, this.name);
+            if (this.format === 'rdfxml') {
+                this.reader = this.readXml(() => new XmlStreamReader().write(this.pending));
+                this.pending = '';
+            }
+        }
+    }
+
+    transactions() {
+        return this.reader ? this.reader.count('Transaction') : 0;
+    }
+
+    close(base) {
+        if (this.reader) return this.readXml(() => this.reader.close());
+        this.format = LedgerReader.detectFormat(this.pending, this.name);
+        if (this.format === 'rdfxml') return this.readXml(() => XmlStreamReader.parse(this.pending));
+        return LedgerReader.toDocument(this.pending, this.format, base);
+    }
+
+    /**
+     * Run an XmlStreamReader step; what it throws means the RDF/XML is not well-formed
+     */
+    readXml(step) {
+        try {
+            return step();
+        } catch (error) {
+            error.malformedXml = true;
+            throw error;
+        }
+    }
+}
+
+/**
+ * Read and stream-parse a ledger; with keepBytes the raw bytes come back too,
+ * for the dataset cache's content hash
+ */
+async function readLedger(url, name, onProgress, keepBytes = false) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const totalBytes = parseInt(response.headers.get('Content-Length'), 10) || 0;
+    const input = new LedgerInput(name || url);
+    const chunks = [];
+    let bytes = 0;
+
+    if (response.body && response.body.getReader) {
+        const stream = response.body.getReader();
+        const decoder = new TextDecoder();
+        for (;;) {
+            const { done, value } = await stream.read();
+            if (done) break;
+            bytes += value.byteLength;
+            if (keepBytes) chunks.push(value);
+            input.write(decoder.decode(value, { stream: true }));
+            onProgress(bytes, totalBytes, input.transactions());
+        }
+        input.write(decoder.decode());
+    } else {
+        const buffer = await response.arrayBuffer();
+        bytes = buffer.byteLength;
+        if (keepBytes) chunks.push(new Uint8Array(buffer));
+        input.write(new TextDecoder().decode(buffer));
+        onProgress(bytes, bytes, input.transactions());
+    }
+
+    // Relative IRIs in Turtle / JSON-LD resolve against the file's address (not for local blob: files)
+    const base = /^blob:/.test(url) ? '' : new URL(url, self.location.href).href;
+    const document = input.close(base);
+
+    let content = null;
+    if (keepBytes) {
+        content = new Uint8Array(bytes);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            content.set(chunk, offset);
+            offset += chunk.byteLength;
+        });
+    }
+    return { document, bytes, format: input.format, content };
+}
+
+self.addEventListener('message', async (event) => {
+    const request = event.data;
+    if (!request || request.type !== 'parse') return;
+
+    try {
+        const { document, bytes, format, content } = await readLedger(request.url, request.name, (bytesRead, totalBytes, transactions) => {
+            self.postMessage({ type: 'progress', phase: 'reading', bytes: bytesRead, totalBytes, transactions });
+        }, Boolean(request.hash));
+
+        // The page may find a cached model for this content and stop the parse
+        if (content) {
+            self.postMessage({ type: 'hash', validator: { hash: await DatasetCache.hashBytes(content), size: bytes } });
+        }
+
+        const parser = new LedgerParser(new CurrencyConverter(request.rateTable || CurrencyConverter.DEFAULT_TABLE));
+        const model = parser.parse(document, (transactions, totalTransactions) => {
+            self.postMessage({ type: 'progress', phase: 'parsing', transactions, totalTransactions });
+        }, request.region || null);
+
+        self.postMessage({ type: 'result', model, bytes, format });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message, malformedXml: Boolean(error.malformedXml) });
+    }
+});
@@ -64,6 +64,9 @@ class PDFExporter {
             // Add currency distribution
             currentY = this.addCurrencySection(doc, currentY, transactions);
             
+            // Record the conversion rates behind every florin figure
+            currentY = this.addRateTableSection(doc, currentY);
+            
             // Check if we need a new page
             if (currentY > 200) {
                 doc.addPage();
@@ -171,6 +174,9 @@ class PDFExporter {
         doc.text(`Date Range: ${stats.dateRange}`, leftCol, row);
         row += 7;
         doc.text(`Total Value: ${stats.totalValue.toFixed(2)} florins`, leftCol, row);
+        row += 7;
+        doc.text(`Recorded: ${this.truncateText(stats.totalCompound, 40)}`, leftCol, row);
+        const leftEnd = row;
         
         // Right column
         row = startY;
@@ -180,7 +186,7 @@ class PDFExporter {
         row += 7;
         doc.text(`Most Common Currency: ${stats.mostCommonCurrency}`, rightCol, row);
         
-        return row + 10;
+        return Math.max(row, leftEnd) + 10;
     }
 
     /**
@@ -247,6 +253,70 @@ class PDFExporter {
         }
     }
 
+    /**
+     * Add the conversion rate table in effect
+     */
+    addRateTableSection(doc, startY) {
+        const table = this.dashboard.currencyConverter.describe();
+        
+        if (startY > 230) {
+            doc.addPage();
+            startY = 20;
+        }
+        
+        doc.setFontSize(16);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(this.colors.primary);
+        doc.text('Conversion Rates', 20, startY);
+        
+        startY += 7;
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(this.colors.text);
+        doc.text(`${table.name}${table.version ? ` v${table.version}` : ''} (base: ${table.base})`, 20, startY);
+        
+        startY += 5;
+        
+        const tableData = table.rates.map(entry => [
+            this.getCurrencyName(entry.unit),
+            `${parseFloat(entry.rate.toFixed(6))}`,
+            entry.validFrom !== null || entry.validTo !== null
+                ? `${entry.validFrom !== null ? entry.validFrom : '…'}–${entry.validTo !== null ? entry.validTo : '…'}`
+                : 'any',
+            entry.region || 'any',
+            entry.note
+        ]);
+        
+        if (doc.autoTable) {
+            doc.autoTable({
+                startY: startY,
+                head: [['Unit', 'Florins', 'Years', 'Region', 'Note']],
+                body: tableData,
+                theme: 'grid',
+                headStyles: { 
+                    fillColor: [139, 69, 19],
+                    textColor: 255,
+                    fontStyle: 'bold'
+                },
+                styles: {
+                    fontSize: 9,
+                    cellPadding: 2
+                }
+            });
+            
+            return doc.lastAutoTable.finalY + 10;
+        } else {
+            let y = startY + 5;
+            
+            tableData.forEach(row => {
+                doc.text(`${row[0]}: ${row[1]} f (${row[2]}, ${row[3]})`, 30, y);
+                y += 6;
+            });
+            
+            return y + 5;
+        }
+    }
+
     /**
      * Add charts section (convert canvas charts to images)
      */
@@ -321,7 +391,7 @@ class PDFExporter {
             t.date || 'N/A',
             this.truncateText(t.entry || '', 40),
             t.amounts && t.amounts.length > 0 
-                ? t.amounts.map(a => `${a.amount} ${a.currency}`).join(', ')
+                ? this.dashboard.getTransactionMoney(t).format()
                 : 'N/A',
             t.type || 'Unknown'
         ]);
@@ -417,13 +487,15 @@ class PDFExporter {
             averageValue: 0,
             dateRange: 'N/A',
             uniqueEntities: 0,
-            mostCommonCurrency: 'N/A'
+            mostCommonCurrency: 'N/A',
+            totalCompound: '0'
         };
         
         if (transactions.length === 0) return stats;
         
         // Calculate total value in florins
-        stats.totalValue = transactions.reduce((sum, t) => sum + (t.totalFlorinValue || 0), 0);
+        stats.totalValue = this.dashboard.sumFlorins(transactions);
+        stats.totalCompound = this.dashboard.formatMoney(this.dashboard.sumMoney(transactions));
         stats.averageValue = stats.totalValue / transactions.length;
         
         // Get date range
@@ -480,7 +552,7 @@ class PDFExporter {
                         };
                     }
                     distribution[a.currency].count++;
-                    distribution[a.currency].totalValue += this.convertToFlorins(a.amount, a.currency);
+                    distribution[a.currency].totalValue += this.convertToFlorins(a.amount, a.currency, CurrencyConverter.yearOf(t.date), this.dashboard.regionOf(t));
                     totalCount++;
                 });
             }
@@ -497,18 +569,9 @@ class PDFExporter {
     /**
      * Convert currency to florins
      */
-    convertToFlorins(amount, currency) {
-        const rates = {
-            'f': 1,
-            's': 0.05,
-            'd': 0.004167,
-            'gr': 0.0625,
-            't': 0.5,
-            'l': 1,
-            'p': 0.004167
-        };
-        
-        return amount * (rates[currency] || 1);
+    convertToFlorins(amount, currency, year = null, region = null) {
+        // Shared rate table, so the report matches the dashboard and CSV/JSON exports
+        return this.dashboard.currencyConverter.convert(amount, currency, { year, region });
     }
 
     /**
@@ -525,6 +588,10 @@ class PDFExporter {
             'p': 'Pfennig'
         };
         
+        // Prefer the huc:HistoricalUnit label declared by the loaded dataset
+        const declared = this.dashboard.currencies && this.dashboard.currencies.get(code);
+        if (declared && declared.label !== code) return declared.label;
+        
         return names[code] || code.toUpperCase();
     }
 
@@ -0,0 +1,246 @@
+/**
+ * Data Quality Panel for Aldersbach Monastery Financial Dashboard
+ * Shows the validation report LedgerParser collects while reading a ledger
+ * (model.issues: rule, severity, transaction URI and offending value) next
+ * to per-dataset coverage figures: how many entries are dated, how many
+ * carry amounts and how many values are in units the rate table cannot
+ * convert. The report can be exported as CSV or JSON.
+ */
+
+class QualityPanel {
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.logger = window.Logger || console;
+        this.ruleFilter = '';
+
+        this.panel = document.getElementById('qualityPanel');
+        this.summary = document.getElementById('qualitySummary');
+        this.body = document.getElementById('qualityBody');
+
+        if (this.body) {
+            this.body.addEventListener('change', (e) => {
+                if (e.target.classList.contains('quality-rule-filter')) {
+                    this.ruleFilter = e.target.value;
+                    this.render();
+                }
+            });
+            this.body.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-quality-export]');
+                if (button) this.exportReport(button.dataset.qualityExport);
+            });
+        }
+    }
+
+    /**
+     * The loaded datasets, each with its own entries and findings
+     */
+    getDatasets() {
+        return this.dashboard.sources.map(model => ({
+            source: model.source || null,
+            transactions: model.transactions,
+            issues: model.issues || []
+        }));
+    }
+
+    percent(part, whole) {
+        return whole > 0 ? Math.round(part / whole * 1000) / 10 : null;
+    }
+
+    /**
+     * Coverage figures of one dataset; values are bk:Money values kept by the parser
+     */
+    measure(dataset) {
+        const transactions = dataset.transactions;
+        let values = 0;
+        let unconvertible = 0;
+        transactions.forEach(t => t.amounts.forEach(amount => {
+            values++;
+            if (amount.convertible === false) unconvertible++;
+        }));
+
+        const dated = transactions.filter(t => t.date).length;
+        const withAmounts = transactions.filter(t => t.amounts.length > 0).length;
+        const count = (severity) => dataset.issues.filter(issue => issue.severity === severity).length;
+
+        return {
+            source: dataset.source ? dataset.source.id : null,
+            label: dataset.source ? dataset.source.label : 'Loaded dataset',
+            transactions: transactions.length,
+            dated: dated,
+            withAmounts: withAmounts,
+            values: values,
+            unconvertible: unconvertible,
+            percentDated: this.percent(dated, transactions.length),
+            percentWithAmounts: this.percent(withAmounts, transactions.length),
+            percentUnconvertible: this.percent(unconvertible, values),
+            errors: count('error'),
+            warnings: count('warning')
+        };
+    }
+
+    /**
+     * Findings per rule, in the order of LedgerParser.VALIDATION_RULES
+     */
+    countRules(issues) {
+        return Object.keys(LedgerParser.VALIDATION_RULES)
+            .map(rule => ({
+                rule: rule,
+                label: LedgerParser.VALIDATION_RULES[rule].label,
+                severity: LedgerParser.VALIDATION_RULES[rule].severity,
+                count: issues.filter(issue => issue.rule === rule).length
+            }))
+            .filter(entry => entry.count > 0);
+    }
+
+    /**
+     * The whole report as exported: metrics per dataset, counts per rule and every finding
+     */
+    buildReport() {
+        const issues = this.dashboard.issues;
+        return {
+            datasets: this.getDatasets().map(dataset => this.measure(dataset)),
+            rules: this.countRules(issues),
+            issues: issues.map(issue => ({
+                ...issue,
+                source: issue.source ? this.dashboard.getSourceLabel(issue.source) : ''
+            }))
+        };
+    }
+
+    exportReport(format) {
+        const date = new Date().toISOString().split('T')[0];
+        const report = this.buildReport();
+        const success = this.dashboard.exportManager.exportQualityReport(report, format, `aldersbach_data_quality_${date}.${format}`);
+
+        if (success) {
+            this.dashboard.showNotification(`Exported ${report.issues.length} findings to ${format.toUpperCase()}`, 'success');
+        } else {
+            this.dashboard.showNotification('Data quality export failed', 'error');
+        }
+    }
+
+    formatPercent(value) {
+        return value === null ? '-' : `${value.toLocaleString()} %`;
+    }
+
+    render() {
+        if (!this.body) return;
+
+        const issues = this.dashboard.issues;
+        if (this.dashboard.sources.length === 0) {
+            if (this.summary) this.summary.textContent = 'Data quality';
+            this.body.innerHTML = '<div class="no-data">Select a data file to check its data quality</div>';
+            return;
+        }
+
+        const errors = issues.filter(issue => issue.severity === 'error').length;
+        const warnings = issues.length - errors;
+        if (this.summary) {
+            this.summary.textContent = issues.length === 0
+                ? 'Data quality: no findings'
+                : `Data quality: ${errors > 0 ? `⚠ ${errors} error${errors === 1 ? '' : 's'}, ` : ''}${warnings} warning${warnings === 1 ? '' : 's'}`;
+        }
+        if (this.panel) {
+            this.panel.classList.toggle('has-mismatch', errors > 0);
+        }
+
+        const rules = this.countRules(issues);
+        if (!rules.some(entry => entry.rule === this.ruleFilter)) this.ruleFilter = '';
+
+        this.body.innerHTML = `
+            ${this.renderMetrics(this.getDatasets().map(dataset => this.measure(dataset)))}
+            ${issues.length > 0 ? this.renderRules(rules) + this.renderIssues(issues, rules) : '<div class="no-data">No malformed or incomplete records found</div>'}
+            <div class="quality-export">
+                <button class="chart-control-btn" data-quality-export="csv">Export report (CSV)</button>
+                <button class="chart-control-btn" data-quality-export="json">Export report (JSON)</button>
+            </div>
+        `;
+
+        this.logger.debug('Data quality rendered', { issues: issues.length, errors: errors });
+    }
+
+    renderMetrics(metrics) {
+        const rows = metrics.map(m => `
+            <tr>
+                <td>${Html.escape(m.label)}</td>
+                <td>${m.transactions.toLocaleString()}</td>
+                <td title="${m.dated} of ${m.transactions}">${this.formatPercent(m.percentDated)}</td>
+                <td title="${m.withAmounts} of ${m.transactions}">${this.formatPercent(m.percentWithAmounts)}</td>
+                <td title="${m.unconvertible} of ${m.values} values">${this.formatPercent(m.percentUnconvertible)}</td>
+                <td>${m.errors}</td>
+                <td>${m.warnings}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="dataset-table">
+                <thead>
+                    <tr><th>Dataset</th><th>Transactions</th><th>Dated</th><th>With amounts</th><th>Values in unconvertible units</th><th>Errors</th><th>Warnings</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderRules(rules) {
+        const rows = rules.map(entry => `
+            <tr class="${entry.severity === 'error' ? 'mismatch' : ''}">
+                <td>${entry.label}</td>
+                <td><span class="quality-severity ${entry.severity}">${entry.severity}</span></td>
+                <td>${entry.count.toLocaleString()}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="dataset-table">
+                <thead>
+                    <tr><th>Rule</th><th>Severity</th><th>Findings</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderIssues(issues, rules) {
+        const shown = this.ruleFilter ? issues.filter(issue => issue.rule === this.ruleFilter) : issues;
+        const multiple = this.dashboard.sources.length > 1;
+
+        const options = rules.map(entry =>
+            `<option value="${entry.rule}"${entry.rule === this.ruleFilter ? ' selected' : ''}>${entry.label} (${entry.count})</option>`
+        ).join('');
+
+        const rows = shown.slice(0, QualityPanel.MAX_ROWS).map(issue => `
+            <tr>
+                ${multiple ? `<td>${Html.escape(this.dashboard.getSourceLabel(issue.source))}</td>` : ''}
+                <td title="${Html.escape(issue.uri)}">${Html.escape(issue.transaction) || '-'}</td>
+                <td>${LedgerParser.VALIDATION_RULES[issue.rule].label}</td>
+                <td class="entry-text">${Html.escape(issue.value) || '-'}</td>
+                <td>${Html.escape(issue.message)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="quality-controls">
+                <select class="quality-rule-filter">
+                    <option value="">All findings (${issues.length})</option>
+                    ${options}
+                </select>
+            </div>
+            <table class="dataset-table">
+                <thead>
+                    <tr>${multiple ? '<th>Ledger</th>' : ''}<th>Transaction</th><th>Rule</th><th>Value</th><th>Finding</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${shown.length > QualityPanel.MAX_ROWS ? `<div class="unit-report-note">Showing the first ${QualityPanel.MAX_ROWS} of ${shown.length} findings; the export has all of them.</div>` : ''}
+        `;
+    }
+}
+
+// Findings listed in the panel at once
+QualityPanel.MAX_ROWS = 200;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QualityPanel;
+}
@@ -0,0 +1,328 @@
+/**
+ * Totals Reconciliation for Aldersbach Monastery Financial Dashboard
+ * Recomputes the block of entries behind every bk:TotalTransaction ("Summa
+ * ...") and shows the scribe's sum next to ours, so miscounts by the clerk
+ * or slips in the transcription stand out.
+ *
+ * Where the totals stand between their entries, a block is every entry since
+ * the previous total. The DEPCHA exports list all totals after the last
+ * entry, though; there a block is located as the run of consecutive entries
+ * adding up exactly to the scribe's sum. A total no run adds up to has no
+ * block until one is entered by hand (e.g. "T12-T40").
+ *
+ * With several ledgers loaded, each is reconciled against its own entries.
+ * The work is done when the panel is opened, not on every load.
+ */
+
+class ReconciliationPanel {
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.logger = window.Logger || console;
+        this.overrides = new Map();  // total URI -> { from, to } source indices, entered by hand
+        this.stale = true;           // the loaded ledgers changed since the panel was drawn
+
+        this.panel = document.getElementById('reconciliationPanel');
+        this.summary = document.getElementById('reconciliationSummary');
+        this.body = document.getElementById('reconciliationBody');
+
+        if (this.panel) {
+            this.panel.addEventListener('toggle', () => {
+                if (this.panel.open && this.stale) this.render();
+            });
+        }
+        if (this.body) {
+            this.body.addEventListener('change', (e) => {
+                if (e.target.classList.contains('block-range')) {
+                    this.setOverride(e.target.dataset.total, e.target.value);
+                }
+            });
+        }
+    }
+
+    /**
+     * The loaded ledgers, each with the entries and totals of its own file
+     */
+    getLedgers() {
+        const dashboard = this.dashboard;
+        if (dashboard.sources.length === 0) {
+            return [{ source: null, transactions: dashboard.transactions, totals: dashboard.totals }];
+        }
+        return dashboard.sources.map(model => ({
+            source: model.source || null,
+            transactions: model.transactions,
+            totals: model.totals
+        }));
+    }
+
+    /**
+     * True when a file keeps its totals after the last entry instead of in place
+     */
+    hasGroupedTotals(ledger) {
+        const transactions = ledger.transactions;
+        if (transactions.length === 0) return false;
+        const last = transactions[transactions.length - 1].sourceIndex;
+        return ledger.totals.every(total => total.position > last);
+    }
+
+    /**
+     * Parse "T12-T40" (or "12-40", or a single "T12") into source indices
+     */
+    parseRange(text) {
+        const match = String(text).trim().match(/^T?(\d+)\s*(?:[-–]\s*T?(\d+))?$/i);
+        if (!match) return null;
+        const from = parseInt(match[1], 10) - 1;
+        const to = (match[2] ? parseInt(match[2], 10) : from + 1) - 1;
+        return from >= 0 && to >= from ? { from, to } : null;
+    }
+
+    setOverride(totalUri, text) {
+        if (!String(text).trim()) {
+            this.overrides.delete(totalUri);
+        } else {
+            const range = this.parseRange(text);
+            if (!range) {
+                this.dashboard.showNotification(`"${text}" is not a range of entries such as T12-T40`, 'error');
+                return;
+            }
+            this.overrides.set(totalUri, range);
+        }
+        this.render();
+    }
+
+    /**
+     * Running sums over the entries in document order: one array for the
+     * reckoning system and one per unit outside it, with the prefixes
+     * indexed by their system sum
+     */
+    buildPrefixIndex(transactions, system) {
+        const size = transactions.length + 1;
+        const minor = new Float64Array(size);
+        const rest = new Map();  // unit -> Float64Array of running counts
+        const hasMoney = new Uint8Array(size);
+
+        transactions.forEach((t, i) => {
+            const money = this.dashboard.getTransactionMoney(t);
+            const split = money.toMinor(system);
+            minor[i + 1] = minor[i] + split.minor;
+            split.rest.forEach((count, unit) => {
+                if (!rest.has(unit)) rest.set(unit, new Float64Array(size));
+                rest.get(unit)[i + 1] = count;
+            });
+            hasMoney[i + 1] = money.isZero() ? 0 : 1;
+        });
+        rest.forEach(sums => {
+            for (let i = 1; i < size; i++) sums[i] += sums[i - 1];
+        });
+
+        const index = new Map();  // system sum -> prefix positions, ascending
+        for (let i = 0; i < size; i++) {
+            if (!index.has(minor[i])) index.set(minor[i], []);
+            index.get(minor[i]).push(i);
+        }
+
+        return { index, minor, rest, hasMoney, size };
+    }
+
+    /**
+     * Every run [start, end) of consecutive entries that adds up to the total.
+     * Entries without money are left off both ends, so each run counts once.
+     */
+    findRuns(total, prefixIndex, system) {
+        const target = total.money.toMinor(system);
+        const runs = [];
+
+        // A unit of the total that no entry uses cannot be matched
+        for (const unit of target.rest.keys()) {
+            if (!prefixIndex.rest.has(unit)) return runs;
+        }
+        const units = Array.from(prefixIndex.rest.keys());
+        const matchesRest = (start, end) => units.every(unit => {
+            const sums = prefixIndex.rest.get(unit);
+            return sums[end] - sums[start] === (target.rest.get(unit) || 0);
+        });
+
+        for (let end = 1; end < prefixIndex.size; end++) {
+            if (!prefixIndex.hasMoney[end]) continue;
+
+            const starts = prefixIndex.index.get(prefixIndex.minor[end] - target.minor);
+            if (!starts) continue;
+            // The latest start leaves the entries without money off the front
+            for (let i = starts.length - 1; i >= 0; i--) {
+                const start = starts[i];
+                if (start >= end) continue;
+                if (matchesRest(start, end)) {
+                    runs.push({ start, end });
+                    break;
+                }
+            }
+        }
+
+        return runs;
+    }
+
+    /**
+     * One row per total: the block behind it, our sum and the difference
+     */
+    reconcile() {
+        return this.getLedgers().flatMap(ledger => this.reconcileLedger(ledger));
+    }
+
+    reconcileLedger(ledger) {
+        const dashboard = this.dashboard;
+        const system = dashboard.moneySystem;
+        const transactions = ledger.transactions;
+        const grouped = this.hasGroupedTotals(ledger);
+        const prefixIndex = grouped ? this.buildPrefixIndex(transactions, system) : null;
+        let cursor = 0;
+
+        return ledger.totals.map(total => {
+            const row = { total, block: null, method: null, candidates: 0, computed: null, difference: null, status: 'unlocated' };
+
+            const override = this.overrides.get(total.uri);
+            if (override) {
+                row.block = transactions.filter(t => t.sourceIndex >= override.from && t.sourceIndex <= override.to);
+                row.method = 'manual';
+            } else if (total.money.isZero()) {
+                row.status = 'empty';
+                return row;
+            } else if (!grouped) {
+                const previous = total.id > 0 ? ledger.totals[total.id - 1].position : 0;
+                row.block = transactions.filter(t => t.sourceIndex >= previous && t.sourceIndex < total.position);
+                row.method = 'position';
+            } else {
+                // Several runs can add up to a round sum; take the one nearest the previous block
+                const runs = this.findRuns(total, prefixIndex, system);
+                row.candidates = runs.length;
+                if (runs.length > 0) {
+                    const best = runs.reduce((a, b) => {
+                        const distance = (run) => Math.abs(run.start - cursor);
+                        if (distance(a) !== distance(b)) return distance(a) < distance(b) ? a : b;
+                        return a.end - a.start <= b.end - b.start ? a : b;
+                    });
+                    row.block = transactions.slice(best.start, best.end);
+                    row.method = 'sum';
+                    cursor = best.end;
+                }
+            }
+
+            if (!row.block) return row;
+
+            row.computed = dashboard.sumMoney(row.block);
+            row.difference = total.money.subtract(row.computed).normalize(system);
+            const remainder = row.difference.toMinor(system);
+            const balanced = remainder.minor === 0 && remainder.rest.size === 0;
+            row.status = !balanced ? 'difference' : (row.candidates > 1 ? 'ambiguous' : 'ok');
+            return row;
+        });
+    }
+
+    formatBlock(block) {
+        if (!block || block.length === 0) return '';
+        const first = block[0].sourceIndex + 1;
+        const last = block[block.length - 1].sourceIndex + 1;
+        return first === last ? `T${first}` : `T${first}-T${last}`;
+    }
+
+    /**
+     * Redraw now if the panel is open, else when it is opened
+     */
+    render() {
+        if (!this.body) return;
+        this.stale = true;
+
+        const totals = this.dashboard.totals;
+        if (totals.length === 0) {
+            if (this.summary) this.summary.textContent = 'Totals: no bk:TotalTransaction in this file';
+            this.body.innerHTML = '<div class="no-data">This file records no scribe\'s totals (Summa)</div>';
+            if (this.panel) this.panel.classList.remove('has-mismatch');
+            return;
+        }
+
+        if (this.panel && !this.panel.open) {
+            if (this.summary) this.summary.textContent = `Totals: ${totals.length} Summa lines (open to check them)`;
+            this.panel.classList.remove('has-mismatch');
+            return;
+        }
+        this.stale = false;
+
+        const rows = this.reconcile();
+        const count = (status) => rows.filter(row => row.status === status).length;
+        const differences = count('difference');
+        const unlocated = count('unlocated');
+
+        if (this.summary) {
+            this.summary.textContent = `Totals: ${totals.length} Summa lines — ` +
+                `${count('ok') + count('ambiguous')} agree` +
+                (differences > 0 ? `, ⚠ ${differences} differ` : '') +
+                (unlocated > 0 ? `, ${unlocated} without a matching block` : '');
+        }
+        if (this.panel) {
+            this.panel.classList.toggle('has-mismatch', differences > 0);
+        }
+
+        const note = this.getLedgers().some(ledger => this.hasGroupedTotals(ledger))
+            ? 'The totals are listed after the last entry, so each block is located as the run of consecutive entries that adds up to the scribe\'s sum. Enter a range (e.g. T12-T40) to check a total against entries of your choice.'
+            : 'Each block is every entry since the previous total. Enter a range (e.g. T12-T40) to check a total against other entries.';
+
+        this.body.innerHTML = `
+            <div class="unit-report-note">${note} Sums are carried in the ledgers' reckoning (${this.dashboard.moneySystem.display.join(' / ')}: 8 s to the pound, 30 d to the s).</div>
+            ${this.renderRows(rows)}
+        `;
+
+        this.logger.debug('Reconciliation rendered', {
+            totals: totals.length,
+            differences: differences,
+            unlocated: unlocated
+        });
+    }
+
+    renderRows(rows) {
+        const dashboard = this.dashboard;
+        const multiple = dashboard.sources.length > 1;
+        const status = {
+            ok: '✓',
+            ambiguous: '✓ (several matching blocks)',
+            difference: '⚠ differs',
+            unlocated: 'no matching block',
+            empty: 'no sum recorded'
+        };
+
+        const body = rows.map(row => {
+            const block = this.formatBlock(row.block);
+            const title = row.block && row.block.length > 0
+                ? `${row.block.length} entries, from "${row.block[0].entry}" to "${row.block[row.block.length - 1].entry}"`
+                : '';
+
+            return `
+                <tr class="${row.status === 'difference' ? 'mismatch' : ''}${row.status === 'unlocated' || row.status === 'empty' ? ' empty' : ''}">
+                    ${multiple ? `<td>${Html.escape(dashboard.getSourceLabel(row.total.source))}</td>` : ''}
+                    <td>${Html.escape(row.total.originalId)}</td>
+                    <td class="entry-text">${Html.escape(row.total.entry)}</td>
+                    <td>${Html.escape(row.total.date) || '-'}</td>
+                    <td>${dashboard.formatMoney(row.total.money)}</td>
+                    <td>${row.computed ? dashboard.formatMoney(row.computed) : '-'}</td>
+                    <td>${row.difference ? row.difference.format() : '-'}</td>
+                    <td title="${Html.escape(title)}">
+                        <input type="text" class="block-range" data-total="${Html.escape(row.total.uri)}" value="${block}" placeholder="T1-T20" size="12">
+                        ${row.method === 'manual' ? '<small>(manual)</small>' : ''}
+                    </td>
+                    <td>${status[row.status]}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="dataset-table">
+                <thead>
+                    <tr>${multiple ? '<th>Ledger</th>' : ''}<th>Total</th><th>Scribe's entry</th><th>Date</th><th>Scribe's sum</th><th>Computed</th><th>Difference</th><th>Block</th><th>Status</th></tr>
+                </thead>
+                <tbody>${body}</tbody>
+            </table>
+        `;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReconciliationPanel;
+}
@@ -1,9 +1,26 @@
 class AlderbachDashboard {
     constructor() {
         this.transactions = [];
+        this.accounts = new Map();
+        this.agents = new Map();
+        this.places = new Map();
+        this.currencies = new Map();
+        this.currencyCodes = [];
+        this.unitReport = new Map();
+        this.datasetMetadata = null;
+        this.totals = [];
+        this.issues = [];  // LedgerParser validation report, see QualityPanel
+        this.sources = [];  // parsed models of the loaded datasets, see applyModel
+        this.activeLoad = null;  // handle of the load in progress, see loadSources
+        this.concepts = new Map();
         this.filteredTransactions = [];
+        this.searchQuery = null;  // parsed search box, see readSearchQuery
+        this.spellingVariants = SpellingVariants.restore();
+        this.searchIndex = new SearchIndex(this);
+        this.searchTimer = null;  // debounce of the search box, see bindEvents
         this.currentPage = 1;
         this.transactionsPerPage = 50;
+        this.searchDelay = 200;  // ms after the last keystroke
         this.charts = {
             timeline: null,
             currency: null,
@@ -15,12 +32,26 @@ class AlderbachDashboard {
         this.logger.info('Dashboard constructor started');
         
         // Initialize export managers
+        this.currencyConverter = new CurrencyConverter();
+        this.moneySystem = Money.reckoning();
+        this.ledgerParser = new LedgerParser(this.currencyConverter);
         this.exportManager = new ExportManager(this);
         this.pdfExporter = new PDFExporter(this);
+        this.accountTree = new AccountTree(this);
+        this.datasetPanel = new DatasetPanel(this);
+        this.reconciliationPanel = new ReconciliationPanel(this);
+        this.qualityPanel = new QualityPanel(this);
+        this.datasetCache = new DatasetCache();
+        this.cachePanel = new CachePanel(this);
+        this.spellingPanel = new SpellingPanel(this);
+        this.facetPanel = new FacetPanel(this);
         
         this.initializeElements();
         this.bindEvents();
         this.initializeCharts();
+        this.loadManifest();
+        this.cachePanel.refresh();
+        this.spellingPanel.render();
         
         this.logger.success('Dashboard initialized successfully');
         
@@ -42,11 +73,29 @@ class AlderbachDashboard {
 
     initializeElements() {
         this.fileSelect = document.getElementById('fileSelect');
+        this.fileInput = document.getElementById('fileInput');
+        this.dropZone = document.getElementById('dropZone');
         this.loadButton = document.getElementById('loadData');
         this.searchBox = document.getElementById('searchBox');
+        this.searchError = document.getElementById('searchError');
+        this.searchTolerance = document.getElementById('searchTolerance');
         this.currencyFilter = document.getElementById('currencyFilter');
+        this.placeFilter = document.getElementById('placeFilter');
+        this.sourceFilter = document.getElementById('sourceFilter');
+        this.sourceBreakdown = document.getElementById('sourceBreakdown');
+        this.goodsFilter = document.getElementById('goodsFilter');
+        this.totalValueCompound = document.getElementById('totalValueCompound');
+        this.unitReportSummary = document.getElementById('unitReportSummary');
+        this.unitReportBody = document.getElementById('unitReportBody');
+        this.rateTableName = document.getElementById('rateTableName');
+        this.rateTableInput = document.getElementById('rateTableInput');
+        this.resetRateTable = document.getElementById('resetRateTable');
         this.sortBy = document.getElementById('sortBy');
+        this.dateCalendar = document.getElementById('dateCalendar');
         this.loading = document.getElementById('loading');
+        this.loadProgress = document.getElementById('loadProgress');
+        this.loadProgressText = document.getElementById('loadProgressText');
+        this.cancelLoadButton = document.getElementById('cancelLoad');
         this.transactionsBody = document.getElementById('transactionsBody');
         this.prevButton = document.getElementById('prevPage');
         this.nextButton = document.getElementById('nextPage');
@@ -56,6 +105,7 @@ class AlderbachDashboard {
         this.totalValue = document.getElementById('totalValue');
         this.dateRange = document.getElementById('dateRange');
         this.uniquePeople = document.getElementById('uniquePeople');
+        this.uniquePeopleLabel = document.getElementById('uniquePeopleLabel');
         
         // Chart elements
         this.timelineCanvas = document.getElementById('timelineChart');
@@ -92,9 +142,71 @@ class AlderbachDashboard {
 
     bindEvents() {
         this.loadButton.addEventListener('click', () => this.loadData());
-        this.searchBox.addEventListener('input', () => this.applyFilters());
+        if (this.fileInput) {
+            this.fileInput.addEventListener('change', () => {
+                this.loadLocalFiles(this.fileInput.files);
+                this.fileInput.value = '';
+            });
+        }
+        if (this.dropZone) {
+            // Files can be dropped anywhere on the page; the drop zone shows where
+            document.addEventListener('dragover', (e) => {
+                if (!e.dataTransfer || !Array.from(e.dataTransfer.types || []).includes('Files')) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+                this.dropZone.classList.add('dragging');
+            });
+            document.addEventListener('dragleave', (e) => {
+                if (!e.relatedTarget) this.dropZone.classList.remove('dragging');
+            });
+            document.addEventListener('drop', (e) => {
+                if (!e.dataTransfer || e.dataTransfer.files.length === 0) return;
+                e.preventDefault();
+                this.dropZone.classList.remove('dragging');
+                this.loadLocalFiles(e.dataTransfer.files);
+            });
+        }
+        if (this.cancelLoadButton) {
+            this.cancelLoadButton.addEventListener('click', () => this.cancelLoad());
+        }
+        this.searchBox.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.applyFilters(), this.searchDelay);
+        });
+        if (this.searchTolerance) {
+            this.searchTolerance.value = String(this.spellingVariants.tolerance);
+            this.searchTolerance.addEventListener('change', () => {
+                this.spellingVariants.tolerance = parseInt(this.searchTolerance.value, 10) || 0;
+                this.spellingVariants.save();
+                this.applyFilters();
+            });
+        }
         this.currencyFilter.addEventListener('change', () => this.applyFilters());
+        if (this.placeFilter) {
+            this.placeFilter.addEventListener('change', () => this.applyFilters());
+        }
+        if (this.sourceFilter) {
+            this.sourceFilter.addEventListener('change', () => this.applyFilters());
+        }
+        if (this.goodsFilter) {
+            this.goodsFilter.addEventListener('change', () => this.applyFilters());
+        }
+        if (this.rateTableInput) {
+            this.rateTableInput.addEventListener('change', (e) => {
+                this.handleRateTableFile(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+        if (this.resetRateTable) {
+            this.resetRateTable.addEventListener('click', () => {
+                this.applyRateTable(CurrencyConverter.DEFAULT_TABLE);
+                this.showNotification('Default rate table restored', 'info');
+            });
+        }
         this.sortBy.addEventListener('change', () => this.applyFilters());
+        if (this.dateCalendar) {
+            this.dateCalendar.addEventListener('change', () => this.renderTransactions());
+        }
         this.prevButton.addEventListener('click', () => this.changePage(-1));
         this.nextButton.addEventListener('click', () => this.changePage(1));
         
@@ -184,34 +296,130 @@ class AlderbachDashboard {
         }
     }
 
+    /**
+     * Fill fileSelect from datasets.json; the options in index.html stay when it cannot be read
+     */
+    async loadManifest(url = 'datasets.json') {
+        if (!this.fileSelect) return;
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const manifest = await response.json();
+            const datasets = (manifest.datasets || []).filter(dataset => {
+                if (dataset.path) return true;
+                this.logger.warn('Manifest entry without a path skipped', { id: dataset.id });
+                return false;
+            });
+            if (datasets.length === 0) {
+                throw new Error('The manifest lists no datasets');
+            }
+
+            this.fileSelect.innerHTML = datasets.map(dataset => this.renderManifestOption(dataset)).join('');
+            this.logger.info('Dataset manifest loaded', { datasets: datasets.length });
+        } catch (error) {
+            this.logger.warn('Dataset manifest unavailable, keeping the built-in file list', { error: error.message });
+        }
+    }
+
+    renderManifestOption(dataset) {
+        const title = dataset.title || dataset.id || dataset.path;
+
+        return `<option value="${Html.escape(dataset.path)}" data-id="${Html.escape(dataset.id || dataset.path)}" data-title="${Html.escape(title)}" ` +
+               `data-period="${Html.escape(dataset.period)}" data-region="${Html.escape(dataset.region)}" title="${Html.escape(dataset.description)}">` +
+               `${Html.escape(title)}${dataset.period ? ` (${Html.escape(dataset.period)})` : ''}</option>`;
+    }
+
     async loadData() {
-        const selectedFile = this.fileSelect.value;
-        if (!selectedFile) {
+        const selectedOptions = Array.from(this.fileSelect.selectedOptions).filter(option => option.value);
+        if (selectedOptions.length === 0) {
             this.logger.warn('No file selected for loading');
             alert('Please select a data file');
             return;
         }
 
+        await this.loadSources(selectedOptions.map(option => ({
+            id: option.dataset.id || option.value,
+            label: option.dataset.title || option.textContent.trim(),
+            path: option.value,
+            period: option.dataset.period || '',
+            region: option.dataset.region || null,
+            url: option.value
+        })));
+    }
+
+    /**
+     * Load local ledger files (dropped or picked) through the same pipeline as served ones
+     */
+    async loadLocalFiles(fileList) {
+        const files = Array.from(fileList || []);
+        const accepted = files.filter(file => /\.(xml|rdf|owl|ttl|nt|jsonld|json)$/i.test(file.name) || /xml|turtle|n-triples|json/.test(file.type));
+        if (accepted.length < files.length) {
+            const skipped = files.filter(file => !accepted.includes(file)).map(file => file.name);
+            this.logger.warn('Files in unsupported formats skipped', { files: skipped });
+            this.showNotification(`Skipped ${skipped.join(', ')}: only RDF/XML, Turtle, N-Triples and JSON-LD files can be loaded`, 'error');
+        }
+        if (accepted.length === 0) return;
+
+        const sources = accepted.map(file => ({
+            id: `local:${file.name}`,
+            label: file.name,
+            path: file.name,
+            period: '',
+            region: null,
+            file: file,
+            url: URL.createObjectURL(file)
+        }));
+
+        try {
+            await this.loadSources(sources);
+        } finally {
+            sources.forEach(source => URL.revokeObjectURL(source.url));
+        }
+    }
+
+    async loadSources(sources) {
+        const selectedFile = sources.map(source => source.path).join(', ');
+
+        // A new load replaces one still running
+        this.cancelLoad(false);
+        const load = { cancelled: false, cancelWorker: null };
+        this.activeLoad = load;
+
         const timerId = this.logger.startTimer('data_load');
         this.logger.info('Starting data load', { file: selectedFile });
 
+        this.showLoadProgress('Loading transaction data...', null);
         this.loading.style.display = 'block';
-        this.transactionsBody.innerHTML = '<tr><td colspan="6" class="no-data">Loading...</td></tr>';
 
         try {
-            const response = await fetch(selectedFile);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            // Each ledger is parsed and tagged on its own, then merged into one corpus
+            const models = [];
+            for (const [index, source] of sources.entries()) {
+                const progressLabel = sources.length > 1 ? `${source.label} (${index + 1}/${sources.length})` : '';
+                const model = await this.parseFile(source, progressLabel, load);
+                models.push(this.ledgerParser.tagSource(model, {
+                    id: source.id,
+                    label: source.label,
+                    path: source.path,
+                    period: source.period,
+                    region: source.region || null
+                }));
             }
-            const xmlText = await response.text();
-            const fileSize = new Blob([xmlText]).size;
-            
-            this.logger.debug('XML data fetched', { 
-                fileSize: `${Math.round(fileSize / 1024)}KB`,
-                xmlLength: xmlText.length 
-            });
-            
-            this.parseXMLData(xmlText);
+
+            this.checkLoad(load);
+            this.applyModel(models.length === 1 ? models[0] : this.ledgerParser.mergeModels(models));
+            this.updateAccountTree();
+            this.populateSourceFilter();
+            this.populatePlaceFilter();
+            this.populateGoodsFilter();
+            this.populateCurrencyControls();
+            this.renderUnitReport();
+            this.datasetPanel.render();
+            this.reconciliationPanel.render();
+            this.qualityPanel.render();
             this.applyFilters();
             this.updateStats();
             this.updateCharts();
@@ -220,258 +428,615 @@ class AlderbachDashboard {
             this.logger.logDataLoad(selectedFile, this.transactions.length, duration);
             
         } catch (error) {
+            if (error.cancelled) {
+                this.logger.info('Data load cancelled', { file: selectedFile });
+                return;
+            }
             this.logger.error('Data loading failed', { 
                 file: selectedFile,
                 error: error.message,
                 stack: error.stack
             });
-            this.transactionsBody.innerHTML = `<tr><td colspan="5" class="error">Error loading data: ${error.message}<br>Please ensure the data files are accessible.</td></tr>`;
+            this.transactionsBody.innerHTML = `<tr><td colspan="7" class="error">Error loading data: ${error.message}<br>Please ensure the data files are accessible.</td></tr>`;
         } finally {
-            this.loading.style.display = 'none';
+            if (this.activeLoad === load) {
+                this.activeLoad = null;
+                this.loading.style.display = 'none';
+            }
         }
     }
 
-    parseXMLData(xmlText) {
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
-        
-        const transactions = xmlDoc.querySelectorAll('bk\\:Transaction, Transaction');
-        this.transactions = [];
+    /**
+     * Throw the cancellation error once a load was cancelled or replaced by a newer one;
+     * called after every await of a load
+     */
+    checkLoad(load) {
+        if (!load.cancelled && this.activeLoad === load) return;
+        const error = new Error('Loading cancelled');
+        error.cancelled = true;
+        throw error;
+    }
 
-        transactions.forEach((transaction, index) => {
-            try {
-                const entry = this.getTextContent(transaction, 'entry');
-                const when = this.validateAndParseDate(this.getTextContent(transaction, 'when'));
-                
-                // Extract money amounts and currencies with validation
-                const moneyElements = transaction.querySelectorAll('bk\\:Money, Money');
-                let amounts = [];
-                let totalFlorinValue = 0;
-
-                moneyElements.forEach(money => {
-                    try {
-                        const quantityText = this.getTextContent(money, 'quantity');
-                        const unitElement = money.querySelector('bk\\:unit') || money.querySelector('unit');
-                        let currency = 'unknown';
-                        
-                        if (unitElement) {
-                            const unitResource = unitElement.getAttribute('rdf:resource');
-                            if (unitResource) {
-                                currency = unitResource.split('#').pop(); // Extract currency code
-                            }
-                        }
-                        
-                        // Validate and parse quantity
-                        if (quantityText && currency !== 'unknown') {
-                            const amount = this.validateNumericValue(quantityText);
-                            if (amount !== null && this.isValidCurrency(currency)) {
-                                amounts.push({ amount, currency });
-                                totalFlorinValue += this.convertToFlorin(amount, currency);
-                            }
-                        }
-                    } catch (error) {
-                        this.logger.debug('Money element parsing error', { 
-                            error: error.message,
-                            transactionIndex: index
-                        });
-                    }
-                });
+    async parseFile(source, progressLabel = '', load) {
+        // An unchanged file parsed before with the same rate table comes from the cache
+        const rateTable = this.currencyConverter.describe();
+        this.showLoadProgress(`${progressLabel ? `${progressLabel}: ` : ''}Checking for a cached copy...`, null);
+        let validator = this.datasetCache.available ? await this.datasetCache.validate(source) : null;
+        this.checkLoad(load);
 
-                // Determine transaction type
-                let type = 'trade';
-                const entryLower = entry.toLowerCase();
-                if (entryLower.includes('recepimus') || entryLower.includes('einnahmen')) {
-                    type = 'income';
-                } else if (entryLower.includes('für') || entryLower.includes('dabimus')) {
-                    type = 'expense';
-                }
+        let cached = null;
+        if (validator && !validator.content) {
+            cached = await this.datasetCache.get(source, validator, rateTable);
+            this.checkLoad(load);
+        }
 
-                // Extract people/places from entry
-                const people = this.extractPeopleAndPlaces(entry);
-
-                if (entry) {  // Only add transactions with entry text
-                    const transactionId = this.transactions.length;
-                    this.transactions.push({
-                        id: transactionId,
-                        originalId: `T${index + 1}`,
-                        date: when || '',
-                        entry: entry,
-                        amounts: amounts,
-                        totalFlorinValue: totalFlorinValue,
-                        type: type,
-                        people: people,
-                        rawXML: transaction ? transaction.outerHTML : ''
-                    });
+        // Files known only by their content are hashed by the parse as it reads them,
+        // and a cached model for that hash ends the parse
+        const onContentHash = validator && validator.content
+            ? async (hashed) => {
+                validator = hashed;
+                cached = await this.datasetCache.get(source, validator, rateTable);
+                return cached;
+            }
+            : null;
+
+        const parsed = cached ? { model: cached } : await this.parseSource(source, progressLabel, load, onContentHash);
+        const model = parsed.model;
+        this.checkLoad(load);
+        if (model === cached) {
+            this.logger.info('Dataset loaded from cache', { file: source.path, transactions: cached.transactions.length });
+            return cached;
+        }
+
+        if (await this.datasetCache.put(source, validator, rateTable, model, parsed.bytes)) {
+            this.cachePanel.refresh();
+        }
+        this.checkLoad(load);
+        return model;
+    }
+
+    /**
+     * { model, bytes } of a source, bytes being the size of the file read. onContentHash(validator),
+     * when given, receives the content hash before the parse and may return a cached model to use instead.
+     */
+    async parseSource(source, progressLabel = '', load, onContentHash = null) {
+        // Parse in a worker so the page stays responsive; on the main thread if none can be started.
+        // Local files reach the worker as blob: URLs.
+        if (typeof Worker !== 'undefined') {
+            try {
+                return await this.parseInWorker(source, progressLabel, load, onContentHash);
+            } catch (error) {
+                if (!error.workerUnavailable && !error.malformedXml) throw error;
+                if (error.malformedXml) {
+                    this.logger.warn('Ledger is not well-formed XML, reading what DOMParser recovers', { file: source.path, error: error.message });
+                } else {
+                    this.logger.warn('Parser worker unavailable, parsing on the main thread', { error: error.message });
                 }
+            }
+        }
+
+        let buffer;
+        if (source.file) {
+            buffer = await source.file.arrayBuffer();
+        } else {
+            const response = await fetch(source.url);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            buffer = await response.arrayBuffer();
+        }
+        this.checkLoad(load);
+
+        if (onContentHash) {
+            const cached = await onContentHash({ hash: await DatasetCache.hashBytes(new Uint8Array(buffer)), size: buffer.byteLength });
+            this.checkLoad(load);
+            if (cached) return { model: cached, bytes: buffer.byteLength };
+        }
+
+        const text = new TextDecoder().decode(buffer);
+        this.logger.debug('Ledger data fetched', { 
+            fileSize: `${Math.round(buffer.byteLength / 1024)}KB`,
+            textLength: text.length 
+        });
+
+        const base = source.file ? '' : new URL(source.url, window.location.href).href;
+        return { model: this.parseLedgerText(text, source.path, base, source.region), bytes: buffer.byteLength };
+    }
+
+    parseInWorker(source, progressLabel = '', load, onContentHash = null) {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker('parserWorker.js');
             } catch (error) {
-                this.logger.warn(`Transaction parsing error`, { 
-                    transactionIndex: index,
-                    error: error.message 
-                });
+                error.workerUnavailable = true;
+                reject(error);
+                return;
             }
+
+            const cancelWorker = () => {
+                finish();
+                const error = new Error('Loading cancelled');
+                error.cancelled = true;
+                reject(error);
+            };
+            const finish = () => {
+                worker.terminate();
+                // Only this parse's own handle; the load may have moved on to another file
+                if (load.cancelWorker === cancelWorker) load.cancelWorker = null;
+            };
+            load.cancelWorker = cancelWorker;
+
+            worker.addEventListener('message', (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    this.handleLoadProgress(message, progressLabel);
+                } else if (message.type === 'log') {
+                    this.logger[message.level](`Parser worker: ${message.message}`, message.data);
+                } else if (message.type === 'hash') {
+                    // The worker goes on parsing while the cache is asked; a cached model wins
+                    onContentHash(message.validator).then(cached => {
+                        if (!cached) return;
+                        finish();
+                        resolve({ model: cached, bytes: message.validator.size });
+                    }, error => this.logger.warn('Dataset cache lookup failed', { file: source.path, error: error.message }));
+                } else if (message.type === 'result') {
+                    finish();
+                    this.logger.debug('Ledger data fetched', {
+                        fileSize: `${Math.round(message.bytes / 1024)}KB`,
+                        format: LedgerReader.FORMATS[message.format]
+                    });
+                    resolve({ model: message.model, bytes: message.bytes });
+                } else if (message.type === 'error') {
+                    finish();
+                    const error = new Error(message.message);
+                    error.malformedXml = message.malformedXml;
+                    reject(error);
+                }
+            });
+
+            // The worker script itself failed (e.g. workers are not allowed for file:// pages)
+            worker.addEventListener('error', (event) => {
+                event.preventDefault();
+                finish();
+                const error = new Error(event.message || 'Parser worker could not be started');
+                error.workerUnavailable = true;
+                reject(error);
+            });
+
+            worker.postMessage({
+                type: 'parse',
+                url: source.url,
+                name: source.path,
+                region: source.region || null,
+                hash: Boolean(onContentHash),
+                rateTable: this.currencyConverter.describe()
+            });
         });
+    }
+
+    cancelLoad(notify = true) {
+        const load = this.activeLoad;
+        if (!load) return false;
+
+        // Awaits of the load see the flag through checkLoad; a running worker is stopped now
+        load.cancelled = true;
+        this.activeLoad = null;
+        if (load.cancelWorker) load.cancelWorker();
+        this.loading.style.display = 'none';
+        if (notify) this.showNotification('Loading cancelled', 'info');
+        return true;
+    }
+
+    handleLoadProgress(progress, label = '') {
+        const kb = (bytes) => `${Math.round(bytes / 1024)} KB`;
+        const prefix = label ? `${label}: ` : '';
+
+        if (progress.phase === 'reading') {
+            this.showLoadProgress(
+                `${prefix}Reading ${kb(progress.bytes)}${progress.totalBytes ? ` of ${kb(progress.totalBytes)}` : ''} — ${progress.transactions} transactions`,
+                progress.totalBytes ? progress.bytes / progress.totalBytes : null
+            );
+        } else {
+            this.showLoadProgress(
+                `${prefix}Parsing transactions ${progress.transactions} / ${progress.totalTransactions}`,
+                progress.totalTransactions ? progress.transactions / progress.totalTransactions : null
+            );
+        }
+    }
+
+    showLoadProgress(text, fraction) {
+        if (this.loadProgressText) this.loadProgressText.textContent = text;
+        if (!this.loadProgress) return;
+        if (fraction === null) {
+            this.loadProgress.removeAttribute('value');  // indeterminate
+        } else {
+            this.loadProgress.value = Math.round(fraction * 100);
+        }
+    }
+
+    parseXMLData(xmlText) {
+        // Synchronous parse and apply, used by the tests
+        this.applyModel(this.parseXMLText(xmlText));
+    }
+
+    parseXMLText(xmlText, region = null) {
+        const parser = new DOMParser();
+        const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
+        return this.ledgerParser.parse(xmlDoc, null, region);
+    }
+
+    parseLedgerData(text, name = '') {
+        // Synchronous parse and apply of any supported serialization, used by the tests
+        this.applyModel(this.parseLedgerText(text, name));
+    }
+
+    parseLedgerText(text, name = '', base = '', region = null) {
+        // RDF/XML keeps the DOMParser path; Turtle, N-Triples and JSON-LD go through LedgerReader
+        const format = LedgerReader.detectFormat(text, name);
+        this.logger.debug('Ledger format detected', { file: name, format: LedgerReader.FORMATS[format] });
+
+        if (format === 'rdfxml') return this.parseXMLText(text, region);
+        return this.ledgerParser.parse(LedgerReader.toDocument(text, format, base), null, region);
+    }
+
+    applyModel(model) {
+        // Take over a LedgerParser model, from this thread or from parserWorker.js
+        this.transactions = model.transactions;
+        this.accounts = model.accounts;
+        this.agents = model.agents;
+        this.concepts = model.concepts;
+        this.currencies = model.currencies;
+        this.datasetMetadata = model.datasetMetadata;
+        this.unitReport = model.unitReport;
+        this.places = model.places;
+        this.totals = model.totals;
+        this.issues = model.issues;
+        this.sources = model.sources || [model];
+
+        // Money values do not survive postMessage; rebuild them from the amounts
+        this.transactions.forEach(t => { t.money = Money.fromAmounts(t.amounts); });
+        this.totals.forEach(total => { total.money = Money.fromAmounts(total.amounts); });
+        this.moneySystem = Money.reckoning(Money.poundUnitOf(this.transactions.map(t => t.money)));
+        this.searchIndex.build(this.transactions);
+        this.facetPanel.reset();
 
         this.logger.success(`XML parsing completed`, {
             totalTransactions: this.transactions.length,
+            accounts: this.accounts.size,
+            agents: this.agents.size,
+            places: this.places.size,
+            concepts: this.concepts.size,
+            currencies: this.currencies.size,
+            totals: this.totals.length,
+            sources: this.sources.length,
+            issues: this.issues.length,
+            unconvertedValues: this.getUnitReportTotals().unconverted,
             validTransactions: this.transactions.filter(t => t.entry).length,
             transactionsWithDates: this.transactions.filter(t => t.date).length
         });
     }
 
-    getTextContent(element, tagName) {
-        // Try namespaced version first, then fallback to non-namespaced
-        let found = element.querySelector(`bk\\:${tagName}`) || 
-                   element.querySelector(tagName) ||
-                   element.getElementsByTagName(`bk:${tagName}`)[0] ||
-                   element.getElementsByTagName(tagName)[0];
-        return found ? found.textContent.trim() : '';
+    getResourceLabel(uri) {
+        // Human label of an agent or account, falling back to the URI's local part
+        const resource = this.agents.get(uri) || this.accounts.get(uri);
+        return resource ? resource.label : this.getResourceId(uri);
     }
 
-    validateAndParseDate(dateString) {
-        if (!dateString || dateString === '') return '';
-        
-        try {
-            // Handle various date formats
-            let normalizedDate = dateString;
-            
-            // Check if it's already in ISO format (YYYY-MM-DD)
-            if (/^\d{4}-\d{2}-\d{2}$/.test(normalizedDate)) {
-                const year = parseInt(normalizedDate.substring(0, 4));
-                
-                // Validate reasonable date range for monastery records (1200-1800)
-                if (year >= 1200 && year <= 1800) {
-                    return normalizedDate;
-                }
-            }
-            
-            // Try to parse other common formats
-            const date = new Date(normalizedDate);
-            
-            // Check if date is valid and within reasonable range
-            if (!isNaN(date.getTime())) {
-                const year = date.getFullYear();
-                if (year >= 1200 && year <= 1800) {
-                    return date.toISOString().split('T')[0];
-                }
-            }
-            
-            this.logger.debug('Invalid date found, skipping', { 
-                originalDate: dateString,
-                reason: 'Outside valid range (1200-1800)'
-            });
-            
-            return ''; // Return empty string for invalid dates
-            
-        } catch (error) {
-            this.logger.warn('Date parsing error', { 
-                dateString: dateString,
-                error: error.message 
-            });
-            return '';
+    getResourceId(uri) {
+        return this.ledgerParser.getResourceId(uri);
+    }
+
+    getConceptLabel(uri) {
+        if (!uri) return 'unclassified';
+        const concept = this.concepts.get(uri);
+        return concept ? concept.label : this.decodeResourceId(uri);
+    }
+
+    decodeResourceId(uri) {
+        return this.ledgerParser.decodeResourceId(uri);
+    }
+
+    getDateInfo(transaction) {
+        // Transactions built elsewhere (tests, older caches) only carry the ISO value
+        return transaction.dateInfo || LedgerDate.parse(transaction.date);
+    }
+
+    /**
+     * A day as shown: as written (Julian before October 1583), or converted
+     * to the Gregorian calendar when the Dates control asks for it
+     */
+    displayDateValue(value) {
+        return this.dateCalendar && this.dateCalendar.value === 'gregorian' ? JulianCalendar.toGregorianValue(value) : value;
+    }
+
+    describeDate(info) {
+        const gregorian = info.precision === 'day' ? JulianCalendar.toGregorianValue(info.value) : info.value;
+        return LedgerDate.describe(info) + (gregorian !== info.value ? ` (Julian calendar), ${gregorian} in the Gregorian` : '');
+    }
+
+    formatDateCell(transaction) {
+        // "undated" (nothing written) and a rejected or placeholder date look different; the literal stays visible
+        const info = this.getDateInfo(transaction);
+        const status = LedgerDate.statusOf(info);
+        const title = Html.escape(this.describeDate(info));
+
+        if (status === 'undated') return `<span class="date-undated" title="${title}">undated</span>`;
+        if (status !== 'dated') return `<span class="date-rejected" title="${title}">${Html.escape(info.original)}</span>`;
+        const resolved = info.flags.includes('resolved') ? ' date-resolved' : '';
+        return `<span class="date-${info.precision}${resolved}" title="${title}">${this.displayDateValue(info.value)}${info.flags.includes('several') ? ' …' : ''}</span>`;
+    }
+
+    describeTypeRule(transaction) {
+        return LedgerParser.TYPE_RULES[transaction.typeRule] || 'Not recorded';
+    }
+
+    /**
+     * Marker after the amounts of the table when the entry text disagrees
+     * with bk:Money, or states amounts that bk:Money lacks
+     */
+    formatAmountCheck(transaction) {
+        if (transaction.amountCheck === 'mismatch') {
+            return ` <span class="amount-mismatch" title="${Html.escape(this.describeAmountCheck(transaction))}">≠ text</span>`;
         }
+        if (transaction.amountCheck === 'text-only') {
+            return ` <span class="amount-text-only" title="${Html.escape(this.describeAmountCheck(transaction))}">in text only</span>`;
+        }
+        return '';
     }
 
-    validateNumericValue(valueString) {
-        if (!valueString || valueString.trim() === '') return null;
-        
-        try {
-            const numValue = parseFloat(valueString.trim());
-            
-            // Check for reasonable bounds (avoid extreme values)
-            if (isNaN(numValue) || numValue < 0 || numValue > 100000) {
-                this.logger.debug('Invalid numeric value', { value: valueString });
-                return null;
-            }
-            
-            return numValue;
-        } catch (error) {
-            this.logger.debug('Numeric parsing error', { 
-                value: valueString,
-                error: error.message 
-            });
-            return null;
+    describeAmountCheck(transaction) {
+        const textAmounts = transaction.textAmounts || [];
+        const stated = AmountPhrase.format(textAmounts);
+        switch (transaction.amountCheck) {
+            case 'match': return `${stated} (agrees with bk:Money)`;
+            case 'mismatch': return `${stated} (bk:Money has ${AmountPhrase.format(transaction.amounts)})`;
+            case 'text-only': return `${stated} (no bk:Money value; not counted)`;
+            case 'encoded-only': return 'No amount recognised in the text';
+            default: return 'None';
         }
     }
 
-    isValidCurrency(currency) {
-        const validCurrencies = ['f', 's', 'd', 'gr', 't', 'l', 'p'];
-        return validCurrencies.includes(currency);
+    formatGoodsItem(item) {
+        const quantity = item.quantity !== null ? `${item.quantity} ` : '';
+        const unit = item.unit && item.unit !== 'piece' ? `${item.unit} ` : '';
+        return `${quantity}${unit}${this.getConceptLabel(item.classification)}`;
+    }
+
+    getPlaceLabel(uri) {
+        const place = this.places.get(uri);
+        return place ? place.label : this.getResourceId(uri);
+    }
+
+    getCurrencyLabel(code) {
+        const currency = this.currencies.get(code);
+        return currency && currency.label !== code ? `${currency.label} (${code})` : code;
     }
 
-    convertToFlorin(amount, currency) {
-        // Rough historical conversion rates to florin
-        const rates = {
-            'f': 1,      // florin base
-            's': 1/30,   // ~30 shillings per florin
-            'd': 1/240,  // ~240 denarius per florin
-            'gr': 1/20,  // ~20 groschen per florin
-            't': 1/8,    // ~8 talents per florin (estimated)
-            'l': 1/4,    // ~4 libra per florin (estimated)
-            'p': 1/240   // same as denarius
+    getCurrencyCodes() {
+        return this.currencyCodes;
+    }
+
+    populateCurrencyControls() {
+        // Order units by how many bk:Money values use them; declared but unused units go last
+        const counts = new Map();
+        this.transactions.forEach(t => t.amounts.forEach(amount => {
+            counts.set(amount.currency, (counts.get(amount.currency) || 0) + 1);
+        }));
+
+        const codes = Array.from(this.currencies.keys()).sort((a, b) =>
+            (counts.get(b) || 0) - (counts.get(a) || 0) ||
+            this.getCurrencyLabel(a).localeCompare(this.getCurrencyLabel(b)));
+        this.currencyCodes = codes.filter(code => counts.has(code));
+
+        const fill = (select, allValue) => {
+            if (!select) return;
+            const previous = select.value;
+            select.innerHTML = `<option value="${allValue}">All Currencies</option>` +
+                codes.map(code => {
+                    const count = counts.get(code) || 0;
+                    return `<option value="${Html.escape(code)}"${count === 0 ? ' disabled' : ''}>${Html.escape(this.getCurrencyLabel(code))} (${count})</option>`;
+                }).join('');
+            select.value = codes.includes(previous) && counts.has(previous) ? previous : allValue;
         };
-        
-        const rate = rates[currency];
-        if (rate === undefined) {
-            this.logger.debug('Unknown currency conversion', { currency });
+
+        fill(this.currencyFilter, '');
+        fill(this.histogramCurrency, 'all');
+
+        this.logger.debug('Currency controls populated', {
+            declared: codes.length,
+            used: this.currencyCodes.length
+        });
+    }
+
+    getConversionRate(currency, year = null, region = null) {
+        // Rates come from the shared converter so charts, CSV/JSON and PDF agree
+        return this.currencyConverter.getRate(currency, { year, region });
+    }
+
+    hasConversionRate(currency, year = null, region = null) {
+        return this.getConversionRate(currency, year, region) !== undefined;
+    }
+
+    convertToFlorin(amount, currency, year = null, region = null) {
+        if (!this.hasConversionRate(currency, year, region)) {
+            this.logger.debug('Unknown currency conversion', { currency, year, region });
             return 0;
         }
         
-        return amount * rate;
+        return this.currencyConverter.convert(amount, currency, { year, region });
     }
 
-    extractPeopleAndPlaces(text) {
-        // Simple regex to find capitalized names and places
-        const matches = text.match(/[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*/g);
-        return matches ? matches.filter(match => 
-            match.length > 2 && 
-            !['Item', 'Maii', 'Aprilis', 'Anno'].includes(match)
-        ) : [];
+    /**
+     * Region of the ledger a transaction comes from (datasets.json), for the regional rates
+     */
+    regionOf(transaction) {
+        const model = this.sources.find(m => m.source && m.source.id === transaction.source) || this.sources[0];
+        return model && model.region ? model.region : null;
     }
 
-    applyFilters() {
-        let filtered = [...this.transactions];
+    getTransactionMoney(transaction) {
+        return transaction.money || Money.fromAmounts(transaction.amounts);
+    }
 
-        // Search filter
-        const searchTerm = this.searchBox.value.toLowerCase();
-        if (searchTerm) {
-            filtered = filtered.filter(t => 
-                t.entry.toLowerCase().includes(searchTerm) ||
-                t.people.some(p => p.toLowerCase().includes(searchTerm))
-            );
-        }
+    sumMoney(transactions) {
+        return Money.sum(transactions.map(t => this.getTransactionMoney(t)));
+    }
 
-        // Currency filter
-        const currency = this.currencyFilter.value;
-        if (currency) {
-            filtered = filtered.filter(t => 
-                t.amounts.some(a => a.currency === currency)
-            );
+    sumFlorins(transactions, getMoney = (t) => this.getTransactionMoney(t)) {
+        // Exact sums per year and region, converted once with their rates
+        const groups = new Map();
+        transactions.forEach(t => {
+            const year = CurrencyConverter.yearOf(t.date || t.when);
+            const region = this.regionOf(t);
+            const key = `${year}|${region}`;
+            const group = groups.get(key) || { year, region, money: Money.zero() };
+            group.money = group.money.add(getMoney(t));
+            groups.set(key, group);
+        });
+
+        let total = 0;
+        groups.forEach(({ year, region, money }) => {
+            total += money.toFlorins(this.currencyConverter, year, region);
+        });
+        return total;
+    }
+
+    formatMoney(money) {
+        return money.normalize(this.moneySystem).format();
+    }
+
+    applyRateTable(table) {
+        // Throws on a malformed table, keeping the previous rates
+        this.currencyConverter.loadTable(table);
+        this.reconvertTransactions();
+        this.logger.info('Rate table applied', { name: this.currencyConverter.table.name });
+    }
+
+    reconvertTransactions() {
+        // Rejected values stay as counted during parsing; everything else is re-derived
+        this.unitReport.forEach(entry => {
+            entry.kept = 0;
+            entry.converted = 0;
+            entry.unconverted = 0;
+        });
+
+        this.transactions.forEach(t => {
+            const year = CurrencyConverter.yearOf(t.date);
+            const region = this.regionOf(t);
+            t.totalFlorinValue = this.getTransactionMoney(t).toFlorins(this.currencyConverter, year, region);
+            t.amounts.forEach(amount => {
+                amount.convertible = this.hasConversionRate(amount.currency, year, region);
+                this.recordUnitValue(amount.currency, amount.convertible ? 'converted' : 'unconverted');
+            });
+        });
+
+        this.updateAccountTree();
+        this.renderUnitReport();
+        this.datasetPanel.render();
+        this.reconciliationPanel.render();
+        this.qualityPanel.render();
+        this.applyFilters();
+        this.updateStats();
+    }
+
+    async handleRateTableFile(file) {
+        if (!file) return;
+
+        try {
+            const table = JSON.parse(await file.text());
+            this.applyRateTable(table);
+            this.showNotification(`Rate table "${this.currencyConverter.table.name}" applied`, 'success');
+        } catch (error) {
+            this.logger.error('Rate table could not be loaded', {
+                file: file.name,
+                error: error.message
+            });
+            this.showNotification(`Rate table rejected: ${error.message}`, 'error');
         }
+    }
 
-        // Sort
-        const sortBy = this.sortBy.value;
-        filtered.sort((a, b) => {
-            switch (sortBy) {
-                case 'date':
-                    return (b.date || '9999').localeCompare(a.date || '9999');
-                case 'amount':
-                    return b.totalFlorinValue - a.totalFlorinValue;
-                case 'entry':
-                    return a.entry.localeCompare(b.entry);
-                default:
-                    return 0;
-            }
+    formatRateEntries(code) {
+        const entries = this.currencyConverter.getEntries(code);
+        if (entries.length === 0) return '<span class="unconverted">no rate</span>';
+
+        return entries.map(entry => {
+            const scope = [
+                entry.validFrom !== null || entry.validTo !== null
+                    ? `${entry.validFrom !== null ? entry.validFrom : '…'}–${entry.validTo !== null ? entry.validTo : '…'}`
+                    : '',
+                entry.region || ''
+            ].filter(part => part).join(', ');
+            return `1 ${Html.escape(code)} = ${parseFloat(entry.rate.toFixed(6))} f${scope ? ` (${Html.escape(scope)})` : ''}`;
+        }).join('<br>');
+    }
+
+    recordUnitValue(currency, state) {
+        this.ledgerParser.recordUnitValue(this.unitReport, currency, state);
+    }
+
+    getUnitReportTotals() {
+        const totals = { kept: 0, converted: 0, unconverted: 0, rejected: 0 };
+        this.unitReport.forEach(entry => {
+            Object.keys(totals).forEach(key => { totals[key] += entry[key]; });
         });
+        return totals;
+    }
 
-        this.filteredTransactions = filtered;
-        this.currentPage = 1;
-        this.renderTransactions();
-        this.updatePagination();
+    renderUnitReport() {
+        if (!this.unitReportBody) return;
+
+        const totals = this.getUnitReportTotals();
+        if (this.unitReportSummary) {
+            this.unitReportSummary.textContent = `Monetary units: ${totals.kept} values kept, ` +
+                `${totals.converted} converted to florin, ${totals.unconverted} unconverted` +
+                (totals.rejected > 0 ? `, ${totals.rejected} rejected` : '');
+        }
+
+        if (this.rateTableName) {
+            const table = this.currencyConverter.table;
+            this.rateTableName.textContent = `${table.name}${table.version ? ` (v${table.version})` : ''}`;
+        }
+
+        if (this.unitReport.size === 0) {
+            this.unitReportBody.innerHTML = '<div class="no-data">No monetary values in this dataset</div>';
+            return;
+        }
+
+        const rows = Array.from(this.unitReport.entries())
+            .sort((a, b) => b[1].kept - a[1].kept)
+            .map(([code, entry]) => {
+                const rateDisplay = this.formatRateEntries(code);
+                return `
+                    <tr class="${entry.unconverted > 0 ? 'unit-unconvertible' : ''}">
+                        <td>${Html.escape(this.getCurrencyLabel(code))}</td>
+                        <td>${entry.kept}</td>
+                        <td>${entry.converted}</td>
+                        <td>${entry.unconverted}</td>
+                        <td>${entry.rejected}</td>
+                        <td>${rateDisplay}</td>
+                    </tr>
+                `;
+            }).join('');
+
+        this.unitReportBody.innerHTML = `
+            <table class="unit-report-table">
+                <thead>
+                    <tr><th>Unit</th><th>Kept</th><th>Converted</th><th>Unconverted</th><th>Rejected</th><th>Rate</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${totals.unconverted > 0 ? '<p class="unit-report-note">Unconverted values are kept in the table and filters but left out of florin totals.</p>' : ''}
+        `;
+    }
+
+    extractPeopleAndPlaces(text) {
+        return this.ledgerParser.extractPeopleAndPlaces(text);
     }
 
     renderTransactions() {
         if (this.filteredTransactions.length === 0) {
-            this.transactionsBody.innerHTML = '<tr><td colspan="6" class="no-data">No transactions found</td></tr>';
+            this.transactionsBody.innerHTML = '<tr><td colspan="7" class="no-data">No transactions found</td></tr>';
             return;
         }
 
@@ -479,33 +1044,44 @@ class AlderbachDashboard {
         const end = start + this.transactionsPerPage;
         const pageTransactions = this.filteredTransactions.slice(start, end);
 
-        const searchTerm = this.searchBox.value.toLowerCase();
+        const searchTerms = this.searchQuery ? this.searchQuery.textTerms() : [];
         
         this.transactionsBody.innerHTML = pageTransactions.map(transaction => {
-            let entryText = transaction.entry;
-            
-            // Highlight search terms
-            if (searchTerm) {
-                const regex = new RegExp(`(${searchTerm})`, 'gi');
-                entryText = entryText.replace(regex, '<span class="highlight">$1</span>');
-            }
+            // Highlight the free-text terms of the search in the spelling that matched
+            const entryText = this.highlightSearchTerms(transaction.entry, searchTerms);
 
-            // Format amounts
-            const amountDisplay = transaction.amounts.length > 0 
-                ? transaction.amounts.map(a => `${a.amount}`).join(' + ')
-                : '-';
+            // Format amounts, with goods and services on a second line
+            const goods = transaction.goods || [];
+            const goodsDisplay = goods.length > 0
+                ? `<div class="goods-line">${goods.map(item => Html.escape(this.formatGoodsItem(item))).join(', ')}</div>`
+                : '';
+            const amountDisplay = (transaction.amounts.length > 0 
+                ? transaction.amounts.map(a => a.convertible === false
+                    ? `<span class="unconverted" title="No conversion rate for ${Html.escape(this.getCurrencyLabel(a.currency))}">${a.amount}</span>`
+                    : `${a.amount}`).join(' + ')
+                : (goods.length > 0 ? '' : '-')) + this.formatAmountCheck(transaction) + goodsDisplay;
                 
             const currencyDisplay = transaction.amounts.length > 0
-                ? [...new Set(transaction.amounts.map(a => a.currency))].join(', ')
+                ? [...new Set(transaction.amounts.map(a => a.currency))].map(code => Html.escape(code)).join(', ')
+                : '-';
+
+            const place = this.places.get(transaction.place);
+            const placeDisplay = transaction.place
+                ? `<span class="place-name${place && place.resolved ? '' : ' unresolved'}" title="${Html.escape(transaction.place)}">${Html.escape(this.getPlaceLabel(transaction.place))}</span>`
                 : '-';
 
+            const sourceBadge = this.sources.length > 1
+                ? `<span class="source-badge" title="${Html.escape(transaction.source)}">${Html.escape(this.getSourceLabel(transaction.source))}</span> `
+                : '';
+
             return `
                 <tr>
-                    <td class="date">${transaction.date || 'N/A'}</td>
-                    <td class="entry-text">${entryText}</td>
+                    <td class="date">${this.formatDateCell(transaction)}</td>
+                    <td class="entry-text">${sourceBadge}${entryText}</td>
                     <td class="amount">${amountDisplay}</td>
                     <td><span class="currency">${currencyDisplay}</span></td>
-                    <td><span class="transaction-type type-${transaction.type}">${transaction.type}</span></td>
+                    <td class="place">${placeDisplay}</td>
+                    <td><span class="transaction-type type-${transaction.type}" title="${this.describeTypeRule(transaction)}">${transaction.type}</span></td>
                     <td><button class="action-btn" data-transaction-id="${transaction.id}">Details</button></td>
                 </tr>
             `;
@@ -531,8 +1107,13 @@ class AlderbachDashboard {
         this.totalTransactions.textContent = this.transactions.length.toLocaleString();
 
         // Total value in florins
-        const totalValue = this.transactions.reduce((sum, t) => sum + t.totalFlorinValue, 0);
+        const totalValue = this.sumFlorins(this.transactions);
         this.totalValue.textContent = totalValue.toFixed(0);
+        if (this.totalValueCompound) {
+            // Money only: units without a rate (days of work) are not part of the total
+            const money = this.sumMoney(this.transactions).filter(unit => this.currencyConverter.hasRate(unit));
+            this.totalValueCompound.textContent = this.formatMoney(money);
+        }
 
         // Date range
         const dates = this.transactions.filter(t => t.date).map(t => t.date).sort();
@@ -544,12 +1125,63 @@ class AlderbachDashboard {
             this.dateRange.textContent = 'N/A';
         }
 
-        // Unique people/places
+        // Unique people/places: curated agents where the dataset declares them
         const allPeople = new Set();
-        this.transactions.forEach(t => {
-            t.people.forEach(p => allPeople.add(p));
-        });
+        if (this.agents.size > 0) {
+            this.transactions.forEach(t => {
+                (t.agents || []).forEach(uri => allPeople.add(uri));
+            });
+        } else {
+            this.transactions.forEach(t => {
+                t.people.forEach(p => allPeople.add(p));
+            });
+        }
         this.uniquePeople.textContent = allPeople.size;
+        if (this.uniquePeopleLabel) {
+            this.uniquePeopleLabel.textContent = this.agents.size > 0 ? 'Economic Agents' : 'People/Places';
+        }
+
+        this.renderSourceBreakdown();
+    }
+
+    renderSourceBreakdown() {
+        if (!this.sourceBreakdown) return;
+
+        if (this.sources.length < 2) {
+            this.sourceBreakdown.innerHTML = '';
+            this.sourceBreakdown.hidden = true;
+            return;
+        }
+
+        const allFlorins = this.sumFlorins(this.transactions);
+        const rows = this.sources.map(model => {
+            const transactions = this.transactions.filter(t => t.source === model.source.id);
+            const florins = this.sumFlorins(transactions);
+            const dates = transactions.filter(t => t.date).map(t => t.date).sort();
+            const range = dates.length > 0 ? `${dates[0]} to ${dates[dates.length - 1]}` : 'N/A';
+            const share = allFlorins > 0 ? `${(florins / allFlorins * 100).toFixed(1)}%` : '-';
+
+            return `
+                <tr>
+                    <td>${Html.escape(model.source.label)}</td>
+                    <td>${transactions.length.toLocaleString()}</td>
+                    <td>${florins.toFixed(0)}</td>
+                    <td>${this.formatMoney(this.sumMoney(transactions))}</td>
+                    <td>${range}</td>
+                    <td>${share}</td>
+                </tr>
+            `;
+        }).join('');
+
+        this.sourceBreakdown.hidden = false;
+        this.sourceBreakdown.innerHTML = `
+            <table class="dataset-table">
+                <thead>
+                    <tr><th>Ledger</th><th>Transactions</th><th>Florins</th><th>Recorded</th><th>Date range</th><th>Share of value</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
     }
 
     initializeCharts() {
@@ -662,19 +1294,7 @@ class AlderbachDashboard {
             this.charts.timeline = new Chart(ctx, {
             type: 'line',
             data: {
-                datasets: [{
-                    label: 'Transaction Value (Florins)',
-                    data: [],
-                    borderColor: this.medievalColors.primary,
-                    backgroundColor: 'rgba(139, 69, 19, 0.1)',
-                    borderWidth: 3,
-                    fill: true,
-                    tension: 0.4,
-                    pointBackgroundColor: this.medievalColors.primary,
-                    pointBorderColor: '#fff',
-                    pointBorderWidth: 2,
-                    pointRadius: 5
-                }]
+                datasets: [this.buildTimelineDataset('Transaction Value (Florins)', [])]
             },
             options: {
                 responsive: true,
@@ -706,8 +1326,10 @@ class AlderbachDashboard {
                                 const dateStr = new Date(context.parsed.x).toLocaleDateString();
                                 const transactionCount = this.getTransactionCountForDate(context.parsed.x);
                                 const avgAmount = this.getAverageAmountForDate(context.parsed.x);
+                                const point = context.dataset.data[context.dataIndex];
                                 return [
                                     `Total: ${context.parsed.y.toFixed(2)} florins`,
+                                    ...(point && point.compound ? [`Recorded: ${point.compound}`] : []),
                                     `Transactions: ${transactionCount}`,
                                     `Average: ${avgAmount.toFixed(2)} florins`,
                                     `Click to filter by this date`
@@ -794,9 +1416,9 @@ class AlderbachDashboard {
             this.charts.currency = new Chart(ctx, {
             type: 'doughnut',
             data: {
-                labels: ['Florin (f)', 'Shilling (s)', 'Denarius (d)', 'Groschen (gr)'],
+                labels: [],
                 datasets: [{
-                    data: [0, 0, 0, 0],
+                    data: [],
                     backgroundColor: this.medievalColors.backgrounds,
                     borderColor: '#fff',
                     borderWidth: 3,
@@ -1048,13 +1670,41 @@ class AlderbachDashboard {
         this.updateSeasonalChart();
     }
 
+    buildTimelineDataset(label, data, color = null) {
+        // One line per ledger when several are loaded; a single filled line otherwise
+        return {
+            label: label,
+            data: data,
+            borderColor: color || this.medievalColors.primary,
+            backgroundColor: color ? 'transparent' : 'rgba(139, 69, 19, 0.1)',
+            borderWidth: 3,
+            fill: !color,
+            tension: 0.4,
+            pointBackgroundColor: color || this.medievalColors.primary,
+            pointBorderColor: '#fff',
+            pointBorderWidth: 2,
+            pointRadius: 5
+        };
+    }
+
     updateTimelineChart() {
         const timerId = this.logger.startTimer('timeline_update');
         const aggregation = this.timelineAggregation.value;
         const timelineData = this.aggregateTimelineData(this.filteredTransactions, aggregation);
         
-        this.charts.timeline.data.datasets[0].data = timelineData;
+        if (this.sources.length > 1) {
+            const colors = this.getCurrencyColors(this.sources.length);
+            this.charts.timeline.data.datasets = this.sources.map((model, index) => this.buildTimelineDataset(
+                model.source.label,
+                this.aggregateTimelineData(this.filteredTransactions.filter(t => t.source === model.source.id), aggregation),
+                colors[index]
+            ));
+        } else {
+            this.charts.timeline.data.datasets = [this.buildTimelineDataset('Transaction Value (Florins)', timelineData)];
+        }
         this.charts.timeline.options.scales.x.time.unit = aggregation;
+        this.charts.timeline.options.plugins.subtitle = this.describeImpreciseDates(
+            this.filteredTransactions, this.getBucketPrecision(aggregation), aggregation === 'year' ? '' : 'the yearly view includes those dated to the year');
         this.charts.timeline.update();
         
         const duration = this.logger.endTimer(timerId, 'timeline chart update');
@@ -1066,19 +1716,27 @@ class AlderbachDashboard {
         const metric = this.currencyMetric.value;
         const currencyData = this.aggregateCurrencyData(this.filteredTransactions, metric);
         
-        this.charts.currency.data.datasets[0].data = [
-            currencyData.f,
-            currencyData.s, 
-            currencyData.d,
-            currencyData.gr
-        ];
+        const codes = this.getCurrencyCodes();
+        
+        this.charts.currency.data.labels = codes.map(code => this.getCurrencyLabel(code));
+        this.charts.currency.data.datasets[0].data = codes.map(code => currencyData[code]);
+        this.charts.currency.data.datasets[0].backgroundColor = this.getCurrencyColors(codes.length);
         
         const metricLabel = metric === 'value' ? 'Value Distribution' : 'Transaction Count Distribution';
         this.charts.currency.options.plugins.title.text = `Currency ${metricLabel} in Monastery Records`;
         this.charts.currency.update();
         
         const duration = this.logger.endTimer(timerId, 'currency chart update');
-        this.logger.logChartUpdate('currency', 4, duration);
+        this.logger.logChartUpdate('currency', codes.length, duration);
+    }
+
+    getCurrencyColors(count) {
+        // Medieval palette first, then further earth tones for datasets with many units
+        const colors = this.medievalColors.backgrounds.slice(0, count);
+        for (let i = colors.length; i < count; i++) {
+            colors.push(`hsla(${(20 + i * 37) % 360}, 45%, ${35 + (i % 3) * 12}%, 0.8)`);
+        }
+        return colors;
     }
 
     updateHistogramChart() {
@@ -1138,7 +1796,7 @@ class AlderbachDashboard {
         this.charts.histogram.data.labels = labels;
         this.charts.histogram.data.datasets[0].data = buckets;
         
-        const currencyLabel = selectedCurrency === 'all' ? 'All Currencies' : selectedCurrency.toUpperCase();
+        const currencyLabel = selectedCurrency === 'all' ? 'All Currencies' : this.getCurrencyLabel(selectedCurrency);
         this.charts.histogram.options.plugins.title.text = `Distribution of Transaction Amounts (${currencyLabel})`;
         this.charts.histogram.update();
         
@@ -1167,8 +1825,8 @@ class AlderbachDashboard {
             });
             
             this.filteredTransactions.forEach(t => {
-                if (t.date) {  // Using 'date' from RDF structure, not 'when'
-                    const month = new Date(t.date).getMonth();
+                const month = LedgerDate.monthOf(t.date);  // null unless dated to the month or day
+                if (month !== null) {
                     const data = monthlyData.get(month);
                     // Sum all amounts (converted to florins) from the transaction
                     const transactionTotal = t.totalFlorinValue || 0;
@@ -1194,8 +1852,8 @@ class AlderbachDashboard {
             });
             
             this.filteredTransactions.forEach(t => {
-                if (t.date) {  // Using 'date' from RDF structure
-                    const month = new Date(t.date).getMonth();
+                const month = LedgerDate.monthOf(t.date);
+                if (month !== null) {
                     const quarter = Math.floor(month / 3);
                     const data = quarterlyData.get(quarter);
                     // Use totalFlorinValue from RDF data
@@ -1221,8 +1879,9 @@ class AlderbachDashboard {
             });
             
             this.filteredTransactions.forEach(t => {
-                if (t.date) {  // Using 'date' from RDF structure
-                    const dayOfWeek = new Date(t.date).getDay();
+                if (LedgerDate.hasPrecision(t.date, 'day')) {
+                    // In the calendar the scribe used; Date would count Julian days as Gregorian
+                    const dayOfWeek = JulianCalendar.weekdayOf(t.date.substring(0, 10));
                     const data = weekdayData.get(dayOfWeek);
                     // Use totalFlorinValue from RDF data
                     data.total += t.totalFlorinValue || 0;
@@ -1245,6 +1904,8 @@ class AlderbachDashboard {
         
         const viewLabel = view.charAt(0).toUpperCase() + view.slice(1);
         this.charts.seasonal.options.plugins.title.text = `${viewLabel} Transaction Patterns`;
+        this.charts.seasonal.options.plugins.subtitle = this.describeImpreciseDates(
+            this.filteredTransactions, view === 'weekday' ? 'day' : 'month', '');
         this.charts.seasonal.update();
         
         const duration = this.logger.endTimer(timerId, 'seasonal chart update');
@@ -1267,8 +1928,11 @@ class AlderbachDashboard {
     aggregateTimelineData(transactions, unit) {
         const data = new Map();
         
+        const precision = this.getBucketPrecision(unit);
+        
         transactions.forEach(transaction => {
-            if (!transaction.date) return;
+            // Entries dated less precisely than the bucket (e.g. only to the year) are left out
+            if (!LedgerDate.hasPrecision(transaction.date, precision)) return;
             
             const date = new Date(transaction.date);
             let key;
@@ -1278,43 +1942,70 @@ class AlderbachDashboard {
                     key = date.toISOString().split('T')[0];
                     break;
                 case 'week':
-                    const weekStart = new Date(date);
-                    weekStart.setDate(date.getDate() - date.getDay());
-                    key = weekStart.toISOString().split('T')[0];
+                    // Sunday-to-Saturday weeks of the calendar the entry is dated in
+                    key = JulianCalendar.weekStartOf(transaction.date.substring(0, 10));
                     break;
                 case 'month':
-                    key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-01`;
+                    key = `${transaction.date.substring(0, 7)}-01`;
                     break;
                 case 'year':
-                    key = `${date.getFullYear()}-01-01`;
+                    key = `${transaction.date.substring(0, 4)}-01-01`;
                     break;
                 default:
                     key = date.toISOString().split('T')[0];
             }
             
+            // Ledgers of different regions are summed apart, as their pence differ
             if (!data.has(key)) {
-                data.set(key, 0);
+                data.set(key, new Map());
             }
             
-            data.set(key, data.get(key) + transaction.totalFlorinValue);
+            const byRegion = data.get(key);
+            const region = this.regionOf(transaction);
+            byRegion.set(region, (byRegion.get(region) || Money.zero()).add(this.getTransactionMoney(transaction)));
         });
         
+        // Rates follow the bucket's year (a week takes the year it starts in)
         return Array.from(data.entries())
             .sort(([a], [b]) => a.localeCompare(b))
-            .map(([date, value]) => ({
-                x: date,
-                y: value
-            }));
+            .map(([date, byRegion]) => {
+                const year = CurrencyConverter.yearOf(date);
+                let florins = 0;
+                let money = Money.zero();
+                byRegion.forEach((part, region) => {
+                    florins += part.toFlorins(this.currencyConverter, year, region);
+                    money = money.add(part);
+                });
+                return { x: date, y: florins, compound: this.formatMoney(money) };
+            });
+    }
+
+    getBucketPrecision(unit) {
+        // Precision a date needs to fall into a timeline bucket of this unit
+        return unit === 'year' ? 'year' : (unit === 'month' ? 'month' : 'day');
+    }
+
+    /**
+     * Chart subtitle naming the dated entries a chart leaves out for lack of precision
+     */
+    describeImpreciseDates(transactions, precision, hint) {
+        const count = transactions.filter(t => t.date && !LedgerDate.hasPrecision(t.date, precision)).length;
+        return {
+            display: count > 0,
+            text: count > 0 ? `${count} entr${count === 1 ? 'y' : 'ies'} dated less precisely than a ${precision} not shown${hint ? ` — ${hint}` : ''}` : '',
+            color: this.medievalColors.primary
+        };
     }
 
-    aggregateCurrencyData(transactions, metric) {
-        const totals = { f: 0, s: 0, d: 0, gr: 0 };
+    aggregateCurrencyData(transactions, metric, codes = this.getCurrencyCodes()) {
+        const totals = {};
+        codes.forEach(code => { totals[code] = 0; });
         
         transactions.forEach(transaction => {
             transaction.amounts.forEach(amount => {
                 if (totals.hasOwnProperty(amount.currency)) {
                     if (metric === 'value') {
-                        totals[amount.currency] += this.convertToFlorin(amount.amount, amount.currency);
+                        totals[amount.currency] += this.convertToFlorin(amount.amount, amount.currency, CurrencyConverter.yearOf(transaction.date), this.regionOf(transaction));
                     } else {
                         totals[amount.currency] += 1;
                     }
@@ -1418,21 +2109,170 @@ class AlderbachDashboard {
         }, 3000);
     }
 
-    // Override applyFilters to update charts
+    updateAccountTree() {
+        this.accountTree.build(this.accounts);
+        this.accountTree.computeStats(this.transactions);
+        this.accountTree.render();
+    }
+
+    getSourceLabel(id) {
+        const model = this.sources.find(m => m.source && m.source.id === id);
+        return model ? model.source.label : (id || 'unknown');
+    }
+
+    populateSourceFilter() {
+        if (!this.sourceFilter) return;
+
+        const multiple = this.sources.length > 1;
+        const options = multiple
+            ? this.sources.map(model => {
+                const count = this.transactions.filter(t => t.source === model.source.id).length;
+                return `<option value="${Html.escape(model.source.id)}">${Html.escape(model.source.label)} (${count})</option>`;
+            })
+            : [];
+        this.sourceFilter.innerHTML = '<option value="">All Ledgers</option>' + options.join('');
+        this.sourceFilter.disabled = !multiple;
+    }
+
+    populatePlaceFilter() {
+        if (!this.placeFilter) return;
+
+        const counts = new Map();
+        this.transactions.forEach(t => {
+            if (t.place) {
+                counts.set(t.place, (counts.get(t.place) || 0) + 1);
+            }
+        });
+
+        const options = Array.from(counts.entries())
+            .sort((a, b) => b[1] - a[1] || this.getPlaceLabel(a[0]).localeCompare(this.getPlaceLabel(b[0])))
+            .map(([uri, count]) => `<option value="${Html.escape(uri)}">${Html.escape(this.getPlaceLabel(uri))} (${count})</option>`);
+
+        const unplaced = this.transactions.length - Array.from(counts.values()).reduce((sum, c) => sum + c, 0);
+        this.placeFilter.innerHTML = '<option value="">All Places</option>' + options.join('') +
+            (unplaced > 0 && counts.size > 0 ? `<option value="none">No place recorded (${unplaced})</option>` : '');
+        this.placeFilter.disabled = counts.size === 0;
+    }
+
+    populateGoodsFilter() {
+        if (!this.goodsFilter) return;
+
+        const totals = { any: 0, commodity: 0, service: 0 };
+        const classifications = { commodity: new Map(), service: new Map() };
+
+        this.transactions.forEach(t => {
+            const goods = t.goods || [];
+            if (goods.length === 0) return;
+            totals.any++;
+
+            ['commodity', 'service'].forEach(type => {
+                const items = goods.filter(item => item.type === type);
+                if (items.length === 0) return;
+                totals[type]++;
+
+                new Set(items.map(item => item.classification)).forEach(uri => {
+                    classifications[type].set(uri, (classifications[type].get(uri) || 0) + 1);
+                });
+            });
+        });
+
+        const group = (type, label) => {
+            if (classifications[type].size === 0) return '';
+            const options = Array.from(classifications[type].entries())
+                .sort((a, b) => b[1] - a[1])
+                .map(([uri, count]) => `<option value="${type}|${Html.escape(uri)}">${Html.escape(this.getConceptLabel(uri))} (${count})</option>`);
+            return `<optgroup label="${label}">${options.join('')}</optgroup>`;
+        };
+
+        this.goodsFilter.innerHTML = '<option value="">All Transactions</option>' +
+            (totals.any > 0 ? `<option value="any">Any goods or services (${totals.any})</option>` : '') +
+            (totals.commodity > 0 ? `<option value="commodity">All commodities (${totals.commodity})</option>` : '') +
+            (totals.service > 0 ? `<option value="service">All services (${totals.service})</option>` : '') +
+            group('commodity', 'Commodities') +
+            group('service', 'Services');
+        this.goodsFilter.disabled = totals.any === 0;
+    }
+
+    matchesGoodsFilter(transaction, filterValue) {
+        const goods = transaction.goods || [];
+        if (filterValue === 'any') return goods.length > 0;
+        if (filterValue === 'commodity' || filterValue === 'service') {
+            return goods.some(item => item.type === filterValue);
+        }
+
+        const [type, classification] = [
+            filterValue.substring(0, filterValue.indexOf('|')),
+            filterValue.substring(filterValue.indexOf('|') + 1)
+        ];
+        return goods.some(item => item.type === type && item.classification === classification);
+    }
+
+    /**
+     * text with the words matching any of terms (spelling variants
+     * included) wrapped in highlight spans
+     */
+    highlightSearchTerms(text, terms) {
+        if (!text || terms.length === 0) return text;
+
+        const spans = terms.flatMap(term => this.spellingVariants.find(text, term))
+            .sort((a, b) => a.start - b.start);
+        let html = '';
+        let position = 0;
+        spans.forEach(span => {
+            if (span.end <= position) return;
+            const start = Math.max(span.start, position);
+            html += text.substring(position, start) + `<span class="highlight">${text.substring(start, span.end)}</span>`;
+            position = span.end;
+        });
+        return html + text.substring(position);
+    }
+
+    getAgentSearchValues(transaction) {
+        // Curated agents are also searchable by schema:name and occupation
+        return (transaction.agents || []).flatMap(uri => {
+            const agent = this.agents.get(uri);
+            return agent ? [agent.label, agent.name, agent.occupation].filter(Boolean) : [];
+        });
+    }
+
+    /**
+     * The search box as a TransactionQuery, or null when it is empty or does
+     * not parse; syntax errors are shown under the box
+     */
+    readSearchQuery() {
+        const text = this.searchBox.value;
+        let query = null;
+        let message = '';
+        try {
+            query = text.trim() ? new TransactionQuery(text) : null;
+        } catch (error) {
+            const position = error.position !== undefined ? error.position : text.length;
+            message = `${error.message} (at character ${position + 1}: "${text.substring(position, position + 12) || 'end'}")`;
+        }
+
+        this.searchBox.classList.toggle('query-invalid', message !== '');
+        if (this.searchError) {
+            this.searchError.textContent = message;
+            this.searchError.hidden = message === '';
+        }
+        return query;
+    }
+
     applyFilters() {
         const timerId = this.logger.startTimer('apply_filters');
-        const searchTerm = this.searchBox.value.toLowerCase();
+        const searchTerm = this.searchBox.value.trim();
         
-        let filtered = [...this.transactions];
-
-        // Search filter
-        if (searchTerm) {
-            filtered = filtered.filter(t => 
-                t.entry.toLowerCase().includes(searchTerm) ||
-                t.people.some(p => p.toLowerCase().includes(searchTerm))
-            );
+        clearTimeout(this.searchTimer);
+        if (!this.searchIndex.covers(this.transactions)) {
+            this.searchIndex.build(this.transactions);
         }
 
+        // Search query (free text, field:value terms, ranges, AND / OR / NOT)
+        this.searchQuery = this.readSearchQuery();
+        let filtered = this.searchQuery
+            ? this.transactions.filter(t => this.searchQuery.matches(t, this))
+            : [...this.transactions];
+
         // Currency filter
         const currency = this.currencyFilter.value;
         if (currency) {
@@ -1441,8 +2281,37 @@ class AlderbachDashboard {
             );
         }
 
+        // Source dataset filter (several ledgers loaded together)
+        const source = this.sourceFilter ? this.sourceFilter.value : '';
+        if (source) {
+            filtered = filtered.filter(t => t.source === source);
+        }
+
+        // Place filter (bk:where)
+        const place = this.placeFilter ? this.placeFilter.value : '';
+        if (place) {
+            filtered = filtered.filter(t => place === 'none' ? !t.place : t.place === place);
+        }
+
+        // Goods & services filter (bk:Commodity / bk:Service and their classification)
+        const goodsFilter = this.goodsFilter ? this.goodsFilter.value : '';
+        if (goodsFilter) {
+            filtered = filtered.filter(t => this.matchesGoodsFilter(t, goodsFilter));
+        }
+
+        // Account filter (selection in the account tree, including descendants)
+        if (this.accountTree.selectedAccount) {
+            filtered = filtered.filter(t => this.accountTree.matches(t));
+        }
+
+        // Filter panel: date and florin ranges, multi-select facets with their counts
+        filtered = this.facetPanel.apply(filtered);
+
         // Sort
         const sortBy = this.sortBy.value;
+        const scores = sortBy === 'relevance'
+            ? this.searchIndex.scores(filtered, this.searchQuery ? this.searchQuery.textTerms() : [])
+            : null;
         filtered.sort((a, b) => {
             switch (sortBy) {
                 case 'date':
@@ -1451,6 +2320,8 @@ class AlderbachDashboard {
                     return b.totalFlorinValue - a.totalFlorinValue;
                 case 'entry':
                     return a.entry.localeCompare(b.entry);
+                case 'relevance':
+                    return (scores.get(b) - scores.get(a)) || (b.date || '9999').localeCompare(a.date || '9999');
                 default:
                     return 0;
             }
@@ -1475,6 +2346,11 @@ class AlderbachDashboard {
         this.logger.debug('Filters applied', {
             searchTerm: searchTerm || 'none',
             currencyFilter: currency || 'none',
+            sourceFilter: source || 'none',
+            placeFilter: place || 'none',
+            goodsFilter: goodsFilter || 'none',
+            accountFilter: this.accountTree.selectedAccount || 'none',
+            facetFilters: this.facetPanel.describe(),
             sortBy: sortBy,
             resultCount: filtered.length,
             originalCount: this.transactions.length
@@ -1494,17 +2370,28 @@ class AlderbachDashboard {
         });
         
         // Fill overview tab
-        document.getElementById('modalDate').textContent = transaction.date || 'Unknown';
+        document.getElementById('modalDate').textContent = this.describeDate(this.getDateInfo(transaction));
         document.getElementById('modalAmount').textContent = 
             transaction.amounts.length > 0 
                 ? transaction.amounts.map(a => `${a.amount} ${a.currency}`).join(', ')
                 : 'Not specified';
+        document.getElementById('modalTextAmount').textContent = this.describeAmountCheck(transaction);
         document.getElementById('modalCurrency').textContent = 
             transaction.amounts.length > 0
                 ? [...new Set(transaction.amounts.map(a => a.currency))].join(', ')
                 : 'None';
-        document.getElementById('modalType').textContent = transaction.type || 'Unknown';
+        document.getElementById('modalType').textContent = transaction.type
+            ? `${transaction.type} (${this.describeTypeRule(transaction).toLowerCase()})`
+            : 'Unknown';
+        document.getElementById('modalGoods').textContent = 
+            (transaction.goods || []).length > 0
+                ? transaction.goods.map(item => `${this.formatGoodsItem(item)} (${item.type})`).join(', ')
+                : 'None';
+        document.getElementById('modalPlace').textContent = 
+            transaction.place ? this.getPlaceLabel(transaction.place) : 'Not recorded';
+        document.getElementById('modalPlace').title = transaction.place || '';
         document.getElementById('modalEntry').textContent = transaction.entry || 'No entry text';
+        this.loadTransfersSection(transaction);
         
         // Fill raw XML tab
         document.getElementById('modalXML').textContent = 
@@ -1521,6 +2408,36 @@ class AlderbachDashboard {
         this.switchModalTab('overview');
     }
     
+    loadTransfersSection(transaction) {
+        const transfersDiv = document.getElementById('modalTransfers');
+        if (!transfersDiv) return;
+        
+        const transfers = transaction.transfers || [];
+        if (transfers.length === 0) {
+            transfersDiv.innerHTML = '<div class="no-related">No transfers recorded for this transaction.</div>';
+            return;
+        }
+        
+        // URIs, labels and units come from the ledger file
+        transfersDiv.innerHTML = transfers.map(transfer => {
+            const items = transfer.items.length > 0
+                ? transfer.items.map(item => item.type === 'money'
+                    ? Html.escape(`${item.amount} ${item.currency}`)
+                    : `<span class="goods-item goods-${Html.escape(item.type)}">${Html.escape(this.formatGoodsItem(item))}</span>`).join(', ')
+                : 'No items recorded';
+            return `
+                <div class="transfer-item" title="${Html.escape(transfer.uri || '')}">
+                    <div class="transfer-accounts">
+                        <span class="transfer-account">${Html.escape(this.getResourceLabel(transfer.from) || '?')}</span>
+                        <span class="transfer-arrow">→</span>
+                        <span class="transfer-account">${Html.escape(this.getResourceLabel(transfer.to) || '?')}</span>
+                    </div>
+                    <div class="transfer-items">${items}</div>
+                </div>
+            `;
+        }).join('');
+    }
+    
     closeTransactionModal() {
         this.modal.style.display = 'none';
         this.logger.info('Transaction modal closed');
@@ -1551,7 +2468,15 @@ class AlderbachDashboard {
         
         const metadata = {
             searchQuery: this.searchBox.value,
+            spellingTolerance: this.spellingVariants.tolerance,
+            spellingVariants: this.spellingVariants.groups,
             currencyFilter: this.currencyFilter.value,
+            sourceFilter: this.sourceFilter ? this.sourceFilter.value : '',
+            sources: this.sources.map(model => model.source ? model.source.label : '').filter(label => label),
+            placeFilter: this.placeFilter ? this.placeFilter.value : '',
+            goodsFilter: this.goodsFilter ? this.goodsFilter.value : '',
+            accountFilter: this.accountTree.selectedAccount || '',
+            facetFilters: this.facetPanel.describe(),
             sortBy: this.sortBy.value,
             totalTransactions: this.transactions.length,
             filteredTransactions: this.filteredTransactions.length
@@ -1618,8 +2543,13 @@ class AlderbachDashboard {
             amounts: []
         };
         
-        // Extract person names (medieval German patterns)
-        const namePatterns = [
+        // Curated agents from the dataset take precedence over name patterns
+        const agents = (transaction.agents || [])
+            .map(uri => this.agents.get(uri))
+            .filter(agent => agent);
+        
+        // Extract person names (medieval German patterns) only for unannotated files
+        const namePatterns = this.agents.size > 0 ? [] : [
             /\b([A-ZÄÖÜ][a-zäöüß]+)\s+(?:von\s+)?([A-ZÄÖÜ][a-zäöüß]+)\b/g,
             /\b([A-ZÄÖÜ][a-zäöüß]+)\s+([A-ZÄÖÜ][a-zäöüß]+mann|mayer|bauer|schmidt|müller|weber)\b/gi,
             /\bHerr\s+([A-ZÄÖÜ][a-zäöüß]+)\b/g
@@ -1641,6 +2571,11 @@ class AlderbachDashboard {
             /\b(Aldersbach|München|Regensburg|Passau|Landshut)\b/gi
         ];
         
+        // The encoded bk:where place comes before any pattern matches
+        if (transaction.place) {
+            entities.places.push(this.getPlaceLabel(transaction.place));
+        }
+        
         placePatterns.forEach(pattern => {
             let match;
             while ((match = pattern.exec(text)) !== null) {
@@ -1658,6 +2593,14 @@ class AlderbachDashboard {
             'Rind', 'Schwein', 'Schaf', 'Leder', 'Wolle', 'Tuch'
         ];
         
+        // Classified bk:Commodity items come before keyword matches
+        (transaction.goods || []).forEach(item => {
+            const label = this.getConceptLabel(item.classification);
+            if (item.type === 'commodity' && !entities.commodities.includes(label)) {
+                entities.commodities.push(label);
+            }
+        });
+        
         commodityKeywords.forEach(commodity => {
             const regex = new RegExp(`\\b${commodity}\\b`, 'gi');
             if (regex.test(text)) {
@@ -1668,10 +2611,31 @@ class AlderbachDashboard {
         // Build HTML display
         let html = '<div class="entities-container">';
         
+        if (agents.length > 0) {
+            const agentIcons = { EconomicAgent: '👤', Group: '👥', Organisation: '🏛️' };
+            html += '<div class="entity-section"><h4>👥 Economic Agents</h4>';
+            agents.forEach(agent => {
+                const roles = [];
+                (transaction.transfers || []).forEach(transfer => {
+                    if (transfer.from === agent.uri && !roles.includes('gives')) roles.push('gives');
+                    if (transfer.to === agent.uri && !roles.includes('receives')) roles.push('receives');
+                });
+                const details = [agent.type, agent.occupation, agent.placeName, roles.join(' / ')]
+                    .filter(detail => detail)
+                    .join(' · ');
+                html += `<div class="entity-item" title="${Html.escape(agent.uri)}">${agentIcons[agent.type] || '👤'} <span class="entity-name">${Html.escape(agent.label)}</span>`;
+                if (agent.name && agent.name !== agent.label) {
+                    html += ` <em>(${Html.escape(agent.name)})</em>`;
+                }
+                html += `<div class="entity-details">${Html.escape(details)}</div></div>`;
+            });
+            html += '</div>';
+        }
+        
         if (entities.people.length > 0) {
             html += '<div class="entity-section"><h4>👥 People</h4>';
             entities.people.forEach(person => {
-                html += `<div class="entity-item">👤 ${person}</div>`;
+                html += `<div class="entity-item">👤 ${Html.escape(person)}</div>`;
             });
             html += '</div>';
         }
@@ -1679,7 +2643,7 @@ class AlderbachDashboard {
         if (entities.places.length > 0) {
             html += '<div class="entity-section"><h4>📍 Places</h4>';
             entities.places.forEach(place => {
-                html += `<div class="entity-item">🏛️ ${place}</div>`;
+                html += `<div class="entity-item">🏛️ ${Html.escape(place)}</div>`;
             });
             html += '</div>';
         }
@@ -1687,14 +2651,14 @@ class AlderbachDashboard {
         if (entities.commodities.length > 0) {
             html += '<div class="entity-section"><h4>📦 Commodities</h4>';
             entities.commodities.forEach(commodity => {
-                html += `<div class="entity-item">🌾 ${commodity}</div>`;
+                html += `<div class="entity-item">🌾 ${Html.escape(commodity)}</div>`;
             });
             html += '</div>';
         }
         
         html += '</div>';
         
-        if (entities.people.length === 0 && entities.places.length === 0 && entities.commodities.length === 0) {
+        if (agents.length === 0 && entities.people.length === 0 && entities.places.length === 0 && entities.commodities.length === 0) {
             html = '<div class="no-entities">No entities could be extracted from this transaction.</div>';
         }
         
@@ -1737,6 +2701,12 @@ class AlderbachDashboard {
                 if (sameCurrency) score += 1;
             }
             
+            // Shared curated agents
+            if (transaction.agents && t.agents &&
+                transaction.agents.some(uri => t.agents.includes(uri))) {
+                score += 3;
+            }
+            
             // Extract and compare entities from related transaction
             if (t.entry && currentEntities && currentEntities.people.length > 0) {
                 const relatedEntities = this.extractEntitiesFromText(t.entry);
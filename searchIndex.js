@@ -0,0 +1,201 @@
+/**
+ * Search Index for Aldersbach Monastery Financial Dashboard
+ * Inverted index of the free-text query fields (TransactionQuery.FIELDS of
+ * kind 'text'), built once per loaded corpus, so a search term looks up its
+ * words instead of scanning every entry. Words are indexed in their
+ * SpellingVariants form; a query word finds the indexed words it is a
+ * prefix of through binary search in the sorted vocabulary, and, with a
+ * spelling tolerance, the words within that many edits.
+ *
+ * The postings also rank results for the Relevance sort: see scores().
+ */
+
+class SearchIndex {
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.logger = window.Logger || console;
+        this.transactions = null;
+        this.documents = new Set();
+        this.fields = new Map();  // field -> { postings: Map<form, Map<transaction, count>>, vocabulary: sorted forms }
+        this.cache = new Map();
+    }
+
+    /**
+     * Index every transaction; call again when the corpus or the spelling variants change
+     */
+    build(transactions) {
+        // The console fallback has no timers
+        const timerId = this.logger.startTimer ? this.logger.startTimer('search_index') : null;
+        const spelling = this.dashboard.spellingVariants;
+
+        this.transactions = transactions;
+        this.documents = new Set(transactions);
+        this.fields = new Map();
+        this.cache.clear();
+
+        Object.entries(TransactionQuery.FIELDS)
+            .filter(([, field]) => field.kind === 'text')
+            .forEach(([name, field]) => {
+                const postings = new Map();
+                transactions.forEach(transaction => {
+                    field.values(transaction, this.dashboard).forEach(value => {
+                        if (!value) return;
+                        spelling.words(value).forEach(word => {
+                            let posting = postings.get(word.form);
+                            if (!posting) postings.set(word.form, posting = new Map());
+                            posting.set(transaction, (posting.get(transaction) || 0) + 1);
+                        });
+                    });
+                });
+                this.fields.set(name, { postings, vocabulary: [...postings.keys()].sort() });
+            });
+
+        if (timerId) this.logger.endTimer(timerId, 'search index');
+        this.logger.debug('Search index built', {
+            transactions: transactions.length,
+            words: this.fields.has('text') ? this.fields.get('text').vocabulary.length : 0
+        });
+    }
+
+    /**
+     * Whether the index was built for this transactions array
+     */
+    covers(transactions) {
+        return this.transactions === transactions;
+    }
+
+    /**
+     * [{ form, weight }] of the indexed words a query word matches: itself
+     * (weight 1), words it starts (PREFIX_WEIGHT) and, with a tolerance,
+     * words that many edits away (FUZZY_WEIGHT)
+     */
+    expand(fieldName, query) {
+        const spelling = this.dashboard.spellingVariants;
+        const key = `expand\u0000${fieldName}\u0000${query}\u0000${spelling.tolerance}`;
+        if (this.cache.has(key)) return this.cache.get(key);
+
+        const vocabulary = this.fields.get(fieldName).vocabulary;
+        const forms = [];
+        for (let i = SearchIndex.lowerBound(vocabulary, query); i < vocabulary.length && vocabulary[i].startsWith(query); i++) {
+            forms.push({ form: vocabulary[i], weight: vocabulary[i] === query ? 1 : SearchIndex.PREFIX_WEIGHT });
+        }
+        if (spelling.tolerance > 0 && query.length >= SpellingVariants.MIN_FUZZY_LENGTH) {
+            vocabulary.forEach(form => {
+                if (!form.startsWith(query) && spelling.wordMatches(form, query)) {
+                    forms.push({ form, weight: SearchIndex.FUZZY_WEIGHT });
+                }
+            });
+        }
+
+        this.cache.set(key, forms);
+        return forms;
+    }
+
+    /**
+     * The transactions holding every word of term in the field (in any
+     * order), or null when term has no words to look up
+     */
+    candidates(fieldName, term) {
+        const spelling = this.dashboard.spellingVariants;
+        const key = `candidates\u0000${fieldName}\u0000${term}\u0000${spelling.tolerance}`;
+        if (this.cache.has(key)) return this.cache.get(key);
+
+        const words = spelling.words(term);
+        let result = null;
+        if (words.length > 0) {
+            const postings = this.fields.get(fieldName).postings;
+            words.forEach(word => {
+                const found = new Set();
+                this.expand(fieldName, word.form).forEach(({ form }) => {
+                    postings.get(form).forEach((count, transaction) => {
+                        if (!result || result.has(transaction)) found.add(transaction);
+                    });
+                });
+                result = found;
+            });
+        }
+
+        if (this.cache.size >= SearchIndex.CACHE_LIMIT) this.cache.clear();
+        this.cache.set(key, result);
+        return result;
+    }
+
+    /**
+     * Whether a text term matches the transaction: decided by the index for
+     * single words, checked word by word in the text for phrases; null when
+     * the index cannot tell (transaction not indexed, term without words)
+     */
+    matches(transaction, fieldName, term) {
+        if (!this.documents.has(transaction) || !this.fields.has(fieldName)) return null;
+
+        const candidates = this.candidates(fieldName, term);
+        if (candidates === null) return null;
+        if (!candidates.has(transaction)) return false;
+        return this.dashboard.spellingVariants.words(term).length === 1 ? true : null;
+    }
+
+    /**
+     * Relevance of each transaction to the free-text terms: per query word,
+     * the matched words' weight × idf × tf / (tf + 1), so rare words, exact
+     * spellings and repeated mentions rank first; times the share of query
+     * words matched, so matching more of them outranks repeating one
+     */
+    scores(transactions, terms) {
+        const scores = new Map(transactions.map(transaction => [transaction, 0]));
+        const field = this.fields.get('text');
+        if (!field || terms.length === 0) return scores;
+
+        const spelling = this.dashboard.spellingVariants;
+        const total = this.documents.size;
+        const queryWords = terms.flatMap(term => spelling.words(term).map(word => word.form));
+        if (queryWords.length === 0) return scores;
+
+        const matchedWords = new Map();
+        queryWords.forEach(query => {
+            const matched = new Set();
+            this.expand('text', query).forEach(({ form, weight }) => {
+                const posting = field.postings.get(form);
+                const idf = Math.log(1 + total / posting.size);
+                posting.forEach((count, transaction) => {
+                    if (!scores.has(transaction)) return;
+                    scores.set(transaction, scores.get(transaction) + weight * idf * count / (count + 1));
+                    matched.add(transaction);
+                });
+            });
+            matched.forEach(transaction => matchedWords.set(transaction, (matchedWords.get(transaction) || 0) + 1));
+        });
+
+        scores.forEach((score, transaction) => {
+            scores.set(transaction, score * (matchedWords.get(transaction) || 0) / queryWords.length);
+        });
+        return scores;
+    }
+
+    /**
+     * First index in a sorted array whose value is not below value
+     */
+    static lowerBound(sorted, value) {
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (sorted[middle] < value) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+}
+
+SearchIndex.PREFIX_WEIGHT = 0.5;
+
+SearchIndex.FUZZY_WEIGHT = 0.25;
+
+SearchIndex.CACHE_LIMIT = 500;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchIndex;
+}
@@ -0,0 +1,70 @@
+/**
+ * Spelling Variants Panel for Aldersbach Monastery Financial Dashboard
+ * Shows the folding rules search applies and edits the user's variant list
+ * (one group of spellings per line), which SpellingVariants keeps in
+ * localStorage.
+ */
+
+class SpellingPanel {
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.logger = window.Logger || console;
+
+        this.panel = document.getElementById('spellingPanel');
+        this.summary = document.getElementById('spellingPanelSummary');
+        this.body = document.getElementById('spellingPanelBody');
+
+        if (this.body) {
+            this.body.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-spelling-action]');
+                if (!button) return;
+                if (button.dataset.spellingAction === 'save') {
+                    this.save();
+                } else if (button.dataset.spellingAction === 'revert') {
+                    this.render();
+                }
+            });
+        }
+    }
+
+    save() {
+        const input = this.body.querySelector('textarea');
+        const spelling = this.dashboard.spellingVariants;
+        spelling.setVariants(SpellingVariants.parseVariants(input ? input.value : ''));
+        spelling.save();
+        this.logger.info('Spelling variants saved', { groups: spelling.groups.length });
+
+        this.render();
+        this.dashboard.searchIndex.build(this.dashboard.transactions);
+        this.dashboard.applyFilters();
+        this.dashboard.showNotification(`${spelling.groups.length} spelling variant group${spelling.groups.length === 1 ? '' : 's'} saved`, 'success');
+    }
+
+    render() {
+        if (!this.body) return;
+        const groups = this.dashboard.spellingVariants.groups;
+
+        if (this.summary) {
+            this.summary.textContent = groups.length > 0
+                ? `Spelling variants: ${groups.length} group${groups.length === 1 ? '' : 's'}`
+                : 'Spelling variants';
+        }
+
+        const rules = SpellingVariants.RULES.map(rule => `<li>${rule.description}</li>`).join('');
+        this.body.innerHTML = `
+            <div class="unit-report-note">Search compares words with accents dropped and these spellings treated as one, so "waitz" finds "waiz", "thut" finds "tut" and "Schaf" finds "Schaff":</div>
+            <ul class="spelling-rules">${rules}</ul>
+            <label for="spellingVariantsInput">Your variants, one group per line, e.g. <code>waitz, weizen</code>:</label>
+            <textarea id="spellingVariantsInput" rows="5" spellcheck="false" placeholder="waitz, weizen&#10;Maii, Mai, Mayen">${Html.escape(SpellingVariants.formatVariants(groups))}</textarea>
+            <div class="spelling-actions">
+                <button class="chart-control-btn" data-spelling-action="save">Save variants</button>
+                <button class="chart-control-btn" data-spelling-action="revert">Discard changes</button>
+            </div>
+        `;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpellingPanel;
+}
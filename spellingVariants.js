@@ -0,0 +1,201 @@
+/**
+ * Spelling Variants for Aldersbach Monastery Financial Dashboard
+ * The scribes spell the same word many ways ("waitz" / "weizen" / "waiz",
+ * "Maii" / "Mai", "thut" / "tut", "Schaff" / "Schaf", "vnd" / "und"), so
+ * search compares words in a folded form: Early New High German and Latin
+ * orthography reduced by RULES, then looked up in the variant list (the
+ * DEFAULT_GROUPS until the user saves their own). With a tolerance above 0,
+ * words of four letters or more also match whole words that many edits away
+ * from the folded query.
+ *
+ * Matches are reported as { start, end } offsets into the original text, so
+ * highlighting marks the spelling as written.
+ */
+
+class SpellingVariants {
+    constructor({ groups = SpellingVariants.DEFAULT_GROUPS, tolerance = 0 } = {}) {
+        this.logger = window.Logger || console;
+        this.tolerance = tolerance;
+        this.wordCache = new Map();
+        this.setVariants(groups);
+    }
+
+    /**
+     * Lower-case word with accents dropped and RULES applied, in order
+     */
+    static fold(word) {
+        const plain = String(word).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        return SpellingVariants.RULES.reduce((folded, rule) => folded.replace(rule.pattern, rule.replacement), plain);
+    }
+
+    /**
+     * Variant list text, one group per line ("waitz, weizen, waiz"), into
+     * arrays of spellings; lines with a single spelling are left out
+     */
+    static parseVariants(text) {
+        return String(text || '').split(/\r?\n/)
+            .map(line => line.split(/[,;=]/).map(spelling => spelling.trim()).filter(Boolean))
+            .filter(group => group.length > 1);
+    }
+
+    static formatVariants(groups) {
+        return groups.map(group => group.join(', ')).join('\n');
+    }
+
+    /**
+     * The settings saved in localStorage, or the defaults
+     */
+    static restore() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(SpellingVariants.STORAGE_KEY) || 'null');
+            if (stored && Array.isArray(stored.groups)) {
+                return new SpellingVariants({ groups: stored.groups, tolerance: Number(stored.tolerance) || 0 });
+            }
+        } catch (e) {
+            console.warn('Failed to restore spelling variants:', e);
+        }
+        return new SpellingVariants();
+    }
+
+    save() {
+        try {
+            localStorage.setItem(SpellingVariants.STORAGE_KEY, JSON.stringify({ groups: this.groups, tolerance: this.tolerance }));
+        } catch (e) {
+            this.logger.warn('Failed to store spelling variants', { error: e.message });
+        }
+    }
+
+    /**
+     * Every spelling of a group folds to the folded form of its first spelling
+     */
+    setVariants(groups) {
+        this.groups = groups;
+        this.variantMap = new Map();
+        groups.forEach(group => {
+            const canonical = SpellingVariants.fold(group[0]);
+            group.forEach(spelling => this.variantMap.set(SpellingVariants.fold(spelling), canonical));
+        });
+        this.wordCache.clear();
+    }
+
+    normalize(word) {
+        const folded = SpellingVariants.fold(word);
+        return this.variantMap.get(folded) || folded;
+    }
+
+    /**
+     * [{ start, end, form }] of the words of a text, form normalized
+     */
+    words(text) {
+        let words = this.wordCache.get(text);
+        if (words) return words;
+
+        words = [];
+        const pattern = /[\p{L}\p{M}\p{N}]+/gu;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            words.push({ start: match.index, end: match.index + match[0].length, form: this.normalize(match[0]) });
+        }
+
+        if (this.wordCache.size >= SpellingVariants.CACHE_LIMIT) this.wordCache.clear();
+        this.wordCache.set(text, words);
+        return words;
+    }
+
+    /**
+     * A text word matches a query word it starts with ("mart" finds
+     * "Martini"), or, with a tolerance, that is within that many edits of
+     * the whole word (fuzzing only its start would let "weizen" find "Weissen")
+     */
+    wordMatches(form, query) {
+        if (form.startsWith(query)) return true;
+        if (this.tolerance === 0 || query.length < SpellingVariants.MIN_FUZZY_LENGTH) return false;
+
+        return SpellingVariants.distance(form, query, this.tolerance) <= this.tolerance;
+    }
+
+    /**
+     * { start, end } of every run of words in text matching the words of
+     * term in order; a term without words is looked for as written
+     */
+    find(text, term) {
+        if (!text || !term) return [];
+        const queryWords = this.words(term).map(word => word.form);
+
+        if (queryWords.length === 0) {
+            const spans = [];
+            const lower = text.toLowerCase();
+            const needle = term.toLowerCase();
+            for (let index = lower.indexOf(needle); index >= 0; index = lower.indexOf(needle, index + needle.length)) {
+                spans.push({ start: index, end: index + needle.length });
+            }
+            return spans;
+        }
+
+        const words = this.words(text);
+        const spans = [];
+        for (let i = 0; i + queryWords.length <= words.length; i++) {
+            if (queryWords.every((query, offset) => this.wordMatches(words[i + offset].form, query))) {
+                spans.push({ start: words[i].start, end: words[i + queryWords.length - 1].end });
+            }
+        }
+        return spans;
+    }
+
+    contains(text, term) {
+        return this.find(text, term).length > 0;
+    }
+
+    /**
+     * Levenshtein distance, or max + 1 as soon as it is certain to exceed max
+     */
+    static distance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+}
+
+// Applied in this order to lower-case words without accents; described in the Spelling variants panel
+SpellingVariants.RULES = [
+    { pattern: /ß/g, replacement: 'ss', description: 'ß = ss' },
+    { pattern: /th/g, replacement: 't', description: 'th = t' },
+    { pattern: /dt/g, replacement: 't', description: 'dt = t' },
+    { pattern: /ck/g, replacement: 'k', description: 'ck = k' },
+    { pattern: /tz/g, replacement: 'z', description: 'tz = z' },
+    { pattern: /[jy]/g, replacement: 'i', description: 'i = j = y' },
+    { pattern: /v/g, replacement: 'u', description: 'u = v' },
+    { pattern: /[ae]i/g, replacement: 'ai', description: 'ai = ay = ei = ey' },
+    { pattern: /ae/g, replacement: 'e', description: 'ae = e' },
+    { pattern: /(.)\1+/g, replacement: '$1', description: 'doubled letters as single ones' }
+];
+
+// Spellings of the ledgers' grain that the RULES do not fold together
+SpellingVariants.DEFAULT_GROUPS = [
+    ['waitz', 'weizen', 'waicz'],
+    ['haber', 'habern', 'hafer']
+];
+
+// Shorter query words are only matched by their spelling variants, never fuzzily
+SpellingVariants.MIN_FUZZY_LENGTH = 4;
+
+SpellingVariants.CACHE_LIMIT = 20000;
+
+SpellingVariants.STORAGE_KEY = 'aldersbach_spelling_variants';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpellingVariants;
+}
@@ -60,6 +60,43 @@ window.runDashboardTests = async function() {
     }
 
     const tester = new ChartTester(dashboard, logger);
+
+    // Shared fixture of the ledger tests: the collection's base IRI and one rdf:RDF
+    // wrapper declaring the namespaces the ledgers use
+    const base = 'https://gams.uni-graz.at/context:depcha.aldersbach';
+    const ledger = (body) => `<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns:rdfs="http://www.w3.org/2000/01/rdf-schema#"
+            xmlns:bk="https://gams.uni-graz.at/o:depcha.bookkeeping#" xmlns:depcha="https://gams.uni-graz.at/o:depcha.ontology#"
+            xmlns:huc="https://gams.uni-graz.at/o:depcha.huc-ontology#" xmlns:skos="http://www.w3.org/2004/02/skos/core#"
+            xmlns:schema="https://schema.org/" xmlns:void="http://rdfs.org/ns/void#" xmlns:dc="http://purl.org/dc/elements/1.1/">
+            ${body}
+        </rdf:RDF>`;
+
+    /**
+     * Run a test that loads its own ledger or transactions into the dashboard, then
+     * apply the dashboard's model again, so the search index, facets, accounts,
+     * units and sources are back as well, whether the test passed or not
+     */
+    const withDashboardModel = (run) => {
+        const saved = {
+            transactions: dashboard.transactions,
+            accounts: dashboard.accounts,
+            agents: dashboard.agents,
+            concepts: dashboard.concepts,
+            currencies: dashboard.currencies,
+            datasetMetadata: dashboard.datasetMetadata,
+            unitReport: dashboard.unitReport,
+            places: dashboard.places,
+            totals: dashboard.totals,
+            issues: dashboard.issues,
+            sources: dashboard.sources
+        };
+        try {
+            run();
+        } finally {
+            dashboard.applyModel(saved);
+            dashboard.applyFilters();
+        }
+    };
     
     // Data Processing Tests
     tester
@@ -89,7 +126,842 @@ window.runDashboardTests = async function() {
             const entities = dashboard.extractPeopleAndPlaces(text);
             tester.assert(entities.includes('Martin'), 'Should extract person name');
             tester.assert(entities.includes('Aitenpach'), 'Should extract place name');
-        });
+        })
+        
+        .addTest('Transfers keep bk:from / bk:to accounts', () => withDashboardModel(() => {
+            dashboard.parseXMLData(ledger(`
+                <bk:Transaction rdf:about="urn:test#T1">
+                    <bk:entry>Item dem Zinnsperger .60. Schaff waitz thut. .360. f.</bk:entry>
+                    <bk:consistsOf><bk:Transfer rdf:about="urn:test#T1T1">
+                        <bk:transfers><bk:Money rdf:about="urn:test#T1T1EA"><bk:unit rdf:resource="${base}#f"/><bk:quantity>360</bk:quantity></bk:Money></bk:transfers>
+                        <bk:from rdf:resource="${base}#einnahmen_getreide"/>
+                        <bk:to rdf:resource="${base}#aldersbach"/>
+                    </bk:Transfer></bk:consistsOf>
+                </bk:Transaction>`));
+            const transfers = dashboard.transactions[0].transfers;
+            
+            tester.assertEqual(transfers.length, 1, 'Should keep one transfer');
+            tester.assertEqual(transfers[0].uri, 'urn:test#T1T1', 'Should keep the Transfer URI');
+            tester.assertEqual(transfers[0].from, `${base}#einnahmen_getreide`, 'Should keep bk:from');
+            tester.assertEqual(transfers[0].to, `${base}#aldersbach`, 'Should keep bk:to');
+            tester.assertEqual(transfers[0].items[0].amount, 360, 'Should keep the transferred money');
+
+            const transfersDiv = document.getElementById('modalTransfers');
+            dashboard.loadTransfersSection({ transfers: [{
+                uri: 'urn:test#T1T1"><img src=x>',
+                from: 'urn:test#<b>kammer</b>',
+                to: `${base}#aldersbach`,
+                items: [{ type: 'money', amount: 2, currency: '<i>f</i>' }]
+            }] });
+            tester.assert(!transfersDiv.querySelector('img, b, i'), 'Should not render markup from the ledger in the transfers list');
+            tester.assertEqual(transfersDiv.querySelector('.transfer-item').title, 'urn:test#T1T1"><img src=x>', 'Should keep the transfer URI as its tooltip');
+            tester.assertEqual(transfersDiv.querySelector('.transfer-account').textContent, '<b>kammer</b>', 'Should show the label as text');
+        }))
+        
+        .addTest('Account tree rolls up counts to parent accounts', () => {
+            const tree = new AccountTree(dashboard);
+            const account = (uri, broader, narrower) => ({ uri, id: uri, label: uri, broader, narrower });
+            tree.build(new Map([
+                ['income', account('income', [], ['grain', 'wine'])],
+                ['grain', account('grain', ['income'], [])],
+                ['wine', account('wine', [], [])]
+            ]));
+            
+            const transfer = (from) => ({ from, to: 'aldersbach', items: [] });
+            const stats = tree.computeStats([
+                { totalFlorinValue: 10, transfers: [transfer('grain')] },
+                { totalFlorinValue: 5, transfers: [transfer('wine')] },
+                { totalFlorinValue: 1, transfers: [transfer('grain'), transfer('wine')] }
+            ]);
+            
+            tester.assertEqual(tree.roots.length, 1, 'Should have one root account');
+            tester.assertEqual(stats.get('grain').count, 2, 'Should count transactions per account');
+            tester.assertEqual(stats.get('income').count, 3, 'Should count each transaction once on the parent');
+            tester.assertEqual(stats.get('income').florins, 16, 'Should roll florin totals up to the parent');
+            
+            tree.selectedAccount = 'income';
+            tester.assert(tree.matches({ transfers: [transfer('wine')] }), 'Parent selection should match descendant accounts');
+        })
+
+        .addTest('Account tree survives broader/narrower cycles', () => {
+            const tree = new AccountTree(dashboard);
+            const account = (uri, broader, narrower) => ({ uri, id: uri, label: uri, broader, narrower });
+            tree.build(new Map([
+                ['income', account('income', [], ['grain'])],
+                ['grain', account('grain', ['income'], [])],
+                ['kitchen', account('kitchen', ['cellar'], [])],
+                ['cellar', account('cellar', ['kitchen'], [])]
+            ]));
+            tree.computeStats([{ totalFlorinValue: 2, transfers: [{ from: 'cellar', to: 'aldersbach', items: [] }] }]);
+            tree.expanded = new Set(tree.accounts.keys());
+            const html = tree.roots.map(uri => tree.renderNode(uri)).join('');
+
+            tester.assertEqual(tree.roots.join(','), 'income,kitchen', 'Should put the first account of a rootless cycle at the top level');
+            tester.assertEqual((html.match(/data-account="cellar"/g) || []).length, 1, 'Should show an account of a cycle once');
+            tester.assertEqual(tree.stats.get('kitchen').count, 1, 'Should roll up around a cycle without counting twice');
+            tester.assertEqual(tree.getAncestors('cellar').size, 2, 'Should stop at accounts already seen');
+
+            tree.build(new Map([['urn:"x"', account('urn:"x"', [], [])]]));
+            tree.accounts.get('urn:"x"').label = '<b>Keller</b>';
+            const escaped = tree.renderNode('urn:"x"');
+            tester.assert(escaped.includes('data-account="urn:&quot;x&quot;"'), 'Should escape account URIs in attributes');
+            tester.assert(escaped.includes('&lt;b&gt;Keller&lt;/b&gt;'), 'Should show account labels as text');
+        })
+        
+        .addTest('Agent registry links curated agents to transfers', () => withDashboardModel(() => {
+            dashboard.parseXMLData(ledger(`
+                <bk:Transaction rdf:about="urn:test#T1">
+                    <bk:entry>Item fratri Heinrico hospitalario .II. t.</bk:entry>
+                    <bk:consistsOf><bk:Transfer rdf:about="urn:test#T1T1">
+                        <bk:transfers><bk:Money rdf:about="urn:test#T1T1EA"><bk:unit rdf:resource="${base}#t"/><bk:quantity>2</bk:quantity></bk:Money></bk:transfers>
+                        <bk:from rdf:resource="${base}#aldersbach"/>
+                        <bk:to rdf:resource="${base}#bruder_heinrich"/>
+                    </bk:Transfer></bk:consistsOf>
+                </bk:Transaction>
+                <bk:EconomicAgent rdf:about="${base}#bruder_heinrich"><rdfs:label>Bruder Heinrich</rdfs:label><schema:name>Heinrich &lt;hospitalarius&gt;</schema:name><schema:hasOccupation>Gastmeister</schema:hasOccupation></bk:EconomicAgent>
+                <bk:Organisation rdf:about="${base}#convent"><rdfs:label>Konvent</rdfs:label></bk:Organisation>`));
+            const agents = dashboard.agents;
+            const transaction = dashboard.transactions[0];
+            dashboard.loadEntitiesTab(transaction);
+            const shownName = document.querySelector('#modalEntities .entity-item em');
+            
+            tester.assertEqual(agents.size, 2, 'Should register agents and organisations');
+            tester.assertEqual(agents.get(`${base}#bruder_heinrich`).occupation, 'Gastmeister', 'Should keep schema:hasOccupation');
+            tester.assertEqual(transaction.agents.length, 1, 'Should link the agent named in bk:to');
+            tester.assertEqual(transaction.people[0], 'Bruder Heinrich', 'Should use curated labels instead of regex hits');
+            tester.assertEqual(shownName ? shownName.textContent : '', '(Heinrich <hospitalarius>)', 'Should show agent names as text');
+        }))
+        
+        .addTest('Place references resolve to labels or stable IDs', () => withDashboardModel(() => {
+            dashboard.parseXMLData(ledger(`
+                <bk:Transaction rdf:about="urn:test#T1"><bk:entry>dem Zinnsperger zu Braunau</bk:entry><bk:where rdf:resource="${base}#ort_0555"/></bk:Transaction>
+                <bk:Transaction rdf:about="urn:test#T2"><bk:entry>dem Wiert zu Paumgarten</bk:entry><bk:where rdf:resource="${base}#ort_0046"/></bk:Transaction>
+                <bk:Transaction rdf:about="urn:test#T3"><bk:entry>dem Zoller zu Schärding</bk:entry><bk:where rdf:resource="${base}#ort_0600"/></bk:Transaction>
+                <rdf:Description rdf:about="${base}#ort_0555"><rdfs:label>Braunau</rdfs:label></rdf:Description>
+                <rdf:Description rdf:about="${base}#ort_0600"><rdfs:label>Schärding &lt;Inn&gt;</rdfs:label></rdf:Description>`));
+            const places = dashboard.places;
+            const transaction = dashboard.transactions[0];
+            dashboard.populatePlaceFilter();
+            dashboard.applyFilters();
+            const options = Array.from(dashboard.placeFilter.options).map(option => option.textContent);
+            const shown = Array.from(dashboard.transactionsBody.querySelectorAll('.place-name')).map(element => element.textContent);
+            
+            tester.assertEqual(transaction.place, `${base}#ort_0555`, 'Should keep the bk:where reference');
+            tester.assertEqual(places.get(`${base}#ort_0555`).label, 'Braunau', 'Should resolve declared place labels');
+            tester.assertEqual(places.get(`${base}#ort_0046`).label, 'ort_0046', 'Should keep unresolved IDs as keys');
+            tester.assert(options.includes('Schärding <Inn> (1)'), 'Should show place labels as option text');
+            tester.assert(shown.includes('Schärding <Inn>'), 'Should show place labels as text in the table');
+        }))
+
+        .addTest('Commodity and service items keep quantity, unit and classification', () => withDashboardModel(() => {
+            dashboard.parseXMLData(ledger(`
+                <bk:Transaction rdf:about="urn:test#T1"><bk:entry>geben .4. Schaff waitz p. 4 ½. f. thut. .18. f.</bk:entry>
+                    <bk:consistsOf><bk:Transfer>
+                        <bk:transfers><bk:Commodity><bk:quantity>4</bk:quantity><bk:unit rdf:resource="${base}#schaff"/><bk:classified rdf:resource="${base}#weizen"/></bk:Commodity></bk:transfers>
+                    </bk:Transfer></bk:consistsOf>
+                    <bk:consistsOf><bk:Transfer>
+                        <bk:transfers><bk:Service><bk:quantity>2</bk:quantity><bk:unit rdf:resource="${base}#tag"/><bk:classified rdf:resource="${base}#work"/></bk:Service></bk:transfers>
+                    </bk:Transfer></bk:consistsOf>
+                </bk:Transaction>
+                <skos:Concept rdf:about="${base}#weizen"><skos:prefLabel>Weizen &lt;Korn&gt;</skos:prefLabel></skos:Concept>`));
+            const goods = dashboard.transactions[0].goods;
+            const weizenLabel = dashboard.getConceptLabel(`${base}#weizen`);
+            const workLabel = dashboard.getConceptLabel(`${base}#work`);
+            const matchesService = dashboard.matchesGoodsFilter(dashboard.transactions[0], `service|${base}#work`);
+            dashboard.populateGoodsFilter();
+            dashboard.applyFilters();
+            const options = Array.from(dashboard.goodsFilter.options).map(option => option.textContent);
+            const goodsLine = dashboard.transactionsBody.querySelector('.goods-line');
+
+            tester.assertEqual(goods.length, 2, 'Should keep both goods items');
+            tester.assertEqual(goods[0].type, 'commodity', 'First item should be a commodity');
+            tester.assertEqual(goods[0].quantity, 4, 'Should keep the commodity quantity');
+            tester.assertEqual(goods[1].type, 'service', 'Second item should be a service');
+            tester.assertEqual(weizenLabel, 'Weizen <Korn>', 'Should resolve declared concept labels');
+            tester.assertEqual(workLabel, 'work', 'Should fall back to the concept ID');
+            tester.assert(matchesService, 'Goods filter should match the service classification');
+            tester.assert(options.includes('Weizen <Korn> (1)'), 'Should show concept labels as option text');
+            tester.assert(goodsLine && goodsLine.textContent.includes('4 schaff Weizen <Korn>'), 'Should show goods as text in the table');
+        }))
+
+        .addTest('Currency lists come from huc:HistoricalUnit declarations', () => {
+            withDashboardModel(() => {
+                dashboard.parseXMLData(ledger(`
+                <depcha:Dataset rdf:about="urn:test.dataset"><depcha:currency rdf:resource="${base}#s"/><depcha:currency rdf:resource="${base}#d"/></depcha:Dataset>
+                <huc:HistoricalUnit rdf:about="${base}#s"><rdfs:label>Schilling</rdfs:label></huc:HistoricalUnit>
+                <huc:HistoricalUnit rdf:about="${base}#d"><rdfs:label>Wiener Pfennig</rdfs:label></huc:HistoricalUnit>
+                <bk:Transaction rdf:about="urn:test#T1"><bk:entry>Test</bk:entry><bk:consistsOf><bk:Transfer>
+                    <bk:transfers><bk:Money><bk:quantity>3</bk:quantity><bk:unit rdf:resource="${base}#s"/></bk:Money></bk:transfers>
+                </bk:Transfer></bk:consistsOf></bk:Transaction>`));
+                dashboard.populateCurrencyControls();
+                const options = Array.from(dashboard.currencyFilter.options).map(option => option.value);
+
+                tester.assertEqual(dashboard.getCurrencyLabel('s'), 'Schilling (s)', 'Should use the declared unit label');
+                tester.assertEqual(dashboard.getCurrencyCodes().join(','), 's', 'Charts should only list units in use');
+                tester.assertEqual(options.join(','), ',s,d', 'Filter should list every declared unit');
+                tester.assertEqual(dashboard.aggregateCurrencyData(dashboard.transactions, 'count').s, 1, 'Should aggregate by the declared unit codes');
+            });
+            dashboard.populateCurrencyControls();
+        })
+
+        .addTest('Units without a conversion rate are kept as unconvertible', () => withDashboardModel(() => {
+            const money = (unit, quantity) => `<bk:transfers><bk:Money><bk:quantity>${quantity}</bk:quantity><bk:unit rdf:resource="${base}#${unit}"/></bk:Money></bk:transfers>`;
+            dashboard.parseXMLData(ledger(`
+                <bk:Transaction rdf:about="urn:test#T1"><bk:entry>Test</bk:entry><bk:consistsOf><bk:Transfer>
+                    ${money('fl', 2)}${money('tag', 3)}${money('tag', 'x')}
+                </bk:Transfer></bk:consistsOf></bk:Transaction>`));
+            const transaction = dashboard.transactions[0];
+            const report = dashboard.unitReport;
+
+            tester.assertEqual(transaction.amounts.length, 2, 'Should keep values in every unit');
+            tester.assertEqual(transaction.amounts[1].convertible, false, 'Should flag units without a rate');
+            tester.assertEqual(transaction.totalFlorinValue, 2, 'Should leave unconvertible values out of florin totals');
+            tester.assertEqual(report.get('tag').unconverted, 1, 'Report should count unconverted values');
+            tester.assertEqual(report.get('tag').rejected, 1, 'Report should count rejected values');
+            tester.assertEqual(report.get('fl').converted, 1, 'Report should count converted values');
+        }))
+
+        .addTest('Shared converter picks rates by period and region', () => {
+            const converter = new CurrencyConverter({
+                name: 'Test rates',
+                rates: [
+                    { unit: 'lb', rate: 1, region: 'wien' },
+                    { unit: 'lb', rate: 0.5, region: 'regensburg' },
+                    { unit: 'd', rate: 1 / 240 },
+                    { unit: 'd', rate: 1 / 210, validFrom: 1500, validTo: 1600 }
+                ]
+            });
+
+            tester.assertEqual(converter.getRate('d', { year: 1557 }), 1 / 210, 'Should prefer the narrower period');
+            tester.assertEqual(converter.getRate('d', { year: 1291 }), 1 / 240, 'Should fall back to the open-ended rate');
+            tester.assertEqual(converter.getRate('lb', { region: 'regensburg' }), 0.5, 'Should pick the regional rate');
+            tester.assert(!converter.hasRate('fung'), 'Units without an entry have no rate');
+
+            const defaults = new CurrencyConverter();
+            tester.assertEqual(defaults.getRate('d', { year: 1450, region: 'wien' }), 1 / 192, 'Should count a Vienna ledger in Vienna pence of its period');
+            tester.assertEqual(defaults.getRate('d', { year: 1450 }), 1 / 240, 'Should keep the plain rate without a region');
+            tester.assert(defaults.getRate('lbdrat', { year: 1450, region: 'wien' }) > defaults.getRate('lbdwien', { year: 1450, region: 'wien' }), 'Should rate the Regensburg pound above the Vienna one');
+            tester.assert(['lbdwien', 'lbdrat', 'trat', 'tpat', 'srat', 'frhen', 'fung'].every(unit => defaults.hasRate(unit, { year: 1414 })), 'Should rate the mint units of the ledgers');
+
+            const shillings = ledger(`
+                <bk:Transaction rdf:about="urn:test#T1"><bk:entry>Test</bk:entry><bk:when>1450-03-01</bk:when><bk:consistsOf><bk:Transfer>
+                    <bk:transfers><bk:Money><bk:quantity>8</bk:quantity><bk:unit rdf:resource="${base}#s"/></bk:Money></bk:transfers>
+                </bk:Transfer></bk:consistsOf></bk:Transaction>`);
+            const vienna = dashboard.parseXMLText(shillings, 'wien');
+            tester.assertEqual(vienna.region, 'wien', 'Should record the region in the model');
+            tester.assertEqual(vienna.transactions[0].totalFlorinValue, 1.25, 'Should convert with the ledger region\'s rates');
+            tester.assertEqual(dashboard.parseXMLText(shillings).transactions[0].totalFlorinValue, 8 / 30, 'Should convert without a region as before');
+
+            const transaction = { date: '1557-05-01', amounts: [{ amount: 30, currency: 's' }, { amount: 2, currency: 'tag' }] };
+            tester.assertEqual(dashboard.exportManager.getFlorinValue(transaction), dashboard.convertToFlorin(30, 's', 1557), 'Exports should agree with the dashboard');
+            tester.assertEqual(dashboard.pdfExporter.convertToFlorins(30, 's'), dashboard.convertToFlorin(30, 's'), 'PDF should agree with the dashboard');
+        })
+
+        .addTest('Compound money adds exactly and formats as f / s / d', () => {
+            const system = Money.reckoning('t');
+            const recorded = Money.of(22, 'f').add(Money.of(3, 's')).add(Money.of(15, 'd'));
+            tester.assertEqual(recorded.format(), '22 f 3 s 15 d', 'Should keep the units the scribe used');
+            tester.assertEqual(Money.of(4.5, 'f').format(), '4 ½ f', 'Should keep halves exact');
+
+            tester.assertEqual(recorded.normalize(system).format(), '22 f 3 s 15 d', 'Should not carry pence below a shilling');
+
+            let total = Money.zero();
+            for (let i = 0; i < 60; i++) total = total.add(Money.of(1, 'd'));
+            tester.assertEqual(total.normalize(system).format(), '2 s', 'Should carry 30 pfennige into a shilling');
+            tester.assertEqual(total.compare(Money.of(2, 's'), system), 0, 'Should compare without rounding');
+            tester.assertEqual(Money.of(9, 's').add(Money.of(1, 'hr')).normalize(system).format(), '1 t 1 s 1 hr', 'Should carry 8 shillings into the ledger\'s pound');
+            tester.assert(Money.of(1, 'lbdwien').add(total).normalize(system).format().startsWith('1 lbdwien'), 'Should keep another pound unit apart');
+            tester.assertEqual(Money.poundUnitOf([Money.of(1, 'lbdwien'), Money.of(2, 'lbdwien'), Money.of(1, 't')]), 'lbdwien', 'Should count in the pound unit used most');
+
+            const aggregated = dashboard.aggregateTimelineData([
+                { date: '1557-05-01', amounts: [{ amount: 15, currency: 'd' }] },
+                { date: '1557-05-02', amounts: [{ amount: 45, currency: 'd' }] }
+            ], 'month');
+            tester.assertEqual(aggregated[0].compound, '2 s', 'Timeline buckets should keep the compound total');
+        })
+
+        .addTest('Dataset panel flags declared counts and aggregates that differ from parsed data', () => withDashboardModel(() => {
+            dashboard.parseXMLData(ledger(`
+                <depcha:Dataset rdf:about="urn:test.dataset">
+                    <depcha:numberOfTransactions>3</depcha:numberOfTransactions>
+                    <depcha:numberOfMonetaryValues>3</depcha:numberOfMonetaryValues>
+                    <depcha:currency rdf:resource="${base}#d"/>
+                    <depcha:aggregates><depcha:Aggregation><depcha:date>1557</depcha:date><bk:unit>Pfennig</bk:unit><depcha:revenue>12</depcha:revenue><depcha:expenses>0</depcha:expenses></depcha:Aggregation></depcha:aggregates>
+                    <depcha:aggregates><depcha:Aggregation><depcha:date>1558</depcha:date><bk:unit>Pfennig</bk:unit><depcha:revenue>5</depcha:revenue><depcha:expenses>0</depcha:expenses></depcha:Aggregation></depcha:aggregates>
+                    <depcha:aggregates><depcha:Aggregation><depcha:date>1559</depcha:date><bk:unit>Pfennig</bk:unit><depcha:revenue>30</depcha:revenue><depcha:expenses>0</depcha:expenses></depcha:Aggregation></depcha:aggregates>
+                </depcha:Dataset>
+                <void:Dataset rdf:about="urn:test"><dc:rights>javascript:alert("x")</dc:rights><dc:publisher>&lt;b&gt;Publisher&lt;/b&gt;</dc:publisher></void:Dataset>
+                <huc:HistoricalUnit rdf:about="${base}#d"><rdfs:label>Pfennig</rdfs:label></huc:HistoricalUnit>
+                <bk:Transaction rdf:about="urn:test#T1"><bk:entry>Recepimus</bk:entry><bk:when>1557-03-01</bk:when><bk:consistsOf><bk:Transfer>
+                    <bk:transfers><bk:Money><bk:quantity>1</bk:quantity><bk:unit rdf:resource="${base}#f"/></bk:Money></bk:transfers>
+                    <bk:transfers><bk:Money><bk:quantity>12</bk:quantity><bk:unit rdf:resource="${base}#d"/></bk:Money></bk:transfers>
+                </bk:Transfer></bk:consistsOf></bk:Transaction>
+                <bk:Transaction rdf:about="urn:test#T2"><bk:entry>Recepimus</bk:entry><bk:when>1558-03-01</bk:when><bk:consistsOf><bk:Transfer>
+                    <bk:transfers><bk:Money><bk:quantity>9</bk:quantity><bk:unit rdf:resource="${base}#d"/></bk:Money></bk:transfers>
+                </bk:Transfer></bk:consistsOf></bk:Transaction>`));
+            const metadata = dashboard.datasetMetadata;
+            const counts = dashboard.datasetPanel.compareCounts();
+            const aggregations = dashboard.datasetPanel.compareAggregations();
+
+            const html = dashboard.datasetPanel.renderDataset(dashboard).html;
+
+            tester.assertEqual(metadata.rights, 'javascript:alert("x")', 'Should read dc:rights from void:Dataset');
+            tester.assert(counts.find(row => row.key === 'Transactions').mismatch, 'Should flag a transaction count mismatch');
+            tester.assert(!counts.find(row => row.key === 'MonetaryValues').mismatch, 'Should accept matching counts');
+            tester.assertEqual(aggregations[0].code, 'd', 'Should resolve the aggregation unit by its label');
+            tester.assertEqual(aggregations[0].parsedRevenue, 12, 'Should sum the values written in the declared unit');
+            tester.assertEqual(aggregations[0].status, 'ok', 'Should accept matching revenue');
+            tester.assertEqual(aggregations[1].status, 'surplus', 'Should not report more parsed than declared as a loss');
+            tester.assertEqual(aggregations[2].status, 'mismatch', 'Should flag less parsed than declared');
+            tester.assert(!html.includes('<a href') && html.includes('javascript:alert(&quot;x&quot;)'), 'Should link dc:rights only when it is an http(s) URL');
+            tester.assert(html.includes('&lt;b&gt;Publisher'), 'Should show the publisher as text');
+        }))
+
+        .addTest('Summa totals are reconciled against the entries they total', () => withDashboardModel(() => {
+            const money = (unit, quantity) => `<bk:Money><bk:quantity>${quantity}</bk:quantity><bk:unit rdf:resource="${base}#${unit}"/></bk:Money>`;
+            const entry = (id, unit, quantity) => `<bk:Transaction rdf:about="urn:test#${id}"><bk:entry>Item ${id}</bk:entry><bk:consistsOf><bk:Transfer><bk:transfers>${money(unit, quantity)}</bk:transfers></bk:Transfer></bk:consistsOf></bk:Transaction>`;
+            const total = (id, parts) => `<bk:TotalTransaction rdf:about="urn:test#${id}">${parts.map(([unit, quantity]) => `<bk:comprises>${money(unit, quantity)}</bk:comprises>`).join('')}<bk:entry>Summa ${id}</bk:entry></bk:TotalTransaction>`;
+
+            // Totals in place: 20 d + 12 d carried to 1 s 2 d, then a scribe who wrote 2 s for 1 s
+            dashboard.parseXMLData(ledger(entry('T1', 'd', 20) + entry('T2', 'd', 12) + total('Total1', [['s', 1], ['d', 2]]) +
+                                       entry('T3', 's', 1) + total('Total2', [['s', 2]])));
+            const inPlace = dashboard.reconciliationPanel.reconcile();
+
+            // Totals listed after the entries: the block is found by its sum
+            dashboard.parseXMLData(ledger(entry('T1', 'f', 1) + entry('T2', 'd', 3) + entry('T3', 'd', 4) + entry('T4', 'f', 2) +
+                                       total('Total1', [['d', 7]])));
+            const grouped = dashboard.reconciliationPanel.reconcile();
+
+            // Units outside the reckoning are matched unit by unit: a groschen is no 12 d
+            dashboard.parseXMLData(ledger(entry('T1', 'd', 12) + entry('T2', 'gr', 1) + entry('T3', 'd', 5) +
+                                       total('Total1', [['gr', 1], ['d', 5]]) + total('Total2', [['d', 12]])));
+            const mixed = dashboard.reconciliationPanel.reconcile();
+
+            // Reconciled only once the panel is opened; the scribe's entry shown as text
+            const panel = dashboard.reconciliationPanel;
+            const wasOpen = panel.panel.open;
+            dashboard.parseXMLData(ledger(entry('T1', 'd', 5) + total('Total1', [['d', 5]]).replace('Summa Total1', 'Summa &lt;b&gt;T1&lt;/b&gt;')));
+            panel.panel.open = false;
+            panel.render();
+            const closedSummary = panel.summary.textContent;
+            panel.panel.open = true;
+            panel.render();
+            const openBody = panel.body.innerHTML;
+            panel.panel.open = wasOpen;
+
+            tester.assertEqual(inPlace.length, 2, 'Should parse every bk:TotalTransaction');
+            tester.assertEqual(inPlace[0].status, 'ok', 'Should accept a total that matches its block');
+            tester.assertEqual(inPlace[1].block.length, 1, 'Should start the block after the previous total');
+            tester.assertEqual(inPlace[1].difference.format(), '1 s', 'Should show the scribe\'s excess');
+            tester.assertEqual(dashboard.reconciliationPanel.formatBlock(grouped[0].block), 'T2-T3', 'Should locate grouped totals by their sum');
+            tester.assertEqual(mixed.map(row => dashboard.reconciliationPanel.formatBlock(row.block)).join(','), 'T2-T3,T1', 'Should match other units separately');
+            tester.assert(closedSummary.includes('open to check'), 'Should wait for the panel to be opened');
+            tester.assert(openBody.includes('Summa &lt;b&gt;T1&lt;/b&gt;'), 'Should show the scribe\'s entry as text');
+        }))
+
+        .addTest('Streaming reader gives the worker the same model as DOMParser', () => {
+            const xml = `<?xml version="1.0" encoding="UTF-8"?>
+                <!-- ledger -->
+                ` + ledger(`
+                    <bk:Transaction rdf:about="urn:test#T1"><bk:entry>Item Brot &amp; Wein &#x20AC;</bk:entry><bk:when>1557-05-01</bk:when><bk:consistsOf><bk:Transfer>
+                        <bk:transfers><bk:Money><bk:quantity>4.5</bk:quantity><bk:unit rdf:resource="${base}#f"/></bk:Money></bk:transfers>
+                        <bk:from rdf:resource="${base}#aldersbach"/>
+                    </bk:Transfer></bk:consistsOf></bk:Transaction>
+                    <bk:TotalTransaction rdf:about="urn:test#Total1"><bk:comprises><bk:Money><bk:quantity>4.5</bk:quantity><bk:unit rdf:resource="${base}#f"/></bk:Money></bk:comprises><bk:entry><![CDATA[Summa <4 ½ f>]]></bk:entry></bk:TotalTransaction>`);
+
+            // Chunks that split tags, attribute values and entities
+            const reader = new XmlStreamReader();
+            for (let i = 0; i < xml.length; i += 7) reader.write(xml.substring(i, i + 7));
+            const streamed = dashboard.ledgerParser.parse(reader.close());
+            const parsed = dashboard.parseXMLText(xml);
+            const strip = (model) => JSON.stringify(model.transactions.map(t => ({ ...t, rawXML: undefined })).concat(model.totals));
+
+            tester.assertEqual(reader.count('Transaction'), 1, 'Should count transactions as they stream in');
+            tester.assertEqual(streamed.transactions[0].entry, 'Item Brot & Wein €', 'Should decode entities');
+            tester.assertEqual(streamed.totals[0].entry, 'Summa <4 ½ f>', 'Should keep CDATA text');
+            tester.assertEqual(strip(streamed), strip(parsed), 'Should build the same model as DOMParser');
+            const cloned = typeof structuredClone === 'function' ? structuredClone(streamed) : streamed;
+            tester.assertEqual(cloned.currencies.get('f').code, 'f', 'Model should survive structured cloning');
+        })
+
+        .addTest('Several ledgers merge into one corpus tagged by source', () => {
+            const entry = (id, quantity) => `<bk:Transaction rdf:about="urn:test#${id}"><bk:entry>Item ${id}</bk:entry><bk:consistsOf><bk:Transfer>
+                <bk:transfers><bk:Money><bk:quantity>${quantity}</bk:quantity><bk:unit rdf:resource="${base}#f"/></bk:Money></bk:transfers>
+                <bk:from rdf:resource="${base}#aldersbach"/><bk:to rdf:resource="${base}#${id}_account"/>
+            </bk:Transfer></bk:consistsOf></bk:Transaction>`;
+            const account = (narrower) => `<bk:Account rdf:about="${base}#ausgaben"><skos:prefLabel>Ausgaben</skos:prefLabel><skos:narrower rdf:resource="${base}#${narrower}"/></bk:Account>`;
+
+            // T2 appears in both files, as happens with overlapping exports
+            const parser = dashboard.ledgerParser;
+            withDashboardModel(() => {
+                const first = parser.tagSource(dashboard.parseXMLText(ledger(entry('T1', 1) + entry('T2', 2) + account('wein'))), { id: 'a.xml', label: 'A', path: 'a.xml' });
+                const second = parser.tagSource(dashboard.parseXMLText(ledger(entry('T2', 2) + entry('T3', 3) + account('brot'))), { id: 'b.xml', label: '<b>.xml', path: 'b.xml' });
+                dashboard.applyModel(parser.mergeModels([first, second]));
+                dashboard.populateSourceFilter();
+                dashboard.sourceFilter.value = 'b.xml';
+                dashboard.applyFilters();
+                const filtered = dashboard.filteredTransactions.map(t => t.entry);
+                const options = Array.from(dashboard.sourceFilter.options).map(option => option.textContent);
+                const badge = dashboard.transactionsBody.querySelector('.source-badge');
+                dashboard.sourceFilter.value = '';
+
+                tester.assertEqual(dashboard.sources.length, 2, 'Should keep both ledgers as sources');
+                tester.assertEqual(dashboard.transactions.length, 3, 'Should keep a transaction found in both files once');
+                tester.assertEqual(dashboard.transactions.map(t => t.id).join(','), '0,1,2', 'Should renumber the combined entries');
+                tester.assertEqual(dashboard.transactions[1].source, 'a.xml', 'Should keep a shared transaction from the first file');
+                tester.assertEqual(dashboard.accounts.get(`${base}#ausgaben`).narrower.length, 2, 'Should union the branches of a shared account');
+                tester.assertEqual(filtered.join(','), 'Item T3', 'Should filter by source file');
+                tester.assertEqual(options[2], '<b>.xml (1)', 'Should show a file name as option text');
+                tester.assertEqual(badge ? badge.textContent : '', '<b>.xml', 'Should show a file name as badge text');
+            });
+            dashboard.populateSourceFilter();
+        })
+
+        .addTest('Dataset manifest entries become file options', () => {
+            const select = document.createElement('select');
+            select.innerHTML = dashboard.renderManifestOption({
+                id: 'L347',
+                title: 'Rechnung "Kastner" & Keller',
+                path: 'data/o_depcha.aldersbach.L347.xml',
+                period: '1470-1471',
+                description: 'New transcription'
+            }) + dashboard.renderManifestOption({ path: 'data/untitled.xml' });
+            const [option, untitled] = select.options;
+
+            tester.assertEqual(option.value, 'data/o_depcha.aldersbach.L347.xml', 'Should load the entry\'s path');
+            tester.assertEqual(option.dataset.id, 'L347', 'Should keep the manifest id as source id');
+            tester.assertEqual(option.dataset.title, 'Rechnung "Kastner" & Keller', 'Should escape the title in attributes');
+            tester.assertEqual(option.textContent, 'Rechnung "Kastner" & Keller (1470-1471)', 'Should show the period next to the title');
+            tester.assertEqual(option.title, 'New transcription', 'Should show the description as tooltip');
+            tester.assertEqual(untitled.textContent, 'data/untitled.xml', 'Should fall back to the path without a title');
+        })
+
+        .addTest('Turtle, N-Triples and JSON-LD give the same model as RDF/XML', () => {
+            const xml = ledger(`
+                <bk:Transaction rdf:about="urn:test#T1"><bk:entry>Item "Brot"</bk:entry><bk:when>1557-05-01</bk:when><bk:consistsOf><bk:Transfer rdf:about="urn:test#T1T1">
+                    <bk:transfers><bk:Money rdf:about="urn:test#T1T1EA"><bk:quantity>4</bk:quantity><bk:unit rdf:resource="${base}#f"/></bk:Money></bk:transfers>
+                    <bk:to rdf:resource="${base}#koch"/>
+                </bk:Transfer></bk:consistsOf></bk:Transaction>
+                <bk:EconomicAgent rdf:about="${base}#koch"><rdfs:label>Koch</rdfs:label></bk:EconomicAgent>`);
+            const turtle = `@prefix bk: <https://gams.uni-graz.at/o:depcha.bookkeeping#> .
+                PREFIX ald: <${base}#>
+                # Money as an anonymous node, the transfer linked by IRI
+                <urn:test#T1> a bk:Transaction ; bk:entry "Item \\"Brot\\"" ; bk:when "1557-05-01"^^<http://www.w3.org/2001/XMLSchema#date> ;
+                    bk:consistsOf <urn:test#T1T1> .
+                <urn:test#T1T1> a bk:Transfer ; bk:transfers [ a bk:Money ; bk:quantity 4 ; bk:unit ald:f ] ; bk:to ald:koch .
+                ald:koch a bk:EconomicAgent ; <http://www.w3.org/2000/01/rdf-schema#label> "Koch"@de .`;
+            const nTriples = [
+                '<urn:test#T1> <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <https://gams.uni-graz.at/o:depcha.bookkeeping#Transaction> .',
+                '<urn:test#T1> <https://gams.uni-graz.at/o:depcha.bookkeeping#entry> "Item \\"Brot\\"" .',
+                '<urn:test#T1> <https://gams.uni-graz.at/o:depcha.bookkeeping#when> "1557-05-01" .',
+                '<urn:test#T1> <https://gams.uni-graz.at/o:depcha.bookkeeping#consistsOf> _:t .',
+                '_:t <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <https://gams.uni-graz.at/o:depcha.bookkeeping#Transfer> .',
+                '_:t <https://gams.uni-graz.at/o:depcha.bookkeeping#transfers> _:m .',
+                `_:t <https://gams.uni-graz.at/o:depcha.bookkeeping#to> <${base}#koch> .`,
+                '_:m <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <https://gams.uni-graz.at/o:depcha.bookkeeping#Money> .',
+                '_:m <https://gams.uni-graz.at/o:depcha.bookkeeping#quantity> "4" .',
+                `_:m <https://gams.uni-graz.at/o:depcha.bookkeeping#unit> <${base}#f> .`,
+                `<${base}#koch> <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <https://gams.uni-graz.at/o:depcha.bookkeeping#EconomicAgent> .`,
+                `<${base}#koch> <http://www.w3.org/2000/01/rdf-schema#label> "Koch" .`
+            ].join('\n');
+            const jsonLd = JSON.stringify({
+                '@context': { bk: 'https://gams.uni-graz.at/o:depcha.bookkeeping#', ald: `${base}#`, label: 'http://www.w3.org/2000/01/rdf-schema#label', to: { '@id': 'bk:to', '@type': '@id' } },
+                '@graph': [
+                    { '@id': 'urn:test#T1', '@type': 'bk:Transaction', 'bk:entry': 'Item "Brot"', 'bk:when': '1557-05-01', 'bk:consistsOf': {
+                        '@id': 'urn:test#T1T1', '@type': 'bk:Transfer', to: 'ald:koch',
+                        'bk:transfers': { '@type': 'bk:Money', 'bk:quantity': 4, 'bk:unit': { '@id': 'ald:f' } }
+                    } },
+                    { '@id': 'ald:koch', '@type': 'bk:EconomicAgent', label: 'Koch' }
+                ]
+            });
+
+            const summary = (model) => {
+                const t = model.transactions[0];
+                return `${t.entry}|${t.date}|${t.amounts.map(a => a.amount + a.currency).join()}|${t.people.join()}|${model.agents.size}`;
+            };
+            const expected = summary(dashboard.parseXMLText(xml));
+
+            tester.assertEqual(LedgerReader.detectFormat(xml), 'rdfxml', 'Should detect RDF/XML');
+            tester.assertEqual(LedgerReader.detectFormat(nTriples, 'ledger.nt'), 'ntriples', 'Should tell N-Triples from an XML tag');
+            tester.assertEqual(LedgerReader.detectFormat(jsonLd), 'jsonld', 'Should detect JSON-LD');
+            tester.assertEqual(expected, 'Item "Brot"|1557-05-01|4f|Koch|1', 'RDF/XML fixture should parse');
+            tester.assertEqual(summary(dashboard.parseLedgerText(turtle, 'ledger.ttl')), expected, 'Turtle should give the same model');
+            tester.assertEqual(summary(dashboard.parseLedgerText(nTriples, 'ledger.nt')), expected, 'N-Triples should give the same model');
+            tester.assertEqual(summary(dashboard.parseLedgerText(jsonLd, 'ledger.jsonld')), expected, 'JSON-LD should give the same model');
+        })
+
+        .addTest('Dataset cache reuses a model only for an unchanged file and rate table', () => {
+            const cache = dashboard.datasetCache;
+            const rateTable = dashboard.currencyConverter.describe();
+            const record = {
+                key: 'data/ledger.xml',
+                path: 'data/ledger.xml',
+                label: 'Ledger',
+                version: DatasetCache.VERSION,
+                rateTable: JSON.stringify(rateTable),
+                validator: { lastModified: 'Tue, 01 Sep 2026 10:00:00 GMT', size: 2048 },
+                cachedAt: '2026-09-01T10:00:00Z',
+                transactions: 12,
+                storedSize: 4096
+            };
+
+            tester.assert(cache.matches(record, { lastModified: 'Tue, 01 Sep 2026 10:00:00 GMT', size: 2048 }, rateTable), 'Should reuse an unchanged file');
+            tester.assert(!cache.matches(record, { lastModified: 'Wed, 02 Sep 2026 08:00:00 GMT', size: 2048 }, rateTable), 'Should parse a modified file again');
+            tester.assert(!cache.matches(record, { hash: 'sha256:00' }, rateTable), 'Should not trust a record without the same validator');
+            tester.assert(!cache.matches(record, record.validator, { ...rateTable, name: 'Vienna' }), 'Should parse again under another rate table');
+            tester.assert(!cache.matches({ ...record, version: 0 }, record.validator, rateTable), 'Should drop records of an older parser');
+            tester.assertEqual(cache.keyOf({ path: 'ledger.xml', file: {} }), 'local:ledger.xml', 'Should keep local files apart from served ones');
+            tester.assert(!cache.matches({ ...record, validator: { content: true } }, { content: true }, rateTable), 'Should not match before the content is hashed');
+            tester.assertEqual(DatasetCache.estimateSize(2048), 4096, 'Should estimate the stored size from the file size');
+
+            dashboard.cachePanel.renderRecords([record]);
+            const evict = dashboard.cachePanel.body.querySelector('[data-cache-action="evict"]');
+            const listed = dashboard.cachePanel.summary.textContent;
+            dashboard.cachePanel.refresh();
+
+            tester.assertEqual(listed, 'Cache: 1 parsed dataset, 4 KB', 'Should list cached datasets with their size');
+            tester.assertEqual(evict.dataset.key, 'data/ledger.xml', 'Should offer to evict each dataset');
+        })
+
+        .addTest('A cancelled or replaced load stops at its next await', () => {
+            const thrown = (load) => {
+                try {
+                    dashboard.checkLoad(load);
+                    return null;
+                } catch (error) {
+                    return error.cancelled ? 'cancelled' : error.message;
+                }
+            };
+            const saved = dashboard.activeLoad;
+            let workerStopped = false;
+
+            const first = { cancelled: false, cancelWorker: () => { workerStopped = true; } };
+            dashboard.activeLoad = first;
+            const running = thrown(first);
+            const second = { cancelled: false, cancelWorker: null };
+            dashboard.activeLoad = second;
+            const replaced = thrown(first);
+            const current = thrown(second);
+            dashboard.activeLoad = first;
+            const cancelled = dashboard.cancelLoad(false);
+
+            tester.assertEqual(running, null, 'Should let the current load go on');
+            tester.assertEqual(replaced, 'cancelled', 'Should stop a load replaced by a newer one');
+            tester.assertEqual(current, null, 'Should let the newer load go on');
+            tester.assert(cancelled && first.cancelled && workerStopped, 'Should flag the load and stop its worker');
+            tester.assertEqual(thrown(first), 'cancelled', 'Should stop a cancelled load');
+            tester.assert(!dashboard.cancelLoad(false), 'Should have nothing to cancel afterwards');
+
+            dashboard.activeLoad = saved;
+        })
+
+        .addTest('Validation report lists malformed and incomplete records', () => {
+            const xml = ledger(`
+                    <depcha:Dataset rdf:about="#ledger"><depcha:currency rdf:resource="#f"/></depcha:Dataset>
+                    <bk:Account rdf:about="#k%C3%BCche"/>
+                    <bk:Transaction rdf:about="#T1">
+                        <bk:entry>Item in die kuchen</bk:entry><bk:when>1557-05-05</bk:when>
+                        <bk:consistsOf><bk:Transfer><bk:transfers>
+                            <bk:Money><bk:unit rdf:resource="#f"/><bk:quantity>4</bk:quantity></bk:Money>
+                            <bk:Money><bk:unit rdf:resource="#tag"/><bk:quantity>3</bk:quantity></bk:Money>
+                        </bk:transfers><bk:from rdf:resource="#küche"/><bk:to rdf:resource="#keller"/></bk:Transfer></bk:consistsOf>
+                    </bk:Transaction>
+                    <bk:Transaction rdf:about="#T2">
+                        <bk:entry>Item zu vil</bk:entry><bk:when>1057-05-05</bk:when>
+                        <bk:consistsOf><bk:Transfer><bk:transfers>
+                            <bk:Money><bk:unit rdf:resource="#f"/><bk:quantity>250000</bk:quantity></bk:Money>
+                        </bk:transfers></bk:Transfer></bk:consistsOf>
+                    </bk:Transaction>
+                    <bk:Transaction rdf:about="#T3"><bk:when>1557-06-01</bk:when></bk:Transaction>`);
+
+            const model = dashboard.parseXMLText(xml);
+            const find = (rule) => model.issues.filter(issue => issue.rule === rule);
+            const metrics = dashboard.qualityPanel.measure({ source: null, transactions: model.transactions, issues: model.issues });
+
+            tester.assertEqual(find('missing-entry').length, 1, 'Should report the transaction left out for lack of an entry');
+            tester.assertEqual(find('missing-entry')[0].uri, '#T3', 'Should name the transaction by its URI');
+            tester.assertEqual(find('value-out-of-range')[0].value, '250000 f', 'Should keep the offending value');
+            tester.assertEqual(find('date-out-of-range')[0].value, '1057-05-05', 'Should report dates outside 1200-1800');
+            tester.assertEqual(find('undeclared-party').map(issue => issue.value).join(), '#keller', 'Should match declared accounts regardless of percent-encoding');
+            tester.assertEqual(find('undeclared-unit')[0].value, 'tag', 'Should report units no declaration names');
+            tester.assertEqual(find('missing-entry')[0].severity, 'error', 'Should grade lost transactions as errors');
+            tester.assertEqual(metrics.percentDated, 50, 'Should give the share of dated transactions');
+            tester.assertEqual(metrics.percentWithAmounts, 50, 'Should give the share of transactions with amounts');
+            tester.assertEqual(metrics.percentUnconvertible, 50, 'Should give the share of values in unconvertible units');
+        })
+
+        .addTest('Dates keep their precision, placeholder flag and original literal', () => {
+            const day = LedgerDate.parse('1291-08-06');
+            const year = LedgerDate.parse('1557');
+            const placeholder = LedgerDate.parse('2400-07-22');
+            const several = LedgerDate.parse('1451-05-30 1451-06-29');
+            const rejected = LedgerDate.parse('Pfingsten');
+
+            tester.assertEqual(day.value, '1291-08-06', 'Should keep day-level dates inside 1200-1800');
+            tester.assertEqual(year.precision, 'year', 'Should date a bare year to the year only');
+            tester.assertEqual(year.value, '1557', 'Should not invent a day for a bare year');
+            tester.assertEqual(LedgerDate.statusOf(placeholder), 'placeholder', 'Should flag sentinel years as placeholders');
+            tester.assertEqual(placeholder.original, '2400-07-22', 'Should keep the literal of a placeholder');
+            tester.assertEqual(placeholder.month, 7, 'Should keep what the placeholder says about the month');
+            tester.assertEqual(several.value, '1451-05-30', 'Should date an entry by the first of several dates');
+            tester.assertEqual(LedgerDate.statusOf(rejected), 'rejected', 'Should tell a rejected date from a missing one');
+            tester.assertEqual(LedgerDate.statusOf(LedgerDate.parse('')), 'undated', 'Should call an entry without bk:when undated');
+
+            const transactions = [
+                { date: '1557-05-05', amounts: [{ amount: 1, currency: 'f' }] },
+                { date: '1557', amounts: [{ amount: 2, currency: 'f' }] }
+            ];
+            const monthly = dashboard.aggregateTimelineData(transactions, 'month');
+            const yearly = dashboard.aggregateTimelineData(transactions, 'year');
+
+            tester.assertEqual(monthly.length, 1, 'Should leave year-only dates out of the monthly timeline');
+            tester.assertEqual(yearly[0].y, 3, 'Should count year-only dates in the yearly timeline');
+            tester.assertEqual(LedgerDate.monthOf('1557'), null, 'Should give a year-only date no month for the seasonal chart');
+            tester.assert(dashboard.formatDateCell({ dateInfo: rejected }).includes('date-rejected'), 'Should mark rejected dates in the table');
+            tester.assert(dashboard.formatDateCell({ date: '' }).includes('date-undated'), 'Should mark undated entries in the table');
+        })
+
+        .addTest('Julian dates get their own weekdays and feast datings are resolved', () => {
+            // 4 October 1582 (Julian, Thursday) was followed by 15 October 1582 (Gregorian, Friday)
+            tester.assertEqual(JulianCalendar.weekday({ year: 1582, month: 10, day: 4 }, 'julian'), 4, 'Should count Julian weekdays');
+            tester.assertEqual(JulianCalendar.format(JulianCalendar.toGregorian({ year: 1582, month: 10, day: 5 })), '1582-10-15', 'Should convert Julian to Gregorian');
+            tester.assertEqual(JulianCalendar.format(JulianCalendar.toJulian({ year: 1582, month: 10, day: 15 })), '1582-10-05', 'Should convert Gregorian to Julian');
+            tester.assertEqual(JulianCalendar.format(JulianCalendar.easter(1557)), '1557-04-18', 'Should compute Easter in the Julian calendar');
+            tester.assertEqual(JulianCalendar.weekdayOf('1557-05-05'), 3, 'Should take 5 May 1557 (Julian) as a Wednesday');
+            tester.assertEqual(JulianCalendar.weekStartOf('1557-05-05'), '1557-05-02', 'Should start Julian weeks on their Sunday');
+
+            const xml = ledger(`
+                    <bk:Transaction rdf:about="#T1"><bk:entry>Item dedimus</bk:entry><bk:when>1449-07-01</bk:when></bk:Transaction>
+                    <bk:Transaction rdf:about="#T2"><bk:entry>Item dedit vi s. d. feria 2 a post Jacobi</bk:entry></bk:Transaction>
+                    <bk:Transaction rdf:about="#T3"><bk:entry>Item in vigilia Michahelis</bk:entry></bk:Transaction>
+                    <bk:Transaction rdf:about="#T4"><bk:entry>Item dedimus in die kanndl</bk:entry></bk:Transaction>`);
+            const transactions = dashboard.parseXMLText(xml).transactions;
+
+            tester.assertEqual(transactions[1].date, '1449-07-28', 'Should date "feria 2a post Jacobi" to the Monday after 25 July');
+            tester.assertEqual(transactions[1].dateInfo.expression, 'feria 2 a post Jacobi', 'Should keep the dating as written');
+            tester.assertEqual(transactions[2].date, '1449-09-28', 'Should date a vigil to the day before the feast');
+            tester.assertEqual(transactions[3].date, '', 'Should not read "in die" without a feast as a dating');
+            tester.assert(dashboard.formatDateCell(transactions[1]).includes('date-resolved'), 'Should mark resolved dates in the table');
+        })
+
+        .addTest('Amounts in the entry text are read and checked against bk:Money', () => {
+            const format = (text) => AmountPhrase.format(AmountPhrase.extract(text));
+
+            tester.assertEqual(format('Item bey dem Cammerer geschickt. .32. f. 6. s. 15. d.'), '32 f 6 s 15 d', 'Should read Arabic amounts with their units');
+            tester.assertEqual(format('Item de antiquo vino de broca LXVI. t.'), '66 t', 'Should read Roman numerals');
+            tester.assertEqual(format('Item pro sale .IIIIor. lb. Rat.'), '4 lbdrat', 'Should read "IIIIor" and the mint after the unit');
+            tester.assertEqual(format('Item dedimus tectoribus x̸ s. minus i d.'), '9.5 s minus 1 d', 'Should read a stroked numeral as a half less and subtract after "minus"');
+            tester.assertEqual(format('Item de annona .LXXX.II. t. De censu .XC.IIIIor. t. Summa .CC .LXIIIIor. t.'), '82 t 94 t 264 t', 'Should join dotted numeral groups');
+            tester.assertEqual(AmountPhrase.compare(AmountPhrase.extract('Item . II. t. minus . XI. d.'), [{ amount: 2, currency: 't' }, { amount: 11, currency: 'd' }]), 'match', 'Should accept a subtracted amount encoded as written');
+            tester.assertEqual(format('Item zucker p. 4 ½. f.'), '4.5 f', 'Should read fractions');
+            tester.assertEqual(format('Item .4. Pfund Weinper. eines p. 8. kr. thut. .3. s. 22. d.'), '3 s 22 d', 'Should keep only the result of a worked-out price');
+            tester.assertEqual(format('Item umb .3. lb. Zucker geben. .1. f.'), '1 f', 'Should not take a pound of weight for money');
+            tester.assertEqual(format('Item dem glaser von Vils hoven umb Arbeit geben. .1. f.'), '1 f', 'Should not read a Roman numeral inside a word ("Vils hoven")');
+            tester.assertEqual(format('Item dem Weissen von Vilß hoven bezalt. .4. f.'), '4 f', 'Should need a space or "." between number and unit');
+            tester.assertEqual(format('Item von .2. grossen Fennstern mit grossen Nägeln zubeschlagen. .24. f.'), '24 f', 'Should not take "mit grossen" for groschen');
+            tester.assertEqual(format('Item pro ferro xii. gross. et x grossis'), '12 gr 10 gr', 'Should read the Latin groschen forms');
+
+            const xml = ledger(`
+                    <bk:Transaction rdf:about="#T1">
+                        <bk:entry>Item geben .3. f. 2. s.</bk:entry><bk:when>1557-05-05</bk:when>
+                        <bk:consistsOf><bk:Transfer><bk:transfers>
+                            <bk:Money><bk:unit rdf:resource="#f"/><bk:quantity>3</bk:quantity></bk:Money>
+                            <bk:Money><bk:unit rdf:resource="#s"/><bk:quantity>4</bk:quantity></bk:Money>
+                        </bk:transfers></bk:Transfer></bk:consistsOf>
+                    </bk:Transaction>
+                    <bk:Transaction rdf:about="#T2"><bk:entry>Item geben .5. f.</bk:entry><bk:when>1557-05-06</bk:when></bk:Transaction>`);
+            const model = dashboard.parseXMLText(xml);
+
+            tester.assertEqual(model.transactions[0].amountCheck, 'mismatch', 'Should flag a text that disagrees with bk:Money');
+            tester.assertEqual(model.issues.filter(issue => issue.rule === 'amount-mismatch')[0].transaction, 'T1', 'Should report the disagreement');
+            tester.assertEqual(model.transactions[1].amountCheck, 'text-only', 'Should note amounts stated only in the text');
+            tester.assertEqual(model.issues.filter(issue => issue.rule === 'amount-text-only')[0].transaction, 'T2', 'Should report amounts without bk:Money');
+            tester.assertEqual(model.transactions[1].amounts.length, 0, 'Should not use the text in place of bk:Money');
+            tester.assertEqual(model.transactions[1].totalFlorinValue, 0, 'Should not count text amounts in the totals');
+        })
+
+        .addTest('Income and expense follow the transfers and the account hierarchy', () => {
+            const xml = ledger(`
+                    <depcha:Dataset rdf:about="#ledger"><depcha:accountHolder rdf:resource="#aldersbach"/></depcha:Dataset>
+                    <bk:Account rdf:about="#income"/>
+                    <bk:Account rdf:about="#getreid"><skos:broader rdf:resource="#income"/></bk:Account>
+                    <bk:Account rdf:about="#ausgaben_maurer"/>
+                    <bk:Transaction rdf:about="#T1"><bk:entry>Item umb getreid</bk:entry>
+                        <bk:consistsOf><bk:Transfer><bk:from rdf:resource="#getreid"/><bk:to rdf:resource="#aldersbach"/></bk:Transfer></bk:consistsOf>
+                    </bk:Transaction>
+                    <bk:Transaction rdf:about="#T2"><bk:entry>Item dem Maurer</bk:entry>
+                        <bk:consistsOf><bk:Transfer><bk:from rdf:resource="#aldersbach"/><bk:to rdf:resource="#ausgaben_maurer"/></bk:Transfer></bk:consistsOf>
+                    </bk:Transaction>
+                    <bk:Transaction rdf:about="#T3"><bk:entry>Item recepimus de vino</bk:entry></bk:Transaction>
+                    <bk:Transaction rdf:about="#T4"><bk:entry>Item de vino</bk:entry></bk:Transaction>`);
+            const transactions = dashboard.parseXMLText(xml).transactions;
+
+            tester.assertEqual(transactions[0].type, 'income', 'Should take a transfer from an account under #income to the holder as income');
+            tester.assertEqual(transactions[0].typeRule, 'accounts', 'Should record that the accounts decided');
+            tester.assertEqual(transactions[1].type, 'expense', 'Should take a transfer from the holder to an ausgaben_ account as expense');
+            tester.assertEqual(transactions[2].type, 'income', 'Should fall back to keywords without accounts');
+            tester.assertEqual(transactions[2].typeRule, 'keywords', 'Should record the keyword fallback');
+            tester.assertEqual(transactions[3].typeRule, 'default', 'Should leave undecided transactions as trade');
+        })
+
+        .addTest('Search queries combine fields, ranges and boolean operators', () => withDashboardModel(() => {
+            const transfer = (to) => [{ from: '#aldersbach', to: to, items: [] }];
+            dashboard.transactions = [
+                { entry: 'Item dem Maurer geben', people: [], date: '1557-05-05', type: 'expense', totalFlorinValue: 12, amounts: [{ amount: 12, currency: 'fl' }], transfers: transfer('#ausgaben_maurer') },
+                { entry: 'Item umb getreid', people: [], date: '1557-08-01', type: 'income', totalFlorinValue: 3, amounts: [{ amount: 3, currency: 'f' }], transfers: [] },
+                { entry: 'Item dem Zimmermann', people: [], date: '1557', type: 'expense', totalFlorinValue: 20, amounts: [{ amount: 20, currency: 'f' }], transfers: transfer('#ausgaben_zimerleut') }
+            ];
+            const run = (text) => {
+                dashboard.searchBox.value = text;
+                dashboard.applyFilters();
+                return dashboard.filteredTransactions.map(t => t.entry.split(' ')[2]).sort().join();
+            };
+
+            tester.assertEqual(run('account:ausgaben_* florins:>10'), 'Maurer,Zimmermann', 'Should combine a wildcard field term with a numeric range');
+            tester.assertEqual(run('date:1557-05..1557-07'), 'Maurer', 'Should leave year-only dates out of a month range');
+            tester.assertEqual(run('unit:fl OR (type:income NOT "dem Maurer")'), 'Maurer,getreid', 'Should apply OR, NOT and parentheses');
+            tester.assertEqual(run('"umb getreid"'), 'getreid', 'Should match quoted phrases');
+
+            run('type:expense (florins:>10');
+            tester.assert(!dashboard.searchError.hidden, 'Should show syntax errors under the search box');
+            tester.assert(dashboard.searchError.textContent.includes('Missing ")"'), 'Should say what is wrong');
+            run('colour:red');
+            tester.assert(dashboard.searchError.textContent.includes('Unknown field'), 'Should report unknown fields');
+            run('date:1557-13..1558');
+            tester.assert(dashboard.searchError.textContent.includes('"1557-13" is not a calendar date (at character 6'), 'Should report a month past December at the bound');
+            run('type:expense florins:10..5');
+            tester.assert(dashboard.searchError.textContent.includes('Range 10..5 runs backwards; put the lower bound first (at character 22'), 'Should report a backwards range at its value');
+            tester.assertEqual(run('date:1557-05..1557'), 'Maurer,getreid', 'Should accept a range whose bounds differ only in precision');
+            dashboard.searchBox.value = '';
+        }))
+
+        .addTest('Search finds spelling variants and highlights them as written', () => {
+            const spelling = new SpellingVariants();
+            tester.assertEqual(SpellingVariants.fold('Thut'), 'tut', 'Should fold th to t');
+            tester.assertEqual(SpellingVariants.fold('Maij'), SpellingVariants.fold('Mai'), 'Should fold i / j and doubled letters');
+            tester.assertEqual(SpellingVariants.fold('Weytz'), SpellingVariants.fold('waiz'), 'Should fold ai / ey and tz');
+            tester.assert(spelling.contains('ij Schaff habern', 'schaf'), 'Should match a doubled consonant');
+            tester.assert(spelling.contains('vmb getraid', 'umb getreid'), 'Should match phrases word by word');
+            tester.assert(!spelling.contains('iiij Metzen Korn', 'weizen'), 'Should not match unrelated words');
+
+            tester.assert(spelling.contains('xiiij Mezen waitz', 'weizen'), 'Should know the grain spellings of the ledgers');
+            tester.assert(spelling.contains('iij Schaff Hafer', 'habern'), 'Should know the oats spellings of the ledgers');
+            spelling.setVariants([]);
+            tester.assert(!spelling.contains('xiiij Mezen waitz', 'weizen'), 'Should not stretch the folding to other words');
+            spelling.setVariants(SpellingVariants.parseVariants('waitz, weizen\n\nsingle'));
+            tester.assertEqual(spelling.groups.length, 1, 'Should keep groups of two or more spellings');
+            tester.assert(spelling.contains('xiiij Mezen waitz', 'weizen'), 'Should use the user variant list');
+
+            tester.assert(!spelling.contains('dem Zimerman', 'Zimmermen'), 'Should need a tolerance for other differences');
+            spelling.tolerance = 1;
+            tester.assert(spelling.contains('dem Zimerman', 'Zimmermen'), 'Should allow one edit with tolerance 1');
+            tester.assert(!spelling.contains('Item vmb Weissen prot', 'weizen'), 'Should fuzz whole words, not their start');
+            tester.assert(!spelling.contains('.ij. fl.', 'fr'), 'Should not fuzz words shorter than four letters');
+
+            const originalSpelling = dashboard.spellingVariants;
+            dashboard.spellingVariants = new SpellingVariants();
+            const highlighted = dashboard.highlightSearchTerms('Item dem Weytzenhandler vmb Waiz', ['weizen', 'umb']);
+            tester.assertEqual(highlighted,
+                'Item dem <span class="highlight">Weytzenhandler</span> <span class="highlight">vmb</span> <span class="highlight">Waiz</span>',
+                'Should highlight the original spellings that matched');
+            dashboard.spellingVariants = originalSpelling;
+        })
+
+        .addTest('Search index looks up prefixes and ranks by relevance', () => withDashboardModel(() => {
+            const originalSort = dashboard.sortBy.value;
+            dashboard.transactions = [
+                { entry: 'Item umb korn', people: [], date: '1557-03-01', amounts: [] },
+                { entry: 'Item umb waitz vnd korn', people: [], date: '1557-02-01', amounts: [] },
+                { entry: 'Item Waiz waitz dem Weytzner', people: [], date: '1557-01-01', amounts: [] },
+                { entry: 'Item dem Martin', people: ['Martin Korner'], date: '1557-04-01', amounts: [] }
+            ];
+            const run = (text) => {
+                dashboard.searchBox.value = text;
+                dashboard.applyFilters();
+                return dashboard.filteredTransactions.map(t => t.date.substring(5, 7)).join();
+            };
+
+            dashboard.sortBy.value = 'date';
+            tester.assertEqual(run('wai'), '02,01', 'Should find words by their prefix');
+            tester.assert(dashboard.searchIndex.covers(dashboard.transactions), 'Should index the transactions being filtered');
+            tester.assertEqual(dashboard.searchIndex.candidates('text', 'korn').size, 3, 'Should index people with the entry text');
+            tester.assertEqual(run('entry:korn'), '03,02', 'Should keep separate postings per field');
+            tester.assertEqual(run('"waitz vnd korn"'), '02', 'Should check phrases word by word');
+            tester.assertEqual(run('umb NOT waitz'), '03', 'Should combine index lookups with NOT');
+
+            dashboard.sortBy.value = 'relevance';
+            tester.assertEqual(run('waitz'), '01,02', 'Should rank repeated mentions first');
+            tester.assertEqual(run('waitz OR korn'), '02,01,03,04', 'Should rank transactions matching more words first');
+
+            dashboard.searchBox.value = 'umb';
+            dashboard.searchBox.dispatchEvent(new Event('input'));
+            tester.assertEqual(dashboard.filteredTransactions.length, 4, 'Should wait for typing to pause before filtering');
+            clearTimeout(dashboard.searchTimer);
+
+            dashboard.searchBox.value = '';
+            dashboard.sortBy.value = originalSort;
+
+            // Without window.Logger the index logs to the console, which has no timers
+            const plain = new SearchIndex(dashboard);
+            plain.logger = { debug: () => {} };
+            plain.build(dashboard.transactions);
+            tester.assertEqual(plain.candidates('text', 'korn').size, 3, 'Should build with a logger that has no timers');
+        }))
+
+        .addTest('Filter panel narrows by facets and ranges with live counts and chips', () => withDashboardModel(() => {
+            const panel = dashboard.facetPanel;
+            const transfer = (from, to) => [{ from: from, to: to, items: [] }];
+            dashboard.transactions = [
+                { entry: 'Item Maurer', people: [], date: '1557-05-05', type: 'expense', totalFlorinValue: 12, amounts: [{ amount: 12, currency: 'f' }], transfers: transfer('#aldersbach', '#maurer') },
+                { entry: 'Item Zimmerman', people: [], date: '1557-06-10', type: 'expense', totalFlorinValue: 3, amounts: [{ amount: 3, currency: 's' }], transfers: transfer('#aldersbach', '#zimmerleut') },
+                { entry: 'Item getreid', people: [], date: '1557', type: 'income', totalFlorinValue: 40, amounts: [{ amount: 40, currency: 'f' }], transfers: [] },
+                { entry: 'Item waitz', people: [], date: '1558-01-02', type: 'trade', totalFlorinValue: 0, amounts: [], transfers: [] }
+            ];
+            const entries = () => dashboard.filteredTransactions.map(t => t.entry.substring(5)).sort().join();
+            panel.reset();
+            panel.panel.open = true;
+            dashboard.applyFilters();
+
+            tester.assertEqual(panel.counts.get('type').get('expense'), 2, 'Should count each facet value');
+            tester.assertEqual(panel.counts.get('agent').get('#aldersbach'), 2, 'Should count transfer parties as agents');
+
+            panel.selected.get('type').add('expense');
+            panel.selected.get('type').add('income');
+            dashboard.applyFilters();
+            tester.assertEqual(entries(), 'Maurer,Zimmerman,getreid', 'Should combine values of one facet with OR');
+            tester.assertEqual(panel.counts.get('type').get('trade'), 1, 'Should count a facet under the other facets only');
+
+            panel.selected.get('unit').add('f');
+            dashboard.applyFilters();
+            tester.assertEqual(entries(), 'Maurer,getreid', 'Should combine facets with AND');
+            tester.assertEqual(panel.counts.get('type').get('expense'), 1, 'Should update counts with the other facets');
+
+            panel.dateFrom = '1557-05-01';
+            panel.dateTo = '1557-12-31';
+            dashboard.applyFilters();
+            tester.assertEqual(entries(), 'Maurer', 'Should leave dates coarser than the range out');
+
+            panel.reset();
+            panel.florins = { min: 3, max: 12 };
+            dashboard.applyFilters();
+            tester.assertEqual(entries(), 'Maurer,Zimmerman', 'Should filter by the florin range');
+            tester.assertEqual(panel.body.querySelectorAll('input[type="range"]').length, 2, 'Should render the florin sliders');
+
+            panel.selected.get('type').add('expense');
+            dashboard.searchBox.value = 'Item';
+            dashboard.applyFilters();
+            const chips = [...panel.chips.querySelectorAll('[data-chip]')];
+            tester.assertEqual(chips.map(chip => chip.dataset.chip).join(), 'search,florins,facet,all', 'Should show a chip per active filter');
+
+            chips.find(chip => chip.dataset.chip === 'facet').click();
+            tester.assertEqual(panel.selected.get('type').size, 0, 'Should remove a facet value with its chip');
+            panel.chips.querySelector('[data-chip="all"]').click();
+            tester.assertEqual(dashboard.searchBox.value, '', 'Should clear the search box with Clear all');
+            tester.assertEqual(panel.florins, null, 'Should clear the ranges with Clear all');
+            tester.assert(panel.chips.hidden, 'Should hide the chips when no filter is active');
+
+            panel.panel.open = false;
+        }));
 
     // Chart Tests - only if charts are initialized
     tester
@@ -115,7 +987,7 @@ window.runDashboardTests = async function() {
             
             .addTest('Currency chart initialization', () => {
                 tester.assertExists(dashboard.charts.currency, 'Currency chart should exist');
-                tester.assertEqual(dashboard.charts.currency.data.labels.length, 4, 'Should have 4+ currency labels');
+                tester.assertEqual(dashboard.charts.currency.data.labels.length, dashboard.getCurrencyCodes().length, 'Should have one label per unit in use');
             });
     } else {
         tester
@@ -167,18 +1039,30 @@ window.runDashboardTests = async function() {
         })
         
         .addTest('Currency filter functionality', () => {
-            const originalTransactions = dashboard.transactions;
-            dashboard.transactions = [
-                { entry: 'Test 1', amounts: [{ currency: 'f', amount: 10 }], people: [] },
-                { entry: 'Test 2', amounts: [{ currency: 's', amount: 5 }], people: [] }
-            ];
-            
-            dashboard.currencyFilter.value = 'f';
-            dashboard.applyFilters();
-            
-            tester.assertEqual(dashboard.filteredTransactions.length, 1, 'Should filter by currency');
-            
-            dashboard.transactions = originalTransactions;
+            // The filter options are built from the loaded model, so load one first
+            withDashboardModel(() => {
+                const entry = (id, unit, quantity) => `
+                <bk:Transaction rdf:about="urn:test#${id}"><bk:entry>Test ${id}</bk:entry><bk:consistsOf><bk:Transfer>
+                    <bk:transfers><bk:Money><bk:quantity>${quantity}</bk:quantity><bk:unit rdf:resource="${base}#${unit}"/></bk:Money></bk:transfers>
+                </bk:Transfer></bk:consistsOf></bk:Transaction>`;
+                dashboard.parseXMLData(ledger(`
+                <depcha:Dataset rdf:about="urn:test.dataset"><depcha:currency rdf:resource="${base}#f"/><depcha:currency rdf:resource="${base}#s"/></depcha:Dataset>
+                <huc:HistoricalUnit rdf:about="${base}#s"><rdfs:label>Schilling &lt;b&gt;"</rdfs:label></huc:HistoricalUnit>` +
+                    entry('T1', 'f', 10) + entry('T2', 's', 5)));
+                dashboard.populateCurrencyControls();
+                const options = Array.from(dashboard.currencyFilter.options);
+
+                tester.assert(options.some(option => option.value === 'f'), 'Filter should offer the units in the loaded model');
+                tester.assertEqual(options.find(option => option.value === 's').textContent, 'Schilling <b>" (s) (1)', 'Unit labels should be option text, not markup');
+
+                dashboard.searchBox.value = '';
+                dashboard.currencyFilter.value = 'f';
+                dashboard.applyFilters();
+
+                tester.assertEqual(dashboard.filteredTransactions.length, 1, 'Should filter by currency');
+                dashboard.currencyFilter.value = '';
+            });
+            dashboard.populateCurrencyControls();
         });
 
     // Performance Tests
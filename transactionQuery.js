@@ -0,0 +1,336 @@
+/**
+ * Transaction Query for Aldersbach Monastery Financial Dashboard
+ * The search box language: free text, field-scoped terms, ranges, boolean
+ * operators and quoted phrases, so a selection can be written down and
+ * repeated.
+ *
+ *   Martin "umb getreid"              free text (entry, people, agents); words AND together,
+ *                                     match words they start, spelling variants alike
+ *   account:ausgaben_* unit:fl        fields match the whole value, * is a wildcard
+ *   florins:>10  florins:5..20        numbers: =, >, >=, <, <=, a..b
+ *   date:1557-05..1557-07  date:<1560 dates at the precision written
+ *   type:expense OR (type:income NOT place:ort_0555)
+ *
+ * Operators are upper case (AND, OR, NOT); AND binds tighter than OR.
+ * Syntax errors, impossible dates (1557-13) and backwards ranges (10..5)
+ * are thrown as Error with the offending character in error.position.
+ */
+
+class TransactionQuery {
+    constructor(text) {
+        this.text = text;
+        this.tokens = TransactionQuery.tokenize(text);
+        this.index = 0;
+        this.root = this.tokens.length > 0 ? this.parseOr() : null;
+
+        if (this.index < this.tokens.length) {
+            const token = this.tokens[this.index];
+            throw TransactionQuery.syntaxError(token.type === ')' ? 'Unmatched ")"' : `Unexpected "${token.text}"`, token.position);
+        }
+    }
+
+    static syntaxError(message, position) {
+        const error = new Error(message);
+        error.position = position;
+        return error;
+    }
+
+    /**
+     * Words, quoted phrases and parentheses with their position; field:"phrase" is one token
+     */
+    static tokenize(text) {
+        const tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            const char = text[i];
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char, text: char, position: i });
+                i++;
+            } else {
+                const start = i;
+                let word = '';
+                while (i < text.length && !/[\s()"]/.test(text[i])) word += text[i++];
+
+                let phrase = null;
+                if (text[i] === '"' && (word === '' || word.endsWith(':'))) {
+                    const end = text.indexOf('"', i + 1);
+                    if (end < 0) throw TransactionQuery.syntaxError('Unterminated quoted phrase', i);
+                    phrase = text.substring(i + 1, end);
+                    i = end + 1;
+                } else if (text[i] === '"') {
+                    throw TransactionQuery.syntaxError('Put a space before the quoted phrase', i);
+                }
+
+                const operator = phrase === null && TransactionQuery.OPERATORS.includes(word);
+                tokens.push({ type: operator ? word : 'term', text: phrase === null ? word : `${word}"${phrase}"`, word, phrase, position: start });
+            }
+        }
+        return tokens;
+    }
+
+    peek() {
+        return this.tokens[this.index] || null;
+    }
+
+    expectOperand(operator) {
+        const token = this.peek();
+        if (!token || token.type === ')' || token.type === 'OR' || token.type === 'AND') {
+            const position = token ? token.position : this.text.length;
+            throw TransactionQuery.syntaxError(`${operator} needs something after it`, position);
+        }
+    }
+
+    parseOr() {
+        let node = this.parseAnd();
+        while (this.peek() && this.peek().type === 'OR') {
+            this.index++;
+            this.expectOperand('OR');
+            node = { type: 'or', left: node, right: this.parseAnd() };
+        }
+        return node;
+    }
+
+    parseAnd() {
+        let node = this.parseNot();
+        for (let token = this.peek(); token && token.type !== 'OR' && token.type !== ')'; token = this.peek()) {
+            if (token.type === 'AND') {
+                this.index++;
+                this.expectOperand('AND');
+            }
+            node = { type: 'and', left: node, right: this.parseNot() };
+        }
+        return node;
+    }
+
+    parseNot() {
+        const token = this.peek();
+        if (token && token.type === 'NOT') {
+            this.index++;
+            this.expectOperand('NOT');
+            return { type: 'not', operand: this.parseNot() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+        if (!token) throw TransactionQuery.syntaxError('Query ends too early', this.text.length);
+
+        if (token.type === '(') {
+            this.index++;
+            if (this.peek() && this.peek().type === ')') throw TransactionQuery.syntaxError('Empty parentheses', token.position);
+            const node = this.parseOr();
+            if (!this.peek() || this.peek().type !== ')') throw TransactionQuery.syntaxError('Missing ")"', token.position);
+            this.index++;
+            return node;
+        }
+        if (token.type !== 'term') {
+            throw TransactionQuery.syntaxError(token.type === ')' ? 'Unmatched ")"' : `${token.type} needs something before it`, token.position);
+        }
+
+        this.index++;
+        return this.parseTerm(token);
+    }
+
+    /**
+     * A term token into { type: 'term', field, ... } with its value checked for the field
+     */
+    parseTerm(token) {
+        const colon = token.word.indexOf(':');
+        if (colon <= 0 || !/^[a-z]+$/i.test(token.word.substring(0, colon))) {
+            return { type: 'term', field: 'text', value: (token.phrase !== null ? token.phrase : token.word).toLowerCase() };
+        }
+
+        const name = token.word.substring(0, colon).toLowerCase();
+        const field = TransactionQuery.FIELDS[TransactionQuery.ALIASES[name] || name];
+        if (!field) {
+            throw TransactionQuery.syntaxError(`Unknown field "${name}:" (fields: ${Object.keys(TransactionQuery.FIELDS).join(', ')})`, token.position);
+        }
+
+        const value = (token.phrase !== null ? token.phrase : token.word.substring(colon + 1)).trim();
+        const valuePosition = token.position + colon + 1;
+        if (!value) throw TransactionQuery.syntaxError(`"${name}:" needs a value`, valuePosition);
+
+        const key = TransactionQuery.ALIASES[name] || name;
+        if (field.kind === 'text') {
+            return { type: 'term', field: key, value: value.toLowerCase() };
+        }
+        if (field.kind === 'number' || field.kind === 'date') {
+            const range = TransactionQuery.parseRange(value, field.kind);
+            if (!range) {
+                const example = field.kind === 'number' ? '10, >10 or 5..20' : '1557, >=1557-05 or 1557-05..1557-07';
+                throw TransactionQuery.syntaxError(`"${name}:" expects ${field.kind === 'number' ? 'a number' : 'a date'} or a range, e.g. ${example}`, valuePosition);
+            }
+            const problem = TransactionQuery.rangeProblem(range, field.kind);
+            if (problem) {
+                // At the offending bound, or the start of the value for a backwards range
+                const written = token.text.substring(colon + 1);
+                throw TransactionQuery.syntaxError(problem.message, valuePosition + Math.max(0, problem.bound ? written.indexOf(problem.bound) : 0));
+            }
+            return { type: 'term', field: key, range };
+        }
+
+        return { type: 'term', field: key, pattern: TransactionQuery.globPattern(value) };
+    }
+
+    /**
+     * { min, minInclusive, max, maxInclusive } of "10", ">10", "<=5", "5..20", "1557-05..", or null
+     */
+    static parseRange(value, kind) {
+        const bound = kind === 'number' ? /^-?\d+(?:\.\d+)?$/ : /^\d{4}(?:-\d{2}(?:-\d{2})?)?$/;
+        const read = (text) => kind === 'number' ? parseFloat(text) : text;
+
+        const between = value.split('..');
+        if (between.length === 2) {
+            const [low, high] = between;
+            if ((low && !bound.test(low)) || (high && !bound.test(high)) || (!low && !high)) return null;
+            return { min: low ? read(low) : null, minInclusive: true, max: high ? read(high) : null, maxInclusive: true };
+        }
+
+        const match = /^(>=|<=|>|<|=)?(.+)$/.exec(value);
+        if (!match || !bound.test(match[2])) return null;
+        const operand = read(match[2]);
+        switch (match[1]) {
+            case '>': return { min: operand, minInclusive: false, max: null, maxInclusive: true };
+            case '>=': return { min: operand, minInclusive: true, max: null, maxInclusive: true };
+            case '<': return { min: null, minInclusive: true, max: operand, maxInclusive: false };
+            case '<=': return { min: null, minInclusive: true, max: operand, maxInclusive: true };
+            default: return { min: operand, minInclusive: true, max: operand, maxInclusive: true };
+        }
+    }
+
+    /**
+     * Why a range cannot match anything as written, or null: a date bound that
+     * is no calendar date (1557-13, 1557-04-31) or a low bound above the high one
+     * ("1558..1557-05" compares at the shorter precision)
+     */
+    static rangeProblem(range, kind) {
+        if (kind === 'date') {
+            const invalid = [range.min, range.max].find(bound => bound !== null && LedgerDate.parse(bound).flags.includes('rejected'));
+            if (invalid) return { message: `"${invalid}" is not a calendar date`, bound: invalid };
+        }
+        if (range.min === null || range.max === null) return null;
+
+        const length = kind === 'date' ? Math.min(range.min.length, range.max.length) : null;
+        const low = kind === 'date' ? range.min.substring(0, length) : range.min;
+        const high = kind === 'date' ? range.max.substring(0, length) : range.max;
+        return low > high ? { message: `Range ${range.min}..${range.max} runs backwards; put the lower bound first`, bound: null } : null;
+    }
+
+    /**
+     * Whole-value, case-insensitive pattern; * stands for any run of characters
+     */
+    static globPattern(value) {
+        const escaped = value.toLowerCase().split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(`^${escaped.join('.*')}$`);
+    }
+
+    /**
+     * Whether a transaction passes the query; dashboard resolves labels
+     */
+    matches(transaction, dashboard) {
+        return this.root === null || this.evaluate(this.root, transaction, dashboard);
+    }
+
+    evaluate(node, transaction, dashboard) {
+        switch (node.type) {
+            case 'and': return this.evaluate(node.left, transaction, dashboard) && this.evaluate(node.right, transaction, dashboard);
+            case 'or': return this.evaluate(node.left, transaction, dashboard) || this.evaluate(node.right, transaction, dashboard);
+            case 'not': return !this.evaluate(node.operand, transaction, dashboard);
+            default: return this.matchTerm(node, transaction, dashboard);
+        }
+    }
+
+    matchTerm(term, transaction, dashboard) {
+        const field = TransactionQuery.FIELDS[term.field];
+
+        if (field.kind === 'text') {
+            // The search index decides single words; phrases and unindexed transactions are read
+            const indexed = dashboard.searchIndex ? dashboard.searchIndex.matches(transaction, term.field, term.value) : null;
+            if (indexed !== null) return indexed;
+        }
+
+        const values = field.values(transaction, dashboard);
+        if (field.kind === 'text') {
+            return values.some(value => value && dashboard.spellingVariants.contains(value, term.value));
+        }
+        if (field.kind === 'number' || field.kind === 'date') {
+            return values.some(value => TransactionQuery.inRange(value, term.range, field.kind));
+        }
+        return values.some(value => value && term.pattern.test(String(value).toLowerCase()));
+    }
+
+    /**
+     * Dates compare at the precision of the bound ("1557-05-03" is inside
+     * 1557-05..1557-07); a date less precise than the bound matches nothing
+     */
+    static inRange(value, range, kind) {
+        if (value === null || value === undefined || value === '') return false;
+        const compare = (bound) => {
+            if (kind === 'number') return value - bound;
+            if (value.length < bound.length) return NaN;
+            return value.substring(0, bound.length).localeCompare(bound);
+        };
+
+        if (range.min !== null) {
+            const difference = compare(range.min);
+            if (isNaN(difference) || difference < 0 || (difference === 0 && !range.minInclusive)) return false;
+        }
+        if (range.max !== null) {
+            const difference = compare(range.max);
+            if (isNaN(difference) || difference > 0 || (difference === 0 && !range.maxInclusive)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Free-text words and phrases not under NOT, for highlighting
+     */
+    textTerms() {
+        const terms = [];
+        const collect = (node) => {
+            if (!node || node.type === 'not') return;
+            if (node.type === 'term') {
+                if (node.field === 'text' || node.field === 'entry') terms.push(node.value);
+                return;
+            }
+            collect(node.left);
+            collect(node.right);
+        };
+        collect(this.root);
+        return terms.filter(Boolean);
+    }
+}
+
+TransactionQuery.OPERATORS = ['AND', 'OR', 'NOT'];
+
+// What each field looks at; 'match' fields compare whole values with wildcards
+TransactionQuery.FIELDS = {
+    text: { kind: 'text', values: (t, dashboard) => [t.entry, ...(t.people || []), ...dashboard.getAgentSearchValues(t)] },
+    entry: { kind: 'text', values: (t) => [t.entry] },
+    account: {
+        kind: 'match',
+        values: (t, dashboard) => (t.transfers || []).flatMap(transfer => [transfer.from, transfer.to])
+            .filter(Boolean)
+            .flatMap(uri => [dashboard.decodeResourceId(uri), dashboard.getResourceLabel(uri)])
+    },
+    unit: { kind: 'match', values: (t) => t.amounts.map(a => a.currency) },
+    type: { kind: 'match', values: (t) => [t.type] },
+    place: { kind: 'match', values: (t, dashboard) => t.place ? [dashboard.decodeResourceId(t.place), dashboard.getPlaceLabel(t.place)] : [] },
+    ledger: { kind: 'match', values: (t, dashboard) => t.source ? [t.source, dashboard.getSourceLabel(t.source)] : [] },
+    goods: {
+        kind: 'match',
+        values: (t, dashboard) => (t.goods || []).flatMap(item => [item.type, dashboard.getConceptLabel(item.classification)])
+    },
+    florins: { kind: 'number', values: (t) => [t.totalFlorinValue] },
+    date: { kind: 'date', values: (t) => [t.date] }
+};
+
+TransactionQuery.ALIASES = { currency: 'unit', source: 'ledger', value: 'florins' };
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TransactionQuery;
+}
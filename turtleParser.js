@@ -0,0 +1,323 @@
+/**
+ * Turtle Parser for Aldersbach Monastery Financial Dashboard
+ * Reads Turtle, and with it N-Triples (a subset of Turtle), into a list of
+ * triples for LedgerReader.
+ *
+ * Supports @prefix/@base and their SPARQL forms, prefixed names, "a",
+ * labelled and anonymous blank nodes ([ ... ]), collections, ";" and ","
+ * lists, quoted and long literals with escapes, language tags, datatypes
+ * and bare numbers/booleans.
+ *
+ * Terms are { type: 'iri' | 'blank' | 'literal', value, language, datatype }.
+ */
+
+class TurtleParser {
+    constructor() {
+        this.logger = window.Logger || console;
+    }
+
+    /**
+     * Triples ({ subject, predicate, object }) of a Turtle or N-Triples text
+     */
+    parse(text, base = '') {
+        this.text = text.charCodeAt(0) === 0xFEFF ? text.substring(1) : text;
+        this.position = 0;
+        this.base = base;
+        this.prefixes = new Map();
+        this.triples = [];
+        this.blankCounter = 0;
+
+        this.skipWhitespace();
+        while (this.position < this.text.length) {
+            this.parseStatement();
+            this.skipWhitespace();
+        }
+
+        return this.triples;
+    }
+
+    parseStatement() {
+        if (this.text.startsWith('@prefix', this.position)) {
+            this.position += 7;
+            this.parsePrefix();
+            this.expect('.');
+        } else if (this.text.startsWith('@base', this.position)) {
+            this.position += 5;
+            this.skipWhitespace();
+            this.base = this.readIri();
+            this.expect('.');
+        } else if (this.matchKeyword('PREFIX')) {
+            this.parsePrefix();
+        } else if (this.matchKeyword('BASE')) {
+            this.skipWhitespace();
+            this.base = this.readIri();
+        } else {
+            const anonymous = this.peek() === '[';
+            const subject = this.readSubject();
+            this.skipWhitespace();
+            // "[ ... ] ." is a statement of its own
+            if (!(anonymous && this.peek() === '.')) {
+                this.parsePredicateObjectList(subject);
+            }
+            this.expect('.');
+        }
+    }
+
+    parsePrefix() {
+        this.skipWhitespace();
+        const match = this.matchPattern(/([A-Za-z][\w.-]*)?:/y);
+        if (!match) this.fail('Expected a prefix name');
+        this.skipWhitespace();
+        this.prefixes.set(match[1] || '', this.readIri());
+    }
+
+    /**
+     * "verb object, object; verb object" after a subject, up to "." or "]"
+     */
+    parsePredicateObjectList(subject) {
+        for (;;) {
+            this.skipWhitespace();
+            const predicate = this.readPredicate();
+
+            do {
+                this.skipWhitespace();
+                this.triples.push({ subject, predicate, object: this.readObject() });
+                this.skipWhitespace();
+            } while (this.consume(','));
+
+            if (!this.consume(';')) return;
+            while (this.skipWhitespace(), this.consume(';'));
+            const next = this.peek();
+            if (next === '.' || next === ']' || next === '') return;
+        }
+    }
+
+    readSubject() {
+        const c = this.peek();
+        if (c === '[') return this.readBlankNodePropertyList();
+        if (c === '(') return this.readCollection();
+        if (c === '_') return this.readBlankNode();
+        return { type: 'iri', value: this.readIriOrPrefixedName() };
+    }
+
+    readPredicate() {
+        if (this.peek() === 'a' && /[\s<"'[(_]/.test(this.text.charAt(this.position + 1))) {
+            this.position++;
+            return TurtleParser.RDF + 'type';
+        }
+        return this.readIriOrPrefixedName();
+    }
+
+    readObject() {
+        const c = this.peek();
+        if (c === '"' || c === '\'') return this.readLiteral();
+        if (c === '[') return this.readBlankNodePropertyList();
+        if (c === '(') return this.readCollection();
+        if (c === '_' && this.text.charAt(this.position + 1) === ':') return this.readBlankNode();
+        if (/[\d+.-]/.test(c)) return this.readNumber();
+
+        const keyword = this.matchPattern(/(true|false)(?![\w:-])/y);
+        if (keyword) return { type: 'literal', value: keyword[1], datatype: TurtleParser.XSD + 'boolean' };
+
+        return { type: 'iri', value: this.readIriOrPrefixedName() };
+    }
+
+    readBlankNode() {
+        const match = this.matchPattern(/_:([\p{L}\p{N}_](?:[\p{L}\p{N}_.-]*[\p{L}\p{N}_-])?)/uy);
+        if (!match) this.fail('Malformed blank node label');
+        return { type: 'blank', value: match[1] };
+    }
+
+    newBlankNode() {
+        // "@" cannot occur in a blank node label, so generated names never clash with the file's
+        return { type: 'blank', value: `@${++this.blankCounter}` };
+    }
+
+    readBlankNodePropertyList() {
+        this.expect('[');
+        const node = this.newBlankNode();
+        this.skipWhitespace();
+        if (this.peek() !== ']') this.parsePredicateObjectList(node);
+        this.expect(']');
+        return node;
+    }
+
+    readCollection() {
+        // ( a b c ) as an rdf:first / rdf:rest list
+        this.expect('(');
+        let head = null;
+        let previous = null;
+
+        this.skipWhitespace();
+        while (this.peek() !== ')') {
+            if (this.peek() === '') this.fail('Unterminated collection');
+            const node = this.newBlankNode();
+            if (previous) {
+                this.triples.push({ subject: previous, predicate: TurtleParser.RDF + 'rest', object: node });
+            } else {
+                head = node;
+            }
+            this.triples.push({ subject: node, predicate: TurtleParser.RDF + 'first', object: this.readObject() });
+            previous = node;
+            this.skipWhitespace();
+        }
+        this.position++;
+
+        const nil = { type: 'iri', value: TurtleParser.RDF + 'nil' };
+        if (previous) this.triples.push({ subject: previous, predicate: TurtleParser.RDF + 'rest', object: nil });
+        return head || nil;
+    }
+
+    readLiteral() {
+        const quote = this.peek();
+        const long = this.text.startsWith(quote.repeat(3), this.position);
+        const delimiter = long ? quote.repeat(3) : quote;
+        this.position += delimiter.length;
+
+        let value = '';
+        for (;;) {
+            if (this.position >= this.text.length) this.fail('Unterminated string');
+            if (this.text.startsWith(delimiter, this.position)) break;
+
+            const c = this.text.charAt(this.position);
+            if (c === '\\') {
+                value += this.readEscape();
+            } else {
+                if (!long && (c === '\n' || c === '\r')) this.fail('Line break in a string');
+                value += c;
+                this.position++;
+            }
+        }
+        this.position += delimiter.length;
+
+        const literal = { type: 'literal', value };
+        const language = this.matchPattern(/@([a-zA-Z]+(?:-[a-zA-Z0-9]+)*)/y);
+        if (language) {
+            literal.language = language[1];
+        } else if (this.text.startsWith('^^', this.position)) {
+            this.position += 2;
+            literal.datatype = this.readIriOrPrefixedName();
+        }
+        return literal;
+    }
+
+    readEscape() {
+        const c = this.text.charAt(this.position + 1);
+        const simple = { t: '\t', b: '\b', n: '\n', r: '\r', f: '\f', '"': '"', '\'': '\'', '\\': '\\' };
+        if (simple[c] !== undefined) {
+            this.position += 2;
+            return simple[c];
+        }
+        if (c === 'u' || c === 'U') return this.readUnicodeEscape();
+        this.fail(`Unknown escape \\${c}`);
+    }
+
+    readUnicodeEscape() {
+        const length = this.text.charAt(this.position + 1) === 'u' ? 4 : 8;
+        const hex = this.text.substr(this.position + 2, length);
+        if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) this.fail('Malformed unicode escape');
+        this.position += 2 + length;
+        return String.fromCodePoint(parseInt(hex, 16));
+    }
+
+    readNumber() {
+        const match = this.matchPattern(/[+-]?(?:(?:\d+\.\d*|\.\d+|\d+)[eE][+-]?\d+|\d*\.\d+|\d+)/y);
+        if (!match) this.fail('Unexpected character');
+        const datatype = /[eE]/.test(match[0]) ? 'double' : (match[0].includes('.') ? 'decimal' : 'integer');
+        return { type: 'literal', value: match[0], datatype: TurtleParser.XSD + datatype };
+    }
+
+    readIriOrPrefixedName() {
+        if (this.peek() === '<') return this.readIri();
+
+        const match = this.matchPattern(/([A-Za-z](?:[\w.-]*\w)?)?:((?:[\p{L}\p{N}_:%-]|\\[-_~.!$&'()*+,;=/?#@%]|\.(?=[\p{L}\p{N}_:%\\-]))*)/uy);
+        if (!match) this.fail('Expected an IRI or prefixed name');
+        const prefix = match[1] || '';
+        if (!this.prefixes.has(prefix)) this.fail(`Undeclared prefix "${prefix}:"`);
+        return this.prefixes.get(prefix) + match[2].replace(/\\(.)/g, '$1');
+    }
+
+    readIri() {
+        this.expect('<');
+        let iri = '';
+        for (;;) {
+            const c = this.text.charAt(this.position);
+            if (c === '>') break;
+            if (c === '' || /[\s<"{}|^`]/.test(c)) this.fail('Malformed IRI');
+            if (c === '\\') {
+                iri += this.readUnicodeEscape();
+            } else {
+                iri += c;
+                this.position++;
+            }
+        }
+        this.position++;
+        return this.resolve(iri);
+    }
+
+    resolve(iri) {
+        if (!this.base || /^[a-z][a-z0-9+.-]*:/i.test(iri)) return iri;
+        try {
+            return new URL(iri, this.base).href;
+        } catch (error) {
+            return iri;
+        }
+    }
+
+    skipWhitespace() {
+        const text = this.text;
+        while (this.position < text.length) {
+            const c = text.charAt(this.position);
+            if (c === '#') {
+                const end = text.indexOf('\n', this.position);
+                this.position = end === -1 ? text.length : end + 1;
+            } else if (c === ' ' || c === '\t' || c === '\n' || c === '\r') {
+                this.position++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    peek() {
+        return this.text.charAt(this.position);
+    }
+
+    consume(c) {
+        if (this.peek() !== c) return false;
+        this.position++;
+        return true;
+    }
+
+    expect(c) {
+        this.skipWhitespace();
+        if (!this.consume(c)) this.fail(`Expected "${c}"`);
+    }
+
+    matchKeyword(keyword) {
+        const word = this.text.substr(this.position, keyword.length);
+        if (word.toUpperCase() !== keyword || !/\s/.test(this.text.charAt(this.position + keyword.length))) return false;
+        this.position += keyword.length;
+        return true;
+    }
+
+    matchPattern(pattern) {
+        pattern.lastIndex = this.position;
+        const match = pattern.exec(this.text);
+        if (match) this.position += match[0].length;
+        return match;
+    }
+
+    fail(message) {
+        const line = this.text.substring(0, this.position).split('\n').length;
+        throw new Error(`Turtle syntax error on line ${line}: ${message}`);
+    }
+}
+
+TurtleParser.RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+TurtleParser.XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TurtleParser;
+}
@@ -0,0 +1,279 @@
+/**
+ * Streaming XML Reader for Aldersbach Monastery Financial Dashboard
+ * A SAX-style tokenizer fed chunk by chunk (write / close), so a file can be
+ * read while it downloads. It builds a light element tree offering the DOM
+ * subset LedgerParser relies on, which lets parserWorker.js parse without
+ * DOMParser (not available in workers).
+ *
+ * Only what the DEPCHA exports use is supported: elements, attributes, text,
+ * CDATA and the predefined/numeric entities. Comments, processing
+ * instructions and doctypes are skipped.
+ */
+
+class XmlStreamReader {
+    constructor() {
+        this.buffer = '';
+        this.document = new XmlLiteNode('#document');
+        this.stack = [this.document];
+        this.elementCounts = new Map();  // localName -> closed elements so far, for progress
+        this.closed = false;
+    }
+
+    /**
+     * Feed the next piece of text; incomplete markup waits for the next chunk
+     */
+    write(chunk) {
+        if (this.closed) throw new Error('XML reader is already closed');
+        this.buffer += chunk;
+        this.consume(false);
+        return this;
+    }
+
+    /**
+     * Finish the document; throws on unclosed elements or trailing markup
+     */
+    close() {
+        this.consume(true);
+        if (this.buffer.trim()) throw new Error('Unexpected end of XML document');
+        if (this.stack.length > 1) {
+            throw new Error(`Unclosed element <${this.stack[this.stack.length - 1].nodeName}>`);
+        }
+        this.closed = true;
+        return this.document;
+    }
+
+    count(localName) {
+        return this.elementCounts.get(localName) || 0;
+    }
+
+    consume(final) {
+        const buffer = this.buffer;
+        let position = 0;
+
+        while (position < buffer.length) {
+            const open = buffer.indexOf('<', position);
+            if (open === -1) {
+                // Keep trailing text until the markup after it arrives (it may end in an entity)
+                if (final) {
+                    this.addText(buffer.substring(position));
+                    position = buffer.length;
+                }
+                break;
+            }
+            if (open > position) this.addText(buffer.substring(position, open));
+
+            const end = this.findMarkupEnd(buffer, open);
+            if (end === -1) {
+                position = open;
+                break;
+            }
+            this.handleMarkup(buffer.substring(open, end + 1));
+            position = end + 1;
+        }
+
+        this.buffer = buffer.substring(position);
+    }
+
+    /**
+     * Index of the ">" closing the markup starting at "<", or -1 if it is not complete yet
+     */
+    findMarkupEnd(buffer, start) {
+        if (buffer.startsWith('<!--', start)) {
+            const end = buffer.indexOf('-->', start + 4);
+            return end === -1 ? -1 : end + 2;
+        }
+        if (buffer.startsWith('<![CDATA[', start)) {
+            const end = buffer.indexOf(']]>', start + 9);
+            return end === -1 ? -1 : end + 2;
+        }
+        if (buffer.startsWith('<?', start)) {
+            const end = buffer.indexOf('?>', start + 2);
+            return end === -1 ? -1 : end + 1;
+        }
+
+        // Tags and declarations: ">" inside quoted attribute values does not count
+        let quote = null;
+        let depth = 0;  // "[" ... "]" of a doctype's internal subset
+        for (let i = start + 1; i < buffer.length; i++) {
+            const c = buffer[i];
+            if (quote) {
+                if (c === quote) quote = null;
+            } else if (c === '"' || c === '\'') {
+                quote = c;
+            } else if (c === '[') {
+                depth++;
+            } else if (c === ']') {
+                depth--;
+            } else if (c === '>' && depth <= 0) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    handleMarkup(markup) {
+        if (markup.startsWith('<![CDATA[')) {
+            this.addText(markup.slice(9, -3), true);
+        } else if (markup.startsWith('<!') || markup.startsWith('<?')) {
+            return;
+        } else if (markup.startsWith('</')) {
+            this.closeElement(markup.slice(2, -1).trim());
+        } else {
+            const selfClosing = markup.endsWith('/>');
+            const inner = markup.slice(1, selfClosing ? -2 : -1);
+            const nameMatch = inner.match(/^[^\s/>]+/);
+            if (!nameMatch) throw new Error(`Malformed tag ${markup.substring(0, 40)}`);
+
+            const element = new XmlLiteNode(nameMatch[0], this.parseAttributes(inner.substring(nameMatch[0].length)));
+            this.stack[this.stack.length - 1].appendChild(element);
+            if (selfClosing) {
+                this.countElement(element);
+            } else {
+                this.stack.push(element);
+            }
+        }
+    }
+
+    parseAttributes(text) {
+        const attributes = {};
+        const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            attributes[match[1]] = XmlStreamReader.decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+        }
+        return attributes;
+    }
+
+    closeElement(name) {
+        const element = this.stack.pop();
+        if (!element || element === this.document || element.nodeName !== name) {
+            throw new Error(`Unexpected closing tag </${name}>`);
+        }
+        this.countElement(element);
+    }
+
+    countElement(element) {
+        this.elementCounts.set(element.localName, this.count(element.localName) + 1);
+    }
+
+    addText(text, raw = false) {
+        // Whitespace between elements carries nothing in RDF/XML
+        if (!raw && !text.trim()) return;
+        const parent = this.stack[this.stack.length - 1];
+        if (parent === this.document) {
+            if (text.trim()) throw new Error('Text outside the root element');
+            return;
+        }
+        parent.appendText(raw ? text : XmlStreamReader.decodeEntities(text));
+    }
+
+    static decodeEntities(text) {
+        if (text.indexOf('&') === -1) return text;
+        return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' }[name.toLowerCase()];
+        });
+    }
+
+    /**
+     * Read a whole string in one go
+     */
+    static parse(text) {
+        return new XmlStreamReader().write(text).close();
+    }
+}
+
+/**
+ * Element (or document) of the light tree
+ */
+class XmlLiteNode {
+    constructor(nodeName, attributes = {}) {
+        this.nodeName = nodeName;
+        this.tagName = nodeName;
+        this.localName = nodeName.split(':').pop();
+        this.attributes = attributes;
+        this.children = [];
+        this.childNodes = [];  // elements and text strings, in document order
+    }
+
+    get documentElement() {
+        return this.children[0] || null;
+    }
+
+    appendChild(element) {
+        this.children.push(element);
+        this.childNodes.push(element);
+    }
+
+    appendText(text) {
+        this.childNodes.push(text);
+    }
+
+    getAttribute(name) {
+        return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => typeof node === 'string' ? node : node.textContent).join('');
+    }
+
+    get outerHTML() {
+        const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const attributes = Object.keys(this.attributes)
+            .map(name => ` ${name}="${escape(this.attributes[name]).replace(/"/g, '&quot;')}"`)
+            .join('');
+        if (this.childNodes.length === 0) return `<${this.nodeName}${attributes}/>`;
+        const content = this.childNodes.map(node => typeof node === 'string' ? escape(node) : node.outerHTML).join('');
+        return `<${this.nodeName}${attributes}>${content}</${this.nodeName}>`;
+    }
+
+    /**
+     * Descendants in document order for which match() holds; stops after limit
+     */
+    findAll(match, limit = Infinity) {
+        const found = [];
+        const pending = this.children.slice().reverse();
+        while (pending.length > 0 && found.length < limit) {
+            const element = pending.pop();
+            if (match(element)) found.push(element);
+            for (let i = element.children.length - 1; i >= 0; i--) pending.push(element.children[i]);
+        }
+        return found;
+    }
+
+    getElementsByTagName(name) {
+        return this.findAll(element => name === '*' || element.nodeName === name);
+    }
+
+    /**
+     * Comma-separated element names only ("bk\\:Money, Money"). As in
+     * browsers, a name matches the local name, so "bk\\:Money" never does.
+     */
+    querySelectorAll(selector) {
+        const names = this.selectorNames(selector);
+        return this.findAll(element => names.includes(element.localName));
+    }
+
+    querySelector(selector) {
+        const names = this.selectorNames(selector);
+        return this.findAll(element => names.includes(element.localName), 1)[0] || null;
+    }
+
+    selectorNames(selector) {
+        return selector.split(',').map(name => {
+            const unescaped = name.trim().replace(/\\/g, '');
+            if (!/^[\w:.-]+$/.test(unescaped)) throw new Error(`Unsupported selector "${selector}"`);
+            return unescaped;
+        });
+    }
+}
+
+XmlStreamReader.Node = XmlLiteNode;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XmlStreamReader;
+}